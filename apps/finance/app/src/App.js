@@ -1,31 +1,88 @@
 import React from 'react'
 import PropTypes from 'prop-types'
 import styled from 'styled-components'
-import { SyncIndicator, EmptyStateCard, Main, SidePanel } from '@aragon/ui'
-import { useAragonApi } from '@aragon/api-react'
+import {
+  SyncIndicator,
+  EmptyStateCard,
+  Main,
+  SidePanel,
+  TabBar,
+} from '@aragon/ui'
+import { useAragonApi, useNetwork } from '@aragon/api-react'
+import Analytics from './components/Analytics'
 import Balances from './components/Balances'
+import Budgets from './components/Budgets'
+import BudgetPanelContent from './components/Budget/PanelContent'
 import NewTransferPanelContent from './components/NewTransfer/PanelContent'
+import ScheduledPayments from './components/ScheduledPayments'
+import Periods from './components/Periods'
 import Transfers from './components/Transfers'
 import AppLayout from './components/AppLayout'
 import NewTransferIcon from './components/NewTransferIcon'
+import {
+  encodeCallScript,
+  encodeNewImmediatePayment,
+} from './lib/evmscript-utils'
 import { ETHER_TOKEN_FAKE_ADDRESS } from './lib/token-utils'
+import { isPaymentReceiver } from './lib/payment-utils'
+import { DEFAULT_FIAT_CURRENCY, getPriceProvider } from './lib/price-providers'
 import { IdentityProvider } from './components/IdentityManager/IdentityManager'
 
 import addFundsIcon from './components/assets/add-funds-icon.svg'
+import votingNewVoteAbi from './abi/voting-new-vote.json'
+
+const isNewVoteAbi = ({ inputs = [], name, type }) =>
+  type === 'function' &&
+  name === 'newVote' &&
+  inputs.map(({ type }) => type).join(',') === 'bytes,string'
+
+const SCREENS = ['Overview', 'Accounting periods', 'Analytics']
+const SCREEN_OVERVIEW = 0
+const SCREEN_PERIODS = 1
+const SCREEN_ANALYTICS = 2
 
 class App extends React.Component {
   static propTypes = {
     api: PropTypes.object,
     appState: PropTypes.object,
+    connectedAccount: PropTypes.string,
+    priceProvider: PropTypes.object,
   }
   static defaultProps = {
     isSyncing: true,
     balances: [],
+    budgets: [],
+    payments: [],
     transactions: [],
     tokens: [],
   }
   state = {
+    budgetPanel: { opened: false, token: null },
+    fiatCurrency: DEFAULT_FIAT_CURRENCY,
     newTransferOpened: false,
+    screenIndex: SCREEN_OVERVIEW,
+    votingApps: [],
+  }
+  componentDidMount() {
+    // List the apps able to create a vote executing a batch of payments.
+    // Voting usually holds the CREATE_PAYMENTS_ROLE, while other forwarders
+    // (e.g. Token Manager) can't create payments.
+    this.appsSubscription = this.props.api.installedApps().subscribe(apps => {
+      this.setState({
+        votingApps: apps
+          .filter(({ abi = [] }) => abi.some(isNewVoteAbi))
+          .map(({ appAddress, name }) => ({ address: appAddress, name })),
+      })
+    })
+  }
+  componentWillUnmount() {
+    this.appsSubscription.unsubscribe()
+  }
+  handleFiatCurrencyChange = fiatCurrency => {
+    this.setState({ fiatCurrency })
+  }
+  handleScreenChange = screenIndex => {
+    this.setState({ screenIndex })
   }
   handleNewTransferOpen = () => {
     this.setState({ newTransferOpened: true })
@@ -33,6 +90,23 @@ class App extends React.Component {
   handleNewTransferClose = () => {
     this.setState({ newTransferOpened: false })
   }
+  handleBudgetPanelOpen = token => {
+    this.setState({ budgetPanel: { opened: true, token } })
+  }
+  handleBudgetPanelClose = () => {
+    this.setState(({ budgetPanel }) => ({
+      budgetPanel: { ...budgetPanel, opened: false },
+    }))
+  }
+  handleSetBudget = (tokenAddress, amount) => {
+    // Don't care about response
+    this.props.api.setBudget(tokenAddress, amount).toPromise()
+    this.handleBudgetPanelClose()
+  }
+  handleRemoveBudget = tokenAddress => {
+    // Don't care about response
+    this.props.api.removeBudget(tokenAddress).toPromise()
+  }
   handleWithdraw = (tokenAddress, recipient, amount, reference) => {
     // Immediate, one-time payment
     this.props.api
@@ -40,6 +114,66 @@ class App extends React.Component {
       .toPromise() // Don't care about response
     this.handleNewTransferClose()
   }
+  handleBulkWithdraw = (payments, votingAddress) => {
+    const { api, appState } = this.props
+    // Bundle all the payments into a single script, so that they only need
+    // to be approved by a single vote
+    const script = encodeCallScript(
+      payments.map(payment => ({
+        to: appState.proxyAddress,
+        calldata: encodeNewImmediatePayment(payment),
+      }))
+    )
+    // The vote creation is an intent the client paths through the apps
+    // allowed to create votes (e.g. Token Manager)
+    api
+      .external(votingAddress, votingNewVoteAbi)
+      .newVote(script, `Batch of ${payments.length} payments from Finance`)
+      .toPromise() // Don't care about response
+    this.handleNewTransferClose()
+  }
+  handleCreateScheduledPayment = ({
+    tokenAddress,
+    recipient,
+    amount,
+    initialPaymentTime,
+    interval,
+    maxExecutions,
+    reference,
+  }) => {
+    // Recurring payment, executed for the first time on creation if it's
+    // already due
+    this.props.api
+      .newScheduledPayment(
+        tokenAddress,
+        recipient,
+        amount,
+        initialPaymentTime,
+        interval,
+        maxExecutions,
+        reference
+      )
+      .toPromise() // Don't care about response
+    this.handleNewTransferClose()
+  }
+  handleExecutePayment = payment => {
+    const { api, connectedAccount } = this.props
+    // Receivers can always execute their own payments, without needing the
+    // EXECUTE_PAYMENTS_ROLE
+    const execute = isPaymentReceiver(payment, connectedAccount)
+      ? api.receiverExecutePayment(payment.id)
+      : api.executePayment(payment.id)
+    execute.toPromise() // Don't care about response
+  }
+  handleSetPaymentStatus = (paymentId, active) => {
+    // Don't care about response
+    this.props.api.setPaymentStatus(paymentId, active).toPromise()
+  }
+  handleCheckPayment = (tokenAddress, amount) => {
+    return this.props.api
+      .call('canMakePayment', tokenAddress, amount)
+      .toPromise()
+  }
   handleDeposit = async (tokenAddress, amount, reference) => {
     const { api, appState } = this.props
     const { periodDuration, periods } = appState
@@ -85,9 +219,23 @@ class App extends React.Component {
   }
 
   render() {
-    const { appState, isSyncing } = this.props
-    const { newTransferOpened } = this.state
-    const { balances, transactions, tokens, proxyAddress } = appState
+    const { appState, isSyncing, priceProvider } = this.props
+    const {
+      budgetPanel,
+      fiatCurrency,
+      votingApps,
+      newTransferOpened,
+      screenIndex,
+    } = this.state
+    const {
+      balances,
+      budgets,
+      payments,
+      periods,
+      transactions,
+      tokens,
+      proxyAddress,
+    } = appState
 
     return (
       <Main assetsUrl="./aragon-ui">
@@ -106,15 +254,66 @@ class App extends React.Component {
               }}
               smallViewPadding={0}
             >
-              {balances.length > 0 && (
+              {transactions.length > 0 && (
+                <TabBarWrapper>
+                  <TabBar
+                    items={SCREENS}
+                    selected={screenIndex}
+                    onChange={this.handleScreenChange}
+                  />
+                </TabBarWrapper>
+              )}
+              {screenIndex === SCREEN_PERIODS && transactions.length > 0 && (
                 <SpacedBlock>
-                  <Balances balances={balances} />
+                  <Periods periods={periods} tokens={tokens} />
                 </SpacedBlock>
               )}
-              {transactions.length > 0 && (
+              {screenIndex === SCREEN_ANALYTICS && transactions.length > 0 && (
+                <SpacedBlock>
+                  <Analytics
+                    balances={balances}
+                    periods={periods}
+                    tokens={tokens}
+                    transactions={transactions}
+                  />
+                </SpacedBlock>
+              )}
+              {screenIndex === SCREEN_OVERVIEW && balances.length > 0 && (
+                <SpacedBlock>
+                  <Balances
+                    balances={balances}
+                    currency={fiatCurrency}
+                    priceProvider={priceProvider}
+                    onCurrencyChange={this.handleFiatCurrencyChange}
+                  />
+                </SpacedBlock>
+              )}
+              {screenIndex === SCREEN_OVERVIEW && tokens.length > 0 && (
+                <SpacedBlock>
+                  <Budgets
+                    budgets={budgets}
+                    tokens={tokens}
+                    onEdit={this.handleBudgetPanelOpen}
+                    onRemove={this.handleRemoveBudget}
+                  />
+                </SpacedBlock>
+              )}
+              {screenIndex === SCREEN_OVERVIEW && payments.length > 0 && (
+                <SpacedBlock>
+                  <ScheduledPayments
+                    payments={payments}
+                    tokens={tokens}
+                    onExecute={this.handleExecutePayment}
+                    onSetPaymentStatus={this.handleSetPaymentStatus}
+                  />
+                </SpacedBlock>
+              )}
+              {screenIndex === SCREEN_OVERVIEW && transactions.length > 0 && (
                 <SpacedBlock>
                   <Transfers
+                    currency={fiatCurrency}
                     dao={proxyAddress}
+                    priceProvider={priceProvider}
                     transactions={transactions}
                     tokens={tokens}
                   />
@@ -141,12 +340,31 @@ class App extends React.Component {
             >
               <NewTransferPanelContent
                 opened={newTransferOpened}
+                balances={balances}
+                budgets={budgets}
                 tokens={tokens}
                 onWithdraw={this.handleWithdraw}
+                onCheckPayment={this.handleCheckPayment}
                 onDeposit={this.handleDeposit}
+                onCreateScheduledPayment={this.handleCreateScheduledPayment}
+                onBulkWithdraw={this.handleBulkWithdraw}
+                votingApps={votingApps}
                 proxyAddress={proxyAddress}
               />
             </SidePanel>
+            <SidePanel
+              opened={budgetPanel.opened}
+              onClose={this.handleBudgetPanelClose}
+              title="Set budget"
+            >
+              <BudgetPanelContent
+                opened={budgetPanel.opened}
+                budgets={budgets}
+                token={budgetPanel.token}
+                tokens={tokens}
+                onSetBudget={this.handleSetBudget}
+              />
+            </SidePanel>
           </IdentityProvider>
         </div>
       </Main>
@@ -161,6 +379,10 @@ const EmptyScreen = styled.div`
   flex-grow: 1;
 `
 
+const TabBarWrapper = styled.div`
+  margin-bottom: 10px;
+`
+
 const SpacedBlock = styled.div`
   margin-top: 30px;
   &:first-child {
@@ -169,6 +391,19 @@ const SpacedBlock = styled.div`
 `
 
 export default () => {
-  const { api, appState } = useAragonApi()
-  return <App api={api} appState={appState} isSyncing={appState.isSyncing} />
+  const { api, appState, connectedAccount } = useAragonApi()
+  const network = useNetwork()
+  const networkType = network && network.type
+  const priceProvider = React.useMemo(() => getPriceProvider(network), [
+    networkType,
+  ])
+  return (
+    <App
+      api={api}
+      appState={appState}
+      connectedAccount={connectedAccount}
+      isSyncing={appState.isSyncing}
+      priceProvider={priceProvider}
+    />
+  )
 }
@@ -13,7 +13,7 @@ const compareBalancesByEthAndSymbol = (tokenA, tokenB) => {
 }
 
 function appStateReducer(state) {
-  const { balances, transactions } = state || {}
+  const { balances, budgets, payments, periods, transactions } = state || {}
 
   const balancesBn = balances
     ? balances
@@ -42,6 +42,46 @@ function appStateReducer(state) {
       }))
     : []
 
+  const budgetsBn = budgets
+    ? budgets.map(budget => ({
+        ...budget,
+        amount: new BN(budget.amount),
+        remaining: budget.remaining === null ? null : new BN(budget.remaining),
+        spent: new BN(budget.spent),
+        numData: {
+          amount: parseInt(budget.amount, 10),
+          remaining:
+            budget.remaining === null ? null : parseInt(budget.remaining, 10),
+          spent: parseInt(budget.spent, 10),
+        },
+      }))
+    : []
+
+  const periodsBn = periods
+    ? periods.map(period => ({
+        ...period,
+        statements: (period.statements || []).map(statement => ({
+          ...statement,
+          expenses: new BN(statement.expenses),
+          income: new BN(statement.income),
+          numData: {
+            expenses: parseInt(statement.expenses, 10),
+            income: parseInt(statement.income, 10),
+          },
+        })),
+      }))
+    : []
+
+  const paymentsBn = payments
+    ? payments.map(payment => ({
+        ...payment,
+        amount: new BN(payment.amount),
+        numData: {
+          amount: parseInt(payment.amount, 10),
+        },
+      }))
+    : []
+
   return {
     ...state,
 
@@ -59,6 +99,12 @@ function appStateReducer(state) {
     // Filter out empty balances
     balances: balancesBn.filter(balance => !balance.amount.isZero()),
 
+    // Removed budgets are kept in the script's state to keep their spending
+    // up to date, but aren't useful to display
+    budgets: budgetsBn.filter(({ hasBudget }) => hasBudget),
+
+    payments: paymentsBn,
+    periods: periodsBn,
     transactions: transactionsBn,
   }
 }
@@ -0,0 +1,281 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import styled from 'styled-components'
+import { format } from 'date-fns'
+import {
+  DropDown,
+  LineChart,
+  Table,
+  TableCell,
+  TableHeader,
+  TableRow,
+  theme,
+  unselectable,
+  useViewport,
+} from '@aragon/ui'
+import { useNetwork } from '@aragon/api-react'
+import {
+  getMonthlyBurnRate,
+  getMonthlyFlows,
+  getRunway,
+  getTopCounterparties,
+} from '../lib/analytics-utils'
+import { formatDecimals } from '../lib/utils'
+import { addressesEqual } from '../lib/web3-utils'
+import LocalIdentityBadge from './LocalIdentityBadge/LocalIdentityBadge'
+
+// Number of months shown in the flows chart
+const CHART_MONTHS = 12
+const CHART_HEIGHT = 200
+// Number of completed accounting periods used to compute the burn rate
+const BURN_RATE_PERIODS = 3
+const TOP_COUNTERPARTIES = 5
+
+const formatUnits = (amount, symbol) =>
+  `${formatDecimals(Math.round(amount * 100) / 100, 2)} ${symbol}`
+
+const formatRunway = runway => {
+  if (runway === null) {
+    return 'Unknown'
+  }
+  if (runway === Infinity) {
+    return 'No spending'
+  }
+  return runway >= 1
+    ? `${formatDecimals(Math.floor(runway * 10) / 10, 1)} months`
+    : 'Less than a month'
+}
+
+const Analytics = React.memo(({ balances, periods, tokens, transactions }) => {
+  const { below, width } = useViewport()
+  const network = useNetwork()
+  const compactMode = below('medium')
+  const [selectedToken, setSelectedToken] = React.useState(0)
+  const token = tokens[selectedToken] || tokens[0]
+
+  const balance = balances.find(({ address }) =>
+    addressesEqual(address, token.address)
+  )
+  const balanceUnits = balance
+    ? balance.numData.amount / Math.pow(10, token.decimals)
+    : 0
+  const burnRate = getMonthlyBurnRate(periods, token, BURN_RATE_PERIODS)
+  const runway = getRunway(balanceUnits, burnRate)
+
+  const flows = getMonthlyFlows(transactions, token, CHART_MONTHS)
+  const chartMax = Math.max(
+    1,
+    ...flows.map(({ inflow, outflow }) => Math.max(inflow, outflow))
+  )
+  const counterparties = getTopCounterparties(
+    transactions,
+    token,
+    TOP_COUNTERPARTIES
+  )
+
+  return (
+    <section>
+      <Header compactMode={compactMode}>
+        <Title>Analytics</Title>
+        <Filter>
+          <FilterLabel>Token</FilterLabel>
+          <DropDown
+            items={tokens.map(({ symbol }) => symbol)}
+            active={selectedToken}
+            onChange={setSelectedToken}
+          />
+        </Filter>
+      </Header>
+      <Summary compactMode={compactMode}>
+        <SummaryItem>
+          <Label>Balance</Label>
+          <SummaryValue>{formatUnits(balanceUnits, token.symbol)}</SummaryValue>
+        </SummaryItem>
+        <SummaryItem>
+          <Label>Monthly burn rate</Label>
+          <SummaryValue>
+            {burnRate === null ? '−' : formatUnits(burnRate, token.symbol)}
+          </SummaryValue>
+        </SummaryItem>
+        <SummaryItem
+          title={`Based on the spending of the last ${BURN_RATE_PERIODS} completed accounting periods`}
+        >
+          <Label>Runway</Label>
+          <SummaryValue>{formatRunway(runway)}</SummaryValue>
+        </SummaryItem>
+      </Summary>
+      <SubTitle compactMode={compactMode}>Inflow and outflow</SubTitle>
+      <Box compactMode={compactMode}>
+        <LineChart
+          width={Math.max(
+            300,
+            Math.min(width, 1080) - (compactMode ? 40 : 120)
+          )}
+          height={CHART_HEIGHT}
+          total={flows.length}
+          lines={[
+            {
+              id: 1,
+              color: theme.positive,
+              values: flows.map(({ inflow }) => inflow / chartMax),
+            },
+            {
+              id: 2,
+              color: theme.negative,
+              values: flows.map(({ outflow }) => outflow / chartMax),
+            },
+          ]}
+          label={index => format(flows[index].month, 'MMM')}
+        />
+        <Legend>
+          <LegendItem color={theme.positive}>Inflow</LegendItem>
+          <LegendItem color={theme.negative}>Outflow</LegendItem>
+        </Legend>
+      </Box>
+      <SubTitle compactMode={compactMode}>Top counterparties</SubTitle>
+      {counterparties.length === 0 ? (
+        <Box compactMode={compactMode}>
+          <Empty>No transfers of {token.symbol} yet.</Empty>
+        </Box>
+      ) : (
+        <Table
+          compactMode={compactMode}
+          header={
+            <TableRow>
+              <TableHeader title="Counterparty" css="width: 100%" />
+              <TableHeader title="Inflow" align="right" />
+              <TableHeader title="Outflow" align="right" />
+              {!compactMode && <TableHeader title="Transfers" align="right" />}
+            </TableRow>
+          }
+          css={`
+            color: ${theme.textPrimary};
+          `}
+        >
+          {counterparties.map(({ entity, inflow, outflow, transfers }) => (
+            <TableRow key={entity}>
+              <TableCell>
+                <LocalIdentityBadge
+                  networkType={network.type}
+                  entity={entity}
+                />
+              </TableCell>
+              <NoWrapCell align="right">
+                <Amount positive>{formatUnits(inflow, token.symbol)}</Amount>
+              </NoWrapCell>
+              <NoWrapCell align="right">
+                <Amount>{formatUnits(outflow, token.symbol)}</Amount>
+              </NoWrapCell>
+              {!compactMode && (
+                <NoWrapCell align="right">{transfers}</NoWrapCell>
+              )}
+            </TableRow>
+          ))}
+        </Table>
+      )}
+    </section>
+  )
+})
+
+Analytics.propTypes = {
+  balances: PropTypes.array.isRequired,
+  periods: PropTypes.array.isRequired,
+  tokens: PropTypes.array.isRequired,
+  transactions: PropTypes.array.isRequired,
+}
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin: ${p => (p.compactMode ? '20px 20px 10px 20px' : '30px 0 20px 0')};
+`
+
+const Title = styled.h1`
+  font-weight: 600;
+`
+
+const SubTitle = styled.h2`
+  font-weight: 600;
+  margin: ${p => (p.compactMode ? '20px 20px 10px 20px' : '30px 0 10px 0')};
+`
+
+const Filter = styled.label`
+  display: flex;
+  align-items: center;
+`
+
+const FilterLabel = styled.span`
+  margin-right: 8px;
+  font-variant: small-caps;
+  text-transform: lowercase;
+  color: ${theme.textSecondary};
+  font-weight: 600;
+  ${unselectable};
+`
+
+const Box = styled.div`
+  padding: 20px;
+  background: ${theme.contentBackground};
+  border: 1px solid ${theme.contentBorder};
+  border-radius: ${p => (p.compactMode ? '0' : '3px')};
+  overflow: hidden;
+`
+
+const Summary = styled(Box)`
+  display: grid;
+  grid-template-columns: ${p => (p.compactMode ? '1fr' : 'repeat(3, 1fr)')};
+  grid-gap: 20px;
+`
+
+const SummaryItem = styled.div`
+  display: flex;
+  flex-direction: column;
+`
+
+const SummaryValue = styled.span`
+  font-size: 20px;
+  font-weight: 600;
+`
+
+const Label = styled.span`
+  color: ${theme.textSecondary};
+`
+
+const Legend = styled.div`
+  display: flex;
+  justify-content: center;
+  margin-top: 10px;
+`
+
+const LegendItem = styled.span`
+  display: flex;
+  align-items: center;
+  margin: 0 10px;
+  color: ${theme.textSecondary};
+  &:before {
+    content: '';
+    display: block;
+    width: 10px;
+    height: 10px;
+    margin-right: 5px;
+    border-radius: 50%;
+    background: ${p => p.color};
+  }
+`
+
+const Empty = styled.p`
+  text-align: center;
+  color: ${theme.textSecondary};
+`
+
+const Amount = styled.span`
+  font-weight: 600;
+  color: ${({ positive }) => (positive ? theme.positive : theme.negative)};
+`
+
+const NoWrapCell = styled(TableCell)`
+  white-space: nowrap;
+`
+
+export default Analytics
@@ -1,7 +1,7 @@
 import React from 'react'
 import styled from 'styled-components'
 import { theme, breakpoint } from '@aragon/ui'
-import { formatTokenAmount } from '../lib/utils'
+import { formatFiatAmount, formatTokenAmount } from '../lib/utils'
 
 const splitAmount = amount => {
   const [integer, fractional] = formatTokenAmount(amount).split('.')
@@ -13,7 +13,13 @@ const splitAmount = amount => {
   )
 }
 
-const BalanceToken = ({ amount, symbol, verified, convertedAmount = -1 }) => (
+const BalanceToken = ({
+  amount,
+  symbol,
+  verified,
+  convertedAmount = -1,
+  currency = 'USD',
+}) => (
   <React.Fragment>
     <Token title={symbol || 'Unknown symbol'}>
       {verified && symbol && (
@@ -30,7 +36,7 @@ const BalanceToken = ({ amount, symbol, verified, convertedAmount = -1 }) => (
       <Amount>{splitAmount(amount.toFixed(3))}</Amount>
       <ConvertedAmount>
         {convertedAmount >= 0
-          ? `$${formatTokenAmount(convertedAmount.toFixed(2))}`
+          ? formatFiatAmount(convertedAmount, currency)
           : '−'}
       </ConvertedAmount>
     </Wrap>
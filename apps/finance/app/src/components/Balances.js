@@ -1,16 +1,15 @@
 import React from 'react'
 import styled from 'styled-components'
 import throttle from 'lodash.throttle'
-import { theme, breakpoint } from '@aragon/ui'
+import { DropDown, theme, breakpoint, unselectable } from '@aragon/ui'
 import BalanceToken from './BalanceToken'
 import { round } from '../lib/math-utils'
+import { formatFiatAmount } from '../lib/utils'
+import { FIAT_CURRENCIES } from '../lib/price-providers'
+import { toChecksumAddress } from '../lib/web3-utils'
 
-const CONVERT_API_BASE = 'https://min-api.cryptocompare.com/data'
 const CONVERT_THROTTLE_TIME = 5000
 
-const convertApiUrl = symbols =>
-  `${CONVERT_API_BASE}/price?fsym=USD&tsyms=${symbols.join(',')}`
-
 class Balances extends React.Component {
   state = {
     convertRates: {},
@@ -19,31 +18,36 @@ class Balances extends React.Component {
     this.updateConvertedRates(this.props)
   }
   componentWillReceiveProps(nextProps) {
+    if (nextProps.currency !== this.props.currency) {
+      // Don't display the rates of the previous currency in the meantime
+      this.setState({ convertRates: {} })
+    }
     this.updateConvertedRates(nextProps)
   }
-  updateConvertedRates = throttle(async ({ balances }) => {
-    const verifiedSymbols = balances
-      .filter(({ verified }) => verified)
-      .map(({ symbol }) => symbol)
-
-    if (!verifiedSymbols.length) {
-      return
-    }
-
-    const res = await fetch(convertApiUrl(verifiedSymbols))
-    const convertRates = await res.json()
-    this.setState({ convertRates })
-  }, CONVERT_THROTTLE_TIME)
+  componentWillUnmount() {
+    this.updateConvertedRates.cancel()
+  }
+  updateConvertedRates = throttle(
+    async ({ balances, currency, priceProvider }) => {
+      const convertRates = await priceProvider.getRates(balances, currency)
+      // Ignore rates fetched for a previous currency
+      if (currency === this.props.currency) {
+        this.setState({ convertRates })
+      }
+    },
+    CONVERT_THROTTLE_TIME
+  )
+  handleCurrencyChange = index => {
+    this.props.onCurrencyChange(FIAT_CURRENCIES[index])
+  }
   render() {
-    const { balances } = this.props
+    const { balances, currency } = this.props
     const { convertRates } = this.state
     const balanceItems = balances.map(
       ({ address, numData: { amount, decimals }, symbol, verified }) => {
         const adjustedAmount = amount / Math.pow(10, decimals)
-        const convertedAmount =
-          verified && convertRates[symbol]
-            ? adjustedAmount / convertRates[symbol]
-            : -1
+        const rate = convertRates[toChecksumAddress(address)]
+        const convertedAmount = rate ? adjustedAmount * rate : -1
         return {
           address,
           symbol,
@@ -53,9 +57,26 @@ class Balances extends React.Component {
         }
       }
     )
+    const convertedItems = balanceItems.filter(
+      ({ convertedAmount }) => convertedAmount >= 0
+    )
+    const totalValue = convertedItems.reduce(
+      (total, { convertedAmount }) => total + convertedAmount,
+      0
+    )
     return (
       <section>
-        <Title>Balances</Title>
+        <Header>
+          <Title>Balances</Title>
+          <Currency>
+            <CurrencyLabel>Currency</CurrencyLabel>
+            <DropDown
+              items={FIAT_CURRENCIES}
+              active={FIAT_CURRENCIES.indexOf(currency)}
+              onChange={this.handleCurrencyChange}
+            />
+          </Currency>
+        </Header>
         <ScrollView>
           <List>
             {balanceItems.length > 0 ? (
@@ -65,6 +86,7 @@ class Balances extends React.Component {
                     <BalanceToken
                       amount={amount}
                       convertedAmount={convertedAmount}
+                      currency={currency}
                       symbol={symbol}
                       verified={verified}
                     />
@@ -75,6 +97,21 @@ class Balances extends React.Component {
               <EmptyListItem />
             )}
           </List>
+          {convertedItems.length > 0 && (
+            <Total>
+              <TotalLabel>Total value</TotalLabel>
+              <TotalValue
+                title={
+                  convertedItems.length < balanceItems.length
+                    ? 'Only includes the tokens with a known price'
+                    : undefined
+                }
+              >
+                {formatFiatAmount(totalValue, currency)}
+                {convertedItems.length < balanceItems.length && '*'}
+              </TotalValue>
+            </Total>
+          )}
         </ScrollView>
       </section>
     )
@@ -107,18 +144,64 @@ const ScrollView = styled.div`
   )};
 `
 
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin: 20px;
+
+  ${breakpoint(
+    'medium',
+    `
+      margin: 10px 0 20px 0;
+    `
+  )};
+`
+
 const Title = styled.h1`
-  margin: 20px 0 20px 20px;
   font-weight: 600;
+`
+
+const Currency = styled.label`
+  display: flex;
+  align-items: center;
+`
+
+const CurrencyLabel = styled.span`
+  margin-right: 8px;
+  font-variant: small-caps;
+  text-transform: lowercase;
+  color: ${theme.textSecondary};
+  font-weight: 600;
+  ${unselectable};
+`
+
+const Total = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: baseline;
+  padding: 15px 20px;
 
   ${breakpoint(
     'medium',
     `
-      margin: 10px 30px 20px 0;
+      justify-content: flex-start;
+      padding: 15px 35px;
+      border-top: 1px solid ${theme.contentBorder};
     `
   )};
 `
 
+const TotalLabel = styled.span`
+  margin-right: 10px;
+  color: ${theme.textSecondary};
+`
+
+const TotalValue = styled.span`
+  font-size: 18px;
+  font-weight: 600;
+`
+
 const List = styled.ul`
   list-style: none;
 
@@ -0,0 +1,145 @@
+import React from 'react'
+import styled from 'styled-components'
+import { Button, Info } from '@aragon/ui'
+import { fromDecimals } from '../../lib/math-utils'
+import {
+  NO_ERROR,
+  adjustAmount,
+  transferErrorToString,
+} from '../../lib/transfer-utils'
+import { addressesEqual } from '../../lib/web3-utils'
+import TokenAmountField from '../NewTransfer/TokenAmountField'
+import ValidationError from '../NewTransfer/ValidationError'
+
+const initialState = {
+  amount: {
+    error: NO_ERROR,
+    value: '',
+  },
+  selectedToken: 0,
+}
+
+class PanelContent extends React.Component {
+  static defaultProps = {
+    budgets: [],
+    tokens: [],
+    token: null,
+    onSetBudget: () => {},
+  }
+  state = {
+    ...initialState,
+  }
+  componentWillReceiveProps({ opened, token }) {
+    if (opened && !this.props.opened) {
+      // Panel opening; preselect the budget being edited, if any
+      this.setState(this.getStateForToken(token))
+    }
+  }
+  getStateForToken(tokenAddress) {
+    const { budgets, tokens } = this.props
+    const tokenIndex = tokens.findIndex(({ address }) =>
+      addressesEqual(address, tokenAddress)
+    )
+    if (tokenIndex === -1) {
+      return { ...initialState }
+    }
+
+    const budget = budgets.find(({ token }) =>
+      addressesEqual(token, tokenAddress)
+    )
+    return {
+      amount: {
+        error: NO_ERROR,
+        value: budget
+          ? fromDecimals(budget.amount.toString(), tokens[tokenIndex].decimals)
+          : '',
+      },
+      selectedToken: tokenIndex,
+    }
+  }
+  handleAmountUpdate = event => {
+    this.setState({
+      amount: {
+        error: NO_ERROR,
+        value: event.target.value,
+      },
+    })
+  }
+  handleSelectToken = index => {
+    const { tokens } = this.props
+    this.setState(this.getStateForToken(tokens[index].address))
+  }
+  handleSubmit = event => {
+    event.preventDefault()
+    const { onSetBudget, tokens } = this.props
+    const { amount, selectedToken } = this.state
+
+    const token = tokens[selectedToken]
+    // A budget of zero blocks any payment of the token
+    const { adjustedAmount, error } = adjustAmount(
+      amount.value,
+      token.decimals,
+      { allowZero: true }
+    )
+
+    if (error !== NO_ERROR) {
+      this.setState(({ amount }) => ({
+        amount: {
+          ...amount,
+          error,
+        },
+      }))
+      return
+    }
+
+    onSetBudget(token.address, adjustedAmount)
+  }
+
+  render() {
+    const { tokens } = this.props
+    const { amount, selectedToken } = this.state
+    const symbols = tokens.map(({ symbol }) => symbol)
+
+    const errorMessage =
+      amount.error !== NO_ERROR ? transferErrorToString(amount.error) : null
+
+    return tokens.length ? (
+      <form onSubmit={this.handleSubmit}>
+        <TokenAmountField
+          label="Budget per accounting period"
+          amount={amount.value}
+          symbols={symbols}
+          selectedToken={selectedToken}
+          onAmountChange={this.handleAmountUpdate}
+          onTokenChange={this.handleSelectToken}
+        />
+        <ButtonWrapper>
+          <Button mode="strong" type="submit" wide>
+            Set budget
+          </Button>
+        </ButtonWrapper>
+        {errorMessage && <ValidationError message={errorMessage} />}
+        <VSpace size={3} />
+        <Info.Action title="Budgets">
+          The budget limits how much of this token can be paid out in each
+          accounting period. It applies immediately, including to the current
+          period and to any recurring payments.
+        </Info.Action>
+      </form>
+    ) : (
+      <Info.Permissions title="Action impossible">
+        The organization doesn’t have any tokens to set a budget for.
+      </Info.Permissions>
+    )
+  }
+}
+
+const ButtonWrapper = styled.div`
+  padding-top: 10px;
+`
+
+const VSpace = styled.div`
+  height: ${p => (p.size || 1) * 5}px;
+`
+
+export default PanelContent
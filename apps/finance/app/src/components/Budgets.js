@@ -0,0 +1,238 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import styled from 'styled-components'
+import {
+  Button,
+  ContextMenu,
+  ContextMenuItem,
+  IconRemove,
+  IconSettings,
+  ProgressBar,
+  Table,
+  TableCell,
+  TableHeader,
+  TableRow,
+  theme,
+  useViewport,
+} from '@aragon/ui'
+import { addressesEqual } from '../lib/web3-utils'
+import { formatTokenAmount } from '../lib/utils'
+
+const Budgets = React.memo(({ budgets, tokens, onEdit, onRemove }) => {
+  const { below } = useViewport()
+  const compactMode = below('medium')
+  const budgetItems = budgets.map(budget => ({
+    ...budget,
+    tokenDetails: tokens.find(({ address }) =>
+      addressesEqual(address, budget.token)
+    ) || { decimals: 0, symbol: '' },
+  }))
+
+  return (
+    <section>
+      <Header compactMode={compactMode}>
+        <Title>Budgets</Title>
+        <Button mode="secondary" size="small" onClick={() => onEdit(null)}>
+          Set budget
+        </Button>
+      </Header>
+      {budgetItems.length === 0 ? (
+        <NoBudgets compactMode={compactMode}>
+          No budgets set: outgoing payments are only limited by the vault’s
+          balance.
+        </NoBudgets>
+      ) : (
+        <Table
+          compactMode={compactMode}
+          header={
+            !compactMode && (
+              <TableRow>
+                <TableHeader title="Token" />
+                <TableHeader title="Budget per period" align="right" />
+                <TableHeader title="Spent this period" align="right" />
+                <TableHeader title="Remaining" align="right" />
+                <TableHeader title="Usage" css="width: 30%" />
+                <TableHeader />
+              </TableRow>
+            )
+          }
+          css={`
+            color: ${theme.textPrimary};
+          `}
+        >
+          {budgetItems.map(budget => (
+            <BudgetRow
+              key={budget.token}
+              budget={budget}
+              compactMode={compactMode}
+              onEdit={onEdit}
+              onRemove={onRemove}
+            />
+          ))}
+        </Table>
+      )}
+    </section>
+  )
+})
+
+Budgets.propTypes = {
+  budgets: PropTypes.array.isRequired,
+  tokens: PropTypes.array.isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+}
+
+const BudgetRow = ({ budget, compactMode, onEdit, onRemove }) => {
+  const {
+    numData: { amount, remaining, spent },
+    token,
+    tokenDetails: { decimals, symbol },
+  } = budget
+  const handleEdit = React.useCallback(() => onEdit(token), [onEdit, token])
+  const handleRemove = React.useCallback(() => onRemove(token), [
+    onRemove,
+    token,
+  ])
+
+  const formatAmount = value =>
+    `${formatTokenAmount(value, false, decimals, false, {
+      rounding: 5,
+    })} ${symbol}`
+  // A budget decrease can make the spending go over the budget
+  const usage = amount > 0 ? Math.min(spent / amount, 1) : 1
+  const exhausted = remaining === 0
+
+  const menu = (
+    <ContextMenu>
+      <ContextMenuItem onClick={handleEdit}>
+        <IconWrapper>
+          <IconSettings />
+        </IconWrapper>
+        <div css="margin-left: 15px">Change budget</div>
+      </ContextMenuItem>
+      <ContextMenuItem onClick={handleRemove}>
+        <IconWrapper>
+          <IconRemove />
+        </IconWrapper>
+        <div css="margin-left: 15px">Remove budget</div>
+      </ContextMenuItem>
+    </ContextMenu>
+  )
+  const usageBar = (
+    <ProgressBar
+      value={usage}
+      color={exhausted ? theme.negative : theme.accent}
+    />
+  )
+
+  if (compactMode) {
+    return (
+      <TableRow>
+        <StyledTableCell>
+          <Grid>
+            <strong>{symbol}</strong>
+            <div css="text-align: right">{menu}</div>
+            <Label>Budget</Label>
+            <Amount>{formatAmount(amount)}</Amount>
+            <Label>Spent</Label>
+            <Amount>{formatAmount(spent)}</Amount>
+            <Label>Remaining</Label>
+            <Amount exhausted={exhausted}>{formatAmount(remaining)}</Amount>
+          </Grid>
+          <div css="margin-top: 10px">{usageBar}</div>
+        </StyledTableCell>
+      </TableRow>
+    )
+  }
+
+  return (
+    <TableRow>
+      <NoWrapCell>
+        <strong>{symbol}</strong>
+      </NoWrapCell>
+      <NoWrapCell align="right">
+        <Amount>{formatAmount(amount)}</Amount>
+      </NoWrapCell>
+      <NoWrapCell align="right">
+        <Amount>{formatAmount(spent)}</Amount>
+      </NoWrapCell>
+      <NoWrapCell align="right">
+        <Amount exhausted={exhausted}>{formatAmount(remaining)}</Amount>
+      </NoWrapCell>
+      <TableCell>
+        <div css="width: 100%">{usageBar}</div>
+      </TableCell>
+      <NoWrapCell>
+        <div css="position: relative">{menu}</div>
+      </NoWrapCell>
+    </TableRow>
+  )
+}
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin: ${p => (p.compactMode ? '20px 20px 10px 20px' : '30px 0 20px 0')};
+`
+
+const Title = styled.h1`
+  font-weight: 600;
+`
+
+const NoBudgets = styled.div`
+  background: ${theme.contentBackground};
+  border: 1px solid ${theme.contentBorder};
+  border-radius: ${p => (p.compactMode ? '0' : '3px')};
+  padding: 20px;
+  text-align: center;
+`
+
+const StyledTableCell = styled(TableCell)`
+  display: block;
+  max-width: 0;
+  width: 100%;
+  overflow: hidden;
+
+  &&& {
+    border-left-width: 0;
+    border-right-width: 0;
+
+    :first-child,
+    :last-child {
+      border-radius: 0;
+    }
+  }
+`
+
+const Grid = styled.div`
+  display: grid;
+  grid-template-columns: 1fr auto;
+  grid-row-gap: 5px;
+  width: 100%;
+`
+
+const Label = styled.span`
+  color: ${theme.textSecondary};
+`
+
+const Amount = styled.span`
+  font-weight: 600;
+  text-align: right;
+  color: ${p => (p.exhausted ? theme.negative : theme.textPrimary)};
+`
+
+const NoWrapCell = styled(TableCell)`
+  white-space: nowrap;
+`
+
+const IconWrapper = styled.span`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: 22px;
+  height: 22px;
+  color: ${theme.textSecondary};
+`
+
+export default Budgets
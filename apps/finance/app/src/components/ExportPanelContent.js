@@ -0,0 +1,107 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import styled from 'styled-components'
+import {
+  Button,
+  Checkbox,
+  DropDown,
+  Field,
+  Info,
+  theme,
+  unselectable,
+} from '@aragon/ui'
+import { EXPORT_COLUMNS, EXPORT_FORMATS } from '../lib/export-utils'
+
+const DEFAULT_COLUMNS = EXPORT_COLUMNS.filter(
+  ({ defaultSelected }) => defaultSelected
+).map(({ id }) => id)
+
+const ExportPanelContent = ({ transfersCount, onExport }) => {
+  const [selectedFormat, setSelectedFormat] = React.useState(0)
+  const [columns, setColumns] = React.useState(DEFAULT_COLUMNS)
+
+  const handleColumnChange = React.useCallback(
+    (columnId, checked) => {
+      setColumns(
+        checked ? [...columns, columnId] : columns.filter(id => id !== columnId)
+      )
+    },
+    [columns]
+  )
+  const handleSubmit = React.useCallback(
+    event => {
+      event.preventDefault()
+      onExport({ ...EXPORT_FORMATS[selectedFormat], columns })
+    },
+    [columns, selectedFormat, onExport]
+  )
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <Field label="Format">
+        <DropDown
+          items={EXPORT_FORMATS.map(({ label }) => label)}
+          active={selectedFormat}
+          onChange={setSelectedFormat}
+          wide
+        />
+      </Field>
+      <Field label="Columns">
+        <Columns>
+          {EXPORT_COLUMNS.map(({ id, label }) => (
+            <ColumnLabel key={id}>
+              <Checkbox
+                checked={columns.includes(id)}
+                onChange={checked => handleColumnChange(id, checked)}
+              />
+              {label}
+            </ColumnLabel>
+          ))}
+        </Columns>
+      </Field>
+      <Button
+        mode="strong"
+        type="submit"
+        disabled={columns.length === 0 || transfersCount === 0}
+        wide
+      >
+        Export {transfersCount} transfer{transfersCount === 1 ? '' : 's'}
+      </Button>
+      <VSpace size={3} />
+      <Info.Action title="Filters apply">
+        Only the transfers matching the current date, token and type filters are
+        exported.
+      </Info.Action>
+    </form>
+  )
+}
+
+ExportPanelContent.propTypes = {
+  transfersCount: PropTypes.number.isRequired,
+  onExport: PropTypes.func.isRequired,
+}
+
+const Columns = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  grid-gap: 10px;
+  margin-bottom: 10px;
+`
+
+const ColumnLabel = styled.label`
+  display: flex;
+  align-items: center;
+  color: ${theme.textPrimary};
+  cursor: pointer;
+  ${unselectable};
+
+  & > :first-child {
+    margin-right: 8px;
+  }
+`
+
+const VSpace = styled.div`
+  height: ${p => (p.size || 1) * 5}px;
+`
+
+export default ExportPanelContent
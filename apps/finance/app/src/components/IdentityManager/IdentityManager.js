@@ -44,6 +44,56 @@ function useIdentity(address) {
   return [name, handleShowLocalIdentityModal]
 }
 
+// Resolve the names of several addresses, as { [lowercase address]: name }
+function useIdentities(addresses) {
+  const [names, setNames] = useState({})
+  const { resolve, updates$ } = useContext(IdentityContext)
+  const addressesKey = addresses.join(',')
+
+  useEffect(() => {
+    let cancelled = false
+    const resolveNames = addresses =>
+      Promise.all(
+        addresses.map(address =>
+          resolve(address)
+            .then(metadata => (metadata ? metadata.name : null))
+            .catch(() => null)
+        )
+      ).then(resolvedNames => {
+        if (!cancelled) {
+          setNames(names =>
+            addresses.reduce(
+              (names, address, index) => ({
+                ...names,
+                [address.toLowerCase()]: resolvedNames[index],
+              }),
+              names
+            )
+          )
+        }
+      })
+
+    resolveNames(addresses)
+
+    const subscription = updates$.subscribe(updatedAddress => {
+      if (
+        addresses.some(
+          address => address.toLowerCase() === updatedAddress.toLowerCase()
+        )
+      ) {
+        // Resolve and update state when the identity have been updated
+        resolveNames([updatedAddress])
+      }
+    })
+    return () => {
+      cancelled = true
+      subscription.unsubscribe()
+    }
+  }, [addressesKey, updates$])
+
+  return names
+}
+
 const IdentityProvider = ({
   onResolve,
   onShowLocalIdentityModal,
@@ -68,4 +118,10 @@ IdentityProvider.propTypes = {
 
 const IdentityConsumer = IdentityContext.Consumer
 
-export { IdentityConsumer, IdentityContext, IdentityProvider, useIdentity }
+export {
+  IdentityConsumer,
+  IdentityContext,
+  IdentityProvider,
+  useIdentities,
+  useIdentity,
+}
@@ -0,0 +1,374 @@
+import React from 'react'
+import styled from 'styled-components'
+import BN from 'bn.js'
+import {
+  Button,
+  DropDown,
+  Info,
+  Field,
+  Text,
+  TextInput,
+  theme,
+} from '@aragon/ui'
+import { parseCsv } from '../../lib/csv-utils'
+import { fromDecimals } from '../../lib/math-utils'
+import {
+  NO_ERROR,
+  adjustAmount,
+  transferErrorToString,
+} from '../../lib/transfer-utils'
+import { addressesEqual, isAddress, shortenAddress } from '../../lib/web3-utils'
+import ValidationError from './ValidationError'
+
+const AMOUNT_PATTERN = /^\d*\.?\d*$/
+
+// Find the token referenced by a CSV row, either by its address or its symbol
+function findToken(tokens, tokenRef) {
+  if (isAddress(tokenRef)) {
+    return {
+      token: tokens.find(({ address }) => addressesEqual(address, tokenRef)),
+    }
+  }
+  const matches = tokens.filter(
+    ({ symbol }) => symbol && symbol.toLowerCase() === tokenRef.toLowerCase()
+  )
+  return matches.length > 1 ? { ambiguous: true } : { token: matches[0] }
+}
+
+function validateRow(
+  [recipient = '', tokenRef = '', amount = '', reference = ''],
+  tokens
+) {
+  const { token, ambiguous } = findToken(tokens, tokenRef)
+  const payment = { recipient, reference, token, amountInput: amount }
+
+  if (!isAddress(recipient)) {
+    return { ...payment, error: 'Invalid recipient address' }
+  }
+  if (ambiguous) {
+    return {
+      ...payment,
+      error: `Several tokens use the symbol ${tokenRef}, use its address`,
+    }
+  }
+  if (!token) {
+    return { ...payment, error: `Unknown token ${tokenRef}` }
+  }
+  if (!amount || !AMOUNT_PATTERN.test(amount)) {
+    return { ...payment, error: 'Invalid amount' }
+  }
+
+  const { adjustedAmount, error } = adjustAmount(amount, token.decimals)
+  if (error !== NO_ERROR) {
+    return { ...payment, error: transferErrorToString(error) }
+  }
+
+  return { ...payment, amount: adjustedAmount }
+}
+
+// Parse and validate a payout CSV made of `recipient, token, amount, reference`
+// rows (the token being either a symbol or an address).
+export function parsePayments(text, tokens) {
+  const rows = parseCsv(text)
+  // Ignore a header row, if there is one
+  if (rows.length > 0 && !AMOUNT_PATTERN.test(rows[0][2] || '')) {
+    rows.shift()
+  }
+  return rows.map(row => validateRow(row, tokens))
+}
+
+// Check that the vault's balance and the remaining budget of each token cover
+// the total of all the payments made with it
+export function getTokenTotals(payments, balances, budgets) {
+  const totals = new Map()
+  payments
+    .filter(({ error }) => !error)
+    .forEach(({ amount, token }) => {
+      const total = totals.get(token.address) || { token, amount: new BN(0) }
+      totals.set(token.address, {
+        ...total,
+        amount: total.amount.add(new BN(amount)),
+      })
+    })
+
+  return [...totals.values()].map(({ token, amount }) => {
+    const balance = balances.find(({ address }) =>
+      addressesEqual(address, token.address)
+    )
+    const budget = budgets.find(({ token: budgetToken }) =>
+      addressesEqual(budgetToken, token.address)
+    )
+    let error = null
+    if (!balance || amount.gt(balance.amount)) {
+      error = 'Total is greater than the vault’s balance'
+    } else if (budget && amount.gt(budget.remaining)) {
+      error = 'Total exceeds the remaining budget for this period'
+    }
+    return { token, amount, error }
+  })
+}
+
+const initialState = {
+  csv: '',
+  filename: '',
+  votingAddress: '',
+  selectedVotingApp: 0,
+}
+
+class BulkWithdrawal extends React.Component {
+  static defaultProps = {
+    balances: [],
+    budgets: [],
+    votingApps: [],
+    tokens: [],
+    onBulkWithdraw: () => {},
+  }
+  state = {
+    ...initialState,
+  }
+  componentWillReceiveProps({ opened }) {
+    if (!opened && this.props.opened) {
+      // Panel closing; reset state
+      this.setState({ ...initialState })
+    }
+  }
+  handleFileChange = event => {
+    const file = event.target.files[0]
+    if (!file) {
+      return
+    }
+    const reader = new FileReader()
+    reader.onload = () => {
+      this.setState({ csv: reader.result, filename: file.name })
+    }
+    reader.readAsText(file)
+  }
+  handleCsvUpdate = event => {
+    this.setState({ csv: event.target.value, filename: '' })
+  }
+  handleSelectVotingApp = index => {
+    this.setState({ selectedVotingApp: index })
+  }
+  handleVotingAddressUpdate = event => {
+    this.setState({ votingAddress: event.target.value })
+  }
+  getVotingAddress() {
+    const { votingApps } = this.props
+    const { votingAddress, selectedVotingApp } = this.state
+    return votingApps.length > 0
+      ? votingApps[selectedVotingApp].address
+      : votingAddress.trim()
+  }
+  handleSubmit = event => {
+    event.preventDefault()
+    const { balances, budgets, tokens, onBulkWithdraw } = this.props
+    const payments = parsePayments(this.state.csv, tokens)
+    const totals = getTokenTotals(payments, balances, budgets)
+    const votingAddress = this.getVotingAddress()
+
+    if (
+      payments.length === 0 ||
+      payments.some(({ error }) => error) ||
+      totals.some(({ error }) => error) ||
+      !isAddress(votingAddress)
+    ) {
+      return
+    }
+
+    onBulkWithdraw(
+      payments.map(({ amount, recipient, reference, token }) => ({
+        amount,
+        recipient,
+        reference,
+        token: token.address,
+      })),
+      votingAddress
+    )
+  }
+
+  render() {
+    const { balances, budgets, votingApps, tokens } = this.props
+    const { csv, filename, votingAddress, selectedVotingApp } = this.state
+
+    const payments = parsePayments(csv, tokens)
+    const totals = getTokenTotals(payments, balances, budgets)
+    const invalidCount = payments.filter(({ error }) => error).length
+    const votingAddressValid = isAddress(this.getVotingAddress())
+
+    let errorMessage
+    if (invalidCount > 0) {
+      errorMessage = `${invalidCount} payment${
+        invalidCount > 1 ? 's are' : ' is'
+      } invalid`
+    } else if (totals.some(({ error }) => error)) {
+      errorMessage = 'The vault cannot cover all these payments'
+    } else if (payments.length > 0 && !votingAddressValid) {
+      errorMessage = 'The Voting app must be a valid address'
+    }
+
+    return (
+      <form onSubmit={this.handleSubmit}>
+        <Field label="Import a CSV file">
+          <FileInput>
+            <input
+              type="file"
+              accept=".csv,text/csv,text/plain"
+              onChange={this.handleFileChange}
+            />
+            {filename && <Text size="small">{filename}</Text>}
+          </FileInput>
+        </Field>
+        <Field label="Or paste its content">
+          <TextInput.Multiline
+            placeholder="recipient, token, amount, reference"
+            value={csv}
+            onChange={this.handleCsvUpdate}
+            rows="5"
+            wide
+          />
+        </Field>
+        {payments.length > 0 && (
+          <Review>
+            <thead>
+              <tr>
+                <th>Recipient</th>
+                <th>Amount</th>
+                <th>Reference</th>
+              </tr>
+            </thead>
+            <tbody>
+              {payments.map(
+                (
+                  { amountInput, error, recipient, reference, token },
+                  index
+                ) => (
+                  <React.Fragment key={index}>
+                    <tr>
+                      <td title={recipient}>{shortenAddress(recipient)}</td>
+                      <td>
+                        {amountInput} {token ? token.symbol : ''}
+                      </td>
+                      <td title={reference}>{reference}</td>
+                    </tr>
+                    {error && (
+                      <tr>
+                        <RowError colSpan="3">{error}</RowError>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                )
+              )}
+            </tbody>
+          </Review>
+        )}
+        {totals.length > 0 && (
+          <Totals>
+            {totals.map(({ amount, error, token }) => (
+              <React.Fragment key={token.address}>
+                <Text color={theme.textSecondary}>Total {token.symbol}</Text>
+                <Text weight="bold" color={error ? theme.negative : undefined}>
+                  {fromDecimals(amount.toString(), token.decimals)}{' '}
+                  {token.symbol}
+                </Text>
+                {error && <RowError as="div">{error}</RowError>}
+              </React.Fragment>
+            ))}
+          </Totals>
+        )}
+        <Field label="Create a vote in">
+          {votingApps.length > 0 ? (
+            <DropDown
+              items={votingApps.map(({ address, name }) =>
+                name ? `${name} (${shortenAddress(address)})` : address
+              )}
+              active={selectedVotingApp}
+              onChange={this.handleSelectVotingApp}
+              wide
+            />
+          ) : (
+            <TextInput
+              placeholder="Address of a Voting app"
+              value={votingAddress}
+              onChange={this.handleVotingAddressUpdate}
+              wide
+            />
+          )}
+        </Field>
+        <ButtonWrapper>
+          <Button
+            mode="strong"
+            type="submit"
+            disabled={payments.length === 0 || Boolean(errorMessage)}
+            wide
+          >
+            Submit {payments.length > 0 ? payments.length : ''} payments
+          </Button>
+        </ButtonWrapper>
+        {errorMessage && <ValidationError message={errorMessage} />}
+        <VSpace size={3} />
+        <Info.Action title="Batch payouts">
+          Each line of the CSV describes a payment as{' '}
+          <code>recipient, token, amount, reference</code>, where the token is
+          either its symbol or its address. All the payments are bundled in a
+          single script, so that one vote covers the whole batch.
+        </Info.Action>
+      </form>
+    )
+  }
+}
+
+const ButtonWrapper = styled.div`
+  padding-top: 10px;
+`
+
+const FileInput = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+`
+
+const Review = styled.table`
+  width: 100%;
+  margin-bottom: 20px;
+  border-collapse: collapse;
+  table-layout: fixed;
+  font-size: 13px;
+
+  th {
+    text-align: left;
+    font-weight: normal;
+    color: ${theme.textSecondary};
+  }
+  td {
+    padding: 5px 5px 5px 0;
+    overflow: hidden;
+    white-space: nowrap;
+    text-overflow: ellipsis;
+    border-top: 1px solid ${theme.contentBorder};
+  }
+`
+
+const RowError = styled.td`
+  color: ${theme.negative};
+  &&& {
+    border-top: 0;
+    padding-top: 0;
+  }
+`
+
+const Totals = styled.div`
+  display: grid;
+  grid-template-columns: 1fr auto;
+  grid-row-gap: 5px;
+  margin-bottom: 20px;
+
+  ${RowError} {
+    grid-column: span 2;
+  }
+`
+
+const VSpace = styled.div`
+  height: ${p => (p.size || 1) * 5}px;
+`
+
+export default BulkWithdrawal
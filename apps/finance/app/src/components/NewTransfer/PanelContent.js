@@ -4,6 +4,8 @@ import { TabBar } from '@aragon/ui'
 
 import Deposit from './Deposit'
 import Withdrawal from './Withdrawal'
+import ScheduledPayment from './ScheduledPayment'
+import BulkWithdrawal from './BulkWithdrawal'
 
 const initialState = {
   screenIndex: 0,
@@ -13,6 +15,10 @@ class PanelContent extends React.Component {
   static defaultProps = {
     onWithdraw: () => {},
     onDeposit: () => {},
+    onCheckPayment: () => Promise.resolve(true),
+    onCreateScheduledPayment: () => {},
+    onBulkWithdraw: () => {},
+    votingApps: [],
     proxyAddress: null,
   }
 
@@ -33,12 +39,24 @@ class PanelContent extends React.Component {
 
   render() {
     const { screenIndex } = this.state
-    const { opened, tokens, onWithdraw, onDeposit, proxyAddress } = this.props
+    const {
+      opened,
+      balances,
+      budgets,
+      tokens,
+      onWithdraw,
+      onCheckPayment,
+      onDeposit,
+      onCreateScheduledPayment,
+      onBulkWithdraw,
+      votingApps,
+      proxyAddress,
+    } = this.props
     return (
       <div>
         <TabBarWrapper>
           <TabBar
-            items={['Deposit', 'Withdrawal']}
+            items={['Deposit', 'Withdrawal', 'Recurring', 'Batch']}
             selected={screenIndex}
             onChange={this.handleChange}
           />
@@ -53,7 +71,31 @@ class PanelContent extends React.Component {
           />
         )}
         {screenIndex === 1 && (
-          <Withdrawal opened={opened} tokens={tokens} onWithdraw={onWithdraw} />
+          <Withdrawal
+            opened={opened}
+            balances={balances}
+            budgets={budgets}
+            tokens={tokens}
+            onWithdraw={onWithdraw}
+            onCheckPayment={onCheckPayment}
+          />
+        )}
+        {screenIndex === 2 && (
+          <ScheduledPayment
+            opened={opened}
+            tokens={tokens}
+            onCreateScheduledPayment={onCreateScheduledPayment}
+          />
+        )}
+        {screenIndex === 3 && (
+          <BulkWithdrawal
+            opened={opened}
+            balances={balances}
+            budgets={budgets}
+            votingApps={votingApps}
+            tokens={tokens}
+            onBulkWithdraw={onBulkWithdraw}
+          />
         )}
       </div>
     )
@@ -0,0 +1,321 @@
+import React from 'react'
+import styled from 'styled-components'
+import { format, startOfDay } from 'date-fns'
+import { Button, DropDown, Info, Field, TextInput } from '@aragon/ui'
+import LocalIdentitiesAutoComplete from '../LocalIdentitiesAutoComplete/LocalIdentitiesAutoComplete'
+import { PAYMENT_INTERVALS } from '../../lib/payment-utils'
+import {
+  NO_ERROR,
+  RECEIPIENT_NOT_ADDRESS_ERROR,
+  adjustAmount,
+  transferErrorToString,
+} from '../../lib/transfer-utils'
+import { addressPattern, isAddress } from '../../lib/web3-utils'
+import TokenAmountField from './TokenAmountField'
+import ValidationError from './ValidationError'
+
+const MAX_EXECUTIONS_INVALID_ERROR = Symbol('MAX_EXECUTIONS_INVALID_ERROR')
+const START_DATE_INVALID_ERROR = Symbol('START_DATE_INVALID_ERROR')
+const SINGLE_PAYMENT_NOT_IN_FUTURE_ERROR = Symbol(
+  'SINGLE_PAYMENT_NOT_IN_FUTURE_ERROR'
+)
+
+const DATE_INPUT_FORMAT = 'yyyy-MM-dd'
+
+const initialState = {
+  amount: {
+    error: NO_ERROR,
+    value: '',
+  },
+  recipient: {
+    error: NO_ERROR,
+    value: '',
+  },
+  startDate: {
+    error: NO_ERROR,
+    value: format(Date.now(), DATE_INPUT_FORMAT),
+  },
+  maxExecutions: {
+    error: NO_ERROR,
+    value: '12',
+  },
+  reference: '',
+  selectedInterval: 3, // Monthly
+  selectedToken: 0,
+}
+
+class ScheduledPayment extends React.Component {
+  static defaultProps = {
+    tokens: [],
+    onCreateScheduledPayment: () => {},
+  }
+  state = {
+    ...initialState,
+  }
+  _recipientInput = React.createRef()
+  componentDidMount() {
+    // setTimeout is needed as a small hack to wait until the input is
+    // on-screen before we call focus
+    this._recipientInput.current &&
+      setTimeout(() => this._recipientInput.current.focus(), 0)
+  }
+  componentWillReceiveProps({ opened }) {
+    if (!opened && this.props.opened) {
+      // Panel closing; reset state
+      this.setState({ ...initialState })
+    }
+  }
+  handleAmountUpdate = event => {
+    this.setState({
+      amount: {
+        error: NO_ERROR,
+        value: event.target.value,
+      },
+    })
+  }
+  handleSelectToken = index => {
+    this.setState({ selectedToken: index })
+  }
+  handleSelectInterval = index => {
+    this.setState({ selectedInterval: index })
+  }
+  handleRecipientUpdate = value => {
+    this.setState({
+      recipient: {
+        error: NO_ERROR,
+        value,
+      },
+    })
+  }
+  handleStartDateUpdate = event => {
+    this.setState({
+      startDate: {
+        error: NO_ERROR,
+        value: event.target.value,
+      },
+    })
+  }
+  handleMaxExecutionsUpdate = event => {
+    this.setState({
+      maxExecutions: {
+        error: NO_ERROR,
+        value: event.target.value,
+      },
+    })
+  }
+  handleReferenceUpdate = event => {
+    this.setState({ reference: event.target.value })
+  }
+  handleSubmit = event => {
+    event.preventDefault()
+    const { onCreateScheduledPayment, tokens } = this.props
+    const {
+      amount,
+      maxExecutions,
+      recipient,
+      reference,
+      selectedInterval,
+      selectedToken,
+      startDate,
+    } = this.state
+
+    const token = tokens[selectedToken]
+    const recipientAddress = recipient.value.trim()
+    const { adjustedAmount, error: amountError } = adjustAmount(
+      amount.value,
+      token.decimals
+    )
+    // Only whole, positive numbers of payments can be scheduled
+    const executions = /^\d+$/.test(maxExecutions.value.trim())
+      ? parseInt(maxExecutions.value, 10)
+      : 0
+    // The date input gives us a local day, which we use from its start
+    const startTime = startOfDay(new Date(`${startDate.value}T00:00`))
+
+    if (!isAddress(recipientAddress)) {
+      this.setState(({ recipient }) => ({
+        recipient: {
+          ...recipient,
+          error: RECEIPIENT_NOT_ADDRESS_ERROR,
+        },
+      }))
+      return
+    }
+
+    if (amountError !== NO_ERROR) {
+      this.setState(({ amount }) => ({
+        amount: {
+          ...amount,
+          error: amountError,
+        },
+      }))
+      return
+    }
+
+    if (executions < 1) {
+      this.setState(({ maxExecutions }) => ({
+        maxExecutions: {
+          ...maxExecutions,
+          error: MAX_EXECUTIONS_INVALID_ERROR,
+        },
+      }))
+      return
+    }
+
+    if (
+      Number.isNaN(startTime.getTime()) ||
+      // The contract doesn't allow single payments that would be executed
+      // immediately; `newImmediatePayment()` has to be used for those
+      (executions === 1 && startTime.getTime() <= Date.now())
+    ) {
+      this.setState(({ startDate }) => ({
+        startDate: {
+          ...startDate,
+          error: Number.isNaN(startTime.getTime())
+            ? START_DATE_INVALID_ERROR
+            : SINGLE_PAYMENT_NOT_IN_FUTURE_ERROR,
+        },
+      }))
+      return
+    }
+
+    onCreateScheduledPayment({
+      tokenAddress: token.address,
+      recipient: recipientAddress,
+      amount: adjustedAmount,
+      // The contract works with seconds
+      initialPaymentTime: Math.floor(startTime.getTime() / 1000),
+      interval: PAYMENT_INTERVALS[selectedInterval].duration / 1000,
+      maxExecutions: executions,
+      reference,
+    })
+  }
+
+  render() {
+    const { tokens } = this.props
+    const {
+      amount,
+      maxExecutions,
+      recipient,
+      reference,
+      selectedInterval,
+      selectedToken,
+      startDate,
+    } = this.state
+
+    const symbols = tokens.map(({ symbol }) => symbol)
+
+    let errorMessage
+    if (recipient.error !== NO_ERROR) {
+      errorMessage = transferErrorToString(recipient.error)
+    } else if (amount.error !== NO_ERROR) {
+      errorMessage = transferErrorToString(amount.error)
+    } else if (maxExecutions.error === MAX_EXECUTIONS_INVALID_ERROR) {
+      errorMessage = 'Number of payments must be a whole number, at least 1'
+    } else if (startDate.error === START_DATE_INVALID_ERROR) {
+      errorMessage = 'Start date must be a valid date'
+    } else if (startDate.error === SINGLE_PAYMENT_NOT_IN_FUTURE_ERROR) {
+      errorMessage =
+        'A payment executing only once must start in the future. Use a withdrawal instead.'
+    }
+
+    return tokens.length ? (
+      <form onSubmit={this.handleSubmit}>
+        <Field
+          label="Recipient (must be a valid Ethereum address)"
+          css="height: 62px"
+        >
+          <LocalIdentitiesAutoComplete
+            ref={this._recipientInput}
+            onChange={this.handleRecipientUpdate}
+            pattern={
+              // Allow spaces to be trimmable
+              ` *${addressPattern} *`
+            }
+            value={recipient.value}
+            required
+            wide
+          />
+        </Field>
+        <TokenAmountField
+          label="Amount per payment"
+          amount={amount.value}
+          symbols={symbols}
+          selectedToken={selectedToken}
+          onAmountChange={this.handleAmountUpdate}
+          onTokenChange={this.handleSelectToken}
+        />
+        <Field label="Frequency">
+          <DropDown
+            items={PAYMENT_INTERVALS.map(({ label }) => label)}
+            active={selectedInterval}
+            onChange={this.handleSelectInterval}
+            wide
+          />
+        </Field>
+        <Columns>
+          <Field label="First payment date">
+            <TextInput
+              type="date"
+              value={startDate.value}
+              onChange={this.handleStartDateUpdate}
+              required
+              wide
+            />
+          </Field>
+          <Field label="Number of payments">
+            <TextInput.Number
+              value={maxExecutions.value}
+              onChange={this.handleMaxExecutionsUpdate}
+              min={1}
+              step={1}
+              required
+              wide
+            />
+          </Field>
+        </Columns>
+        <Field label="Reference">
+          <TextInput
+            onChange={this.handleReferenceUpdate}
+            value={reference}
+            wide
+          />
+        </Field>
+        <ButtonWrapper>
+          <Button mode="strong" type="submit" wide>
+            Create recurring payment
+          </Button>
+        </ButtonWrapper>
+        {errorMessage && <ValidationError message={errorMessage} />}
+        <VSpace size={3} />
+        <Info.Action title="Payment execution">
+          Payments whose date has already passed are executed as soon as the
+          recurring payment is created. Following payments need to be triggered
+          once they are due, either by the recipient or by someone allowed to
+          execute payments.
+        </Info.Action>
+      </form>
+    ) : (
+      <Info.Permissions title="Action impossible">
+        The organization doesn’t have any tokens available to schedule payments
+        with.
+      </Info.Permissions>
+    )
+  }
+}
+
+const ButtonWrapper = styled.div`
+  padding-top: 10px;
+`
+
+const Columns = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  grid-column-gap: 20px;
+`
+
+const VSpace = styled.div`
+  height: ${p => (p.size || 1) * 5}px;
+`
+
+export default ScheduledPayment
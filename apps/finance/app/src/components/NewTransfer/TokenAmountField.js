@@ -0,0 +1,74 @@
+import React from 'react'
+import styled from 'styled-components'
+import { DropDown, Text, TextInput, theme, unselectable } from '@aragon/ui'
+
+// Amount input combined with the selection of its token
+const TokenAmountField = ({
+  label,
+  amount,
+  symbols,
+  selectedToken,
+  onAmountChange,
+  onTokenChange,
+}) => (
+  <Main>
+    <label>
+      <StyledTextBlock>
+        {label}
+        <StyledAsterisk />
+      </StyledTextBlock>
+    </label>
+    <CombinedInput>
+      <TextInput.Number
+        value={amount}
+        onChange={onAmountChange}
+        min={0}
+        step="any"
+        required
+        wide
+      />
+      <DropDown
+        items={symbols}
+        active={selectedToken}
+        onChange={onTokenChange}
+      />
+    </CombinedInput>
+  </Main>
+)
+
+const Main = styled.div`
+  margin-bottom: 20px;
+`
+
+const CombinedInput = styled.div`
+  display: flex;
+  input[type='text'] {
+    border-top-right-radius: 0;
+    border-bottom-right-radius: 0;
+    border-right: 0;
+  }
+  input[type='text'] + div > div:first-child {
+    border-top-left-radius: 0;
+    border-bottom-left-radius: 0;
+  }
+`
+
+const StyledTextBlock = styled(Text.Block).attrs({
+  color: theme.textSecondary,
+  smallcaps: true,
+})`
+  ${unselectable()};
+  display: flex;
+`
+
+const StyledAsterisk = styled.span.attrs({
+  children: '*',
+  title: 'Required',
+})`
+  color: ${theme.accent};
+  margin-left: auto;
+  padding-top: 3px;
+  font-size: 12px;
+`
+
+export default TokenAmountField
@@ -0,0 +1,18 @@
+import React from 'react'
+import styled from 'styled-components'
+import { IconCross, Text } from '@aragon/ui'
+
+const ValidationError = ({ message }) => (
+  <Main>
+    <IconCross />
+    <Text size="small" style={{ marginLeft: '10px' }}>
+      {message}
+    </Text>
+  </Main>
+)
+
+const Main = styled.p`
+  margin-top: 15px;
+`
+
+export default ValidationError
@@ -1,24 +1,49 @@
 import React from 'react'
 import styled from 'styled-components'
-import {
-  Button,
-  DropDown,
-  IconCross,
-  Info,
-  Field,
-  Text,
-  TextInput,
-  theme,
-  unselectable,
-} from '@aragon/ui'
+import BN from 'bn.js'
+import { Button, Info, Field, Text, TextInput, theme } from '@aragon/ui'
 import LocalIdentitiesAutoComplete from '../LocalIdentitiesAutoComplete/LocalIdentitiesAutoComplete'
-import { toDecimals } from '../../lib/math-utils'
-import { addressPattern, isAddress } from '../../lib/web3-utils'
+import { fromDecimals } from '../../lib/math-utils'
+import {
+  NO_ERROR,
+  RECEIPIENT_NOT_ADDRESS_ERROR,
+  adjustAmount,
+  transferErrorToString,
+} from '../../lib/transfer-utils'
+import { addressesEqual, addressPattern, isAddress } from '../../lib/web3-utils'
+import TokenAmountField from './TokenAmountField'
+import ValidationError from './ValidationError'
 
-const NO_ERROR = Symbol('NO_ERROR')
-const RECEIPIENT_NOT_ADDRESS_ERROR = Symbol('RECEIPIENT_NOT_ADDRESS_ERROR')
 const BALANCE_NOT_ENOUGH_ERROR = Symbol('BALANCE_NOT_ENOUGH_ERROR')
-const DECIMALS_TOO_MANY_ERROR = Symbol('DECIMALS_TOO_MANY_ERROR')
+const TOKEN_NOT_HELD_ERROR = Symbol('TOKEN_NOT_HELD_ERROR')
+const BUDGET_NOT_ENOUGH_ERROR = Symbol('BUDGET_NOT_ENOUGH_ERROR')
+
+// Validate a payment against the vault's balance and the token's remaining
+// budget for the current period, as the contract would
+function getPaymentPreflight({ amount, balance, budget, decimals }) {
+  const { adjustedAmount, error } = adjustAmount(amount, decimals)
+
+  if (error !== NO_ERROR) {
+    return { adjustedAmount, error }
+  }
+  if (balance.isZero()) {
+    return { adjustedAmount, error: TOKEN_NOT_HELD_ERROR }
+  }
+
+  const amountBn = new BN(adjustedAmount)
+  if (amountBn.gt(balance)) {
+    return { adjustedAmount, error: BALANCE_NOT_ENOUGH_ERROR }
+  }
+  if (budget && amountBn.gt(budget.remaining)) {
+    return { adjustedAmount, error: BUDGET_NOT_ENOUGH_ERROR }
+  }
+
+  return {
+    adjustedAmount,
+    error: NO_ERROR,
+    projectedBalance: balance.sub(amountBn),
+  }
+}
 
 const initialState = {
   amount: {
@@ -29,17 +54,25 @@ const initialState = {
     error: NO_ERROR,
     value: '',
   },
+  paymentCheck: {
+    key: null,
+    canMakePayment: null,
+  },
   reference: '',
   selectedToken: 0,
 }
 
 class Withdrawal extends React.Component {
   static defaultProps = {
+    balances: [],
+    budgets: [],
     tokens: [],
     onWithdraw: () => {},
+    onCheckPayment: () => Promise.resolve(true),
   }
   state = {
     ...initialState,
+    selectedToken: this.initialTokenIndex(),
   }
   _recipientInput = React.createRef()
   componentDidMount() {
@@ -51,12 +84,80 @@ class Withdrawal extends React.Component {
   componentWillReceiveProps({ opened }) {
     if (!opened && this.props.opened) {
       // Panel closing; reset state
-      this.setState({ ...initialState })
+      this.setState({
+        ...initialState,
+        selectedToken: this.initialTokenIndex(),
+      })
     }
   }
+  componentDidUpdate() {
+    this.checkPayment()
+  }
+  initialTokenIndex() {
+    // Tokens not held by the vault are listed too, but shouldn't be the default
+    return Math.max(
+      this.props.tokens.findIndex(({ amount }) => amount > 0),
+      0
+    )
+  }
   nonZeroTokens() {
     return this.props.tokens.filter(({ amount }) => amount > 0)
   }
+  getPreflight() {
+    const { balances, budgets, tokens } = this.props
+    const { amount, selectedToken } = this.state
+    const token = tokens[selectedToken]
+
+    if (!token || !amount.value) {
+      return null
+    }
+
+    const balance = balances.find(({ address }) =>
+      addressesEqual(address, token.address)
+    )
+    const budget = budgets.find(({ token: budgetToken }) =>
+      addressesEqual(budgetToken, token.address)
+    )
+    return {
+      ...getPaymentPreflight({
+        amount: amount.value,
+        // Balances only contain the tokens held by the vault
+        balance: balance ? balance.amount : new BN(0),
+        budget,
+        decimals: token.decimals,
+      }),
+      budget,
+      token,
+    }
+  }
+  checkPayment() {
+    // Double check our local validation with the contract itself, as the
+    // local state could be outdated (e.g. before a period transition)
+    const { onCheckPayment } = this.props
+    const { paymentCheck } = this.state
+    const preflight = this.getPreflight()
+
+    if (!preflight || preflight.error !== NO_ERROR) {
+      return
+    }
+
+    const key = `${preflight.token.address}:${preflight.adjustedAmount}`
+    if (paymentCheck.key === key) {
+      return
+    }
+
+    this.setState({ paymentCheck: { key, canMakePayment: null } })
+    onCheckPayment(preflight.token.address, preflight.adjustedAmount)
+      .then(canMakePayment => {
+        // Ignore the answers of outdated checks
+        if (this.state.paymentCheck.key === key) {
+          this.setState({ paymentCheck: { key, canMakePayment } })
+        }
+      })
+      .catch(err => {
+        console.error('Could not check if the payment can be made:', err)
+      })
+  }
   handleAmountUpdate = event => {
     this.setState({
       amount: {
@@ -82,17 +183,10 @@ class Withdrawal extends React.Component {
   handleSubmit = event => {
     event.preventDefault()
     const { onWithdraw } = this.props
-    const { amount, recipient, reference, selectedToken } = this.state
+    const { recipient, reference } = this.state
 
-    const tokens = this.nonZeroTokens()
-    const token = tokens[selectedToken]
     const recipientAddress = recipient.value.trim()
-    // Adjust but without truncation in case the user entered a value with more
-    // decimals than possible
-    const adjustedAmount = toDecimals(amount.value, token.decimals, {
-      truncate: false,
-    })
-    const amountTooBig = Number(adjustedAmount) > token.amount
+    const { adjustedAmount, error, token } = this.getPreflight()
 
     if (!isAddress(recipientAddress)) {
       this.setState(({ recipient }) => ({
@@ -104,38 +198,59 @@ class Withdrawal extends React.Component {
       return
     }
 
-    if (amountTooBig || adjustedAmount.indexOf('.') !== -1) {
-      this.setState(({ amount }) => ({
-        amount: {
-          ...amount,
-          error: amountTooBig
-            ? BALANCE_NOT_ENOUGH_ERROR
-            : DECIMALS_TOO_MANY_ERROR,
-        },
-      }))
+    // Amount errors are already displayed while typing
+    if (error !== NO_ERROR || this.paymentImpossible()) {
       return
     }
 
     onWithdraw(token.address, recipientAddress, adjustedAmount, reference)
   }
+  paymentImpossible() {
+    const preflight = this.getPreflight()
+    const { paymentCheck } = this.state
+    return Boolean(
+      preflight &&
+        preflight.error === NO_ERROR &&
+        paymentCheck.key ===
+          `${preflight.token.address}:${preflight.adjustedAmount}` &&
+        paymentCheck.canMakePayment === false
+    )
+  }
+  formatAmount(amount) {
+    const { tokens } = this.props
+    const { selectedToken } = this.state
+    const { decimals, symbol } = tokens[selectedToken]
+    return `${fromDecimals(amount.toString(), decimals)} ${symbol}`
+  }
 
   render() {
-    const { title } = this.props
+    const { title, tokens } = this.props
     const { amount, recipient, reference, selectedToken } = this.state
 
-    const tokens = this.nonZeroTokens()
     const symbols = tokens.map(({ symbol }) => symbol)
+    const preflight = this.getPreflight()
+    // Balance and budget problems are shown as soon as the amount is typed
+    const amountError = preflight ? preflight.error : amount.error
 
     let errorMessage
-    if (recipient.error === RECEIPIENT_NOT_ADDRESS_ERROR) {
-      errorMessage = 'Recipient must be a valid Ethereum address'
-    } else if (amount.error === BALANCE_NOT_ENOUGH_ERROR) {
+    if (recipient.error !== NO_ERROR) {
+      errorMessage = transferErrorToString(recipient.error)
+    } else if (amountError === TOKEN_NOT_HELD_ERROR) {
+      errorMessage = `The vault doesn’t hold any ${tokens[selectedToken].symbol}`
+    } else if (amountError === BALANCE_NOT_ENOUGH_ERROR) {
       errorMessage = 'Amount is greater than balance available'
-    } else if (amount.error === DECIMALS_TOO_MANY_ERROR) {
-      errorMessage = 'Amount contains too many decimal places'
+    } else if (amountError === BUDGET_NOT_ENOUGH_ERROR) {
+      errorMessage = `Amount exceeds the remaining budget for this period (${this.formatAmount(
+        preflight.budget.remaining
+      )})`
+    } else if (amountError !== NO_ERROR) {
+      errorMessage = transferErrorToString(amountError)
+    } else if (this.paymentImpossible()) {
+      errorMessage =
+        'The Finance app cannot make this payment with its current balance and budget'
     }
 
-    return tokens.length ? (
+    return this.nonZeroTokens().length ? (
       <form onSubmit={this.handleSubmit}>
         <h1>{title}</h1>
         <Field
@@ -154,29 +269,14 @@ class Withdrawal extends React.Component {
             wide
           />
         </Field>
-        <AmountField>
-          <label>
-            <StyledTextBlock>
-              Amount
-              <StyledAsterisk />
-            </StyledTextBlock>
-          </label>
-          <CombinedInput>
-            <TextInput.Number
-              value={amount.value}
-              onChange={this.handleAmountUpdate}
-              min={0}
-              step="any"
-              required
-              wide
-            />
-            <DropDown
-              items={symbols}
-              active={selectedToken}
-              onChange={this.handleSelectToken}
-            />
-          </CombinedInput>
-        </AmountField>
+        <TokenAmountField
+          label="Amount"
+          amount={amount.value}
+          symbols={symbols}
+          selectedToken={selectedToken}
+          onAmountChange={this.handleAmountUpdate}
+          onTokenChange={this.handleSelectToken}
+        />
         <Field label="Reference">
           <TextInput
             onChange={this.handleReferenceUpdate}
@@ -184,8 +284,38 @@ class Withdrawal extends React.Component {
             wide
           />
         </Field>
+        {preflight && preflight.error === NO_ERROR && (
+          <Projection>
+            <Text color={theme.textSecondary}>Vault balance after payment</Text>
+            <Text weight="bold">
+              {this.formatAmount(preflight.projectedBalance)}
+            </Text>
+            {preflight.budget && (
+              <React.Fragment>
+                <Text color={theme.textSecondary}>
+                  Remaining budget this period
+                </Text>
+                <Text weight="bold">
+                  {this.formatAmount(
+                    preflight.budget.remaining.sub(
+                      new BN(preflight.adjustedAmount)
+                    )
+                  )}
+                </Text>
+              </React.Fragment>
+            )}
+          </Projection>
+        )}
         <ButtonWrapper>
-          <Button mode="strong" type="submit" wide>
+          <Button
+            mode="strong"
+            type="submit"
+            disabled={
+              (preflight && preflight.error !== NO_ERROR) ||
+              this.paymentImpossible()
+            }
+            wide
+          >
             Submit withdrawal
           </Button>
         </ButtonWrapper>
@@ -203,52 +333,11 @@ const ButtonWrapper = styled.div`
   padding-top: 10px;
 `
 
-const AmountField = styled.div`
+const Projection = styled.div`
+  display: grid;
+  grid-template-columns: 1fr auto;
+  grid-row-gap: 5px;
   margin-bottom: 20px;
 `
 
-const CombinedInput = styled.div`
-  display: flex;
-  input[type='text'] {
-    border-top-right-radius: 0;
-    border-bottom-right-radius: 0;
-    border-right: 0;
-  }
-  input[type='text'] + div > div:first-child {
-    border-top-left-radius: 0;
-    border-bottom-left-radius: 0;
-  }
-`
-
-const StyledTextBlock = styled(Text.Block).attrs({
-  color: theme.textSecondary,
-  smallcaps: true,
-})`
-  ${unselectable()};
-  display: flex;
-`
-
-const StyledAsterisk = styled.span.attrs({
-  children: '*',
-  title: 'Required',
-})`
-  color: ${theme.accent};
-  margin-left: auto;
-  padding-top: 3px;
-  font-size: 12px;
-`
-
-const ValidationError = ({ message }) => (
-  <ValidationErrorBlock>
-    <IconCross />
-    <Text size="small" style={{ marginLeft: '10px' }}>
-      {message}
-    </Text>
-  </ValidationErrorBlock>
-)
-
-const ValidationErrorBlock = styled.p`
-  margin-top: 15px;
-`
-
 export default Withdrawal
@@ -0,0 +1,277 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import styled from 'styled-components'
+import { format } from 'date-fns'
+import {
+  Badge,
+  DropDown,
+  LineChart,
+  Table,
+  TableCell,
+  TableHeader,
+  TableRow,
+  theme,
+  unselectable,
+  useViewport,
+} from '@aragon/ui'
+import { addressesEqual } from '../lib/web3-utils'
+import { formatTokenAmount } from '../lib/utils'
+
+// Number of periods shown in the comparison chart
+const CHART_PERIODS = 12
+const CHART_HEIGHT = 200
+
+const formatDate = date => format(date, 'dd/MM/yy')
+
+const getStatement = ({ statements }, tokenAddress) => {
+  const statement = statements.find(({ token }) =>
+    addressesEqual(token, tokenAddress)
+  )
+  return statement
+    ? statement.numData
+    : {
+        expenses: 0,
+        income: 0,
+      }
+}
+
+const Periods = React.memo(({ periods, tokens }) => {
+  const { below, width } = useViewport()
+  const compactMode = below('medium')
+  const [selectedToken, setSelectedToken] = React.useState(0)
+  const token = tokens[selectedToken] || tokens[0]
+
+  // Most recent period first
+  const sortedPeriods = Array.from(periods).sort(
+    (periodA, periodB) => parseInt(periodB.id, 10) - parseInt(periodA.id, 10)
+  )
+  const periodItems = sortedPeriods.map((period, index) => ({
+    ...period,
+    isCurrent: index === 0,
+    ...getStatement(period, token.address),
+  }))
+
+  const chartItems = periodItems.slice(0, CHART_PERIODS).reverse()
+  const chartMax = Math.max(
+    1,
+    ...chartItems.map(({ income, expenses }) => Math.max(income, expenses))
+  )
+  const formatAmount = (amount, isIncoming, displaySign = true) =>
+    `${formatTokenAmount(amount, isIncoming, token.decimals, displaySign, {
+      rounding: 5,
+    })} ${token.symbol}`
+
+  return (
+    <section>
+      <Header compactMode={compactMode}>
+        <Title>Accounting periods</Title>
+        <Filter>
+          <FilterLabel>Token</FilterLabel>
+          <DropDown
+            items={tokens.map(({ symbol }) => symbol)}
+            active={selectedToken}
+            onChange={setSelectedToken}
+          />
+        </Filter>
+      </Header>
+      {chartItems.length > 1 && (
+        <Chart compactMode={compactMode}>
+          <LineChart
+            width={Math.max(
+              300,
+              Math.min(width, 1080) - (compactMode ? 40 : 120)
+            )}
+            height={CHART_HEIGHT}
+            total={chartItems.length}
+            lines={[
+              {
+                id: 1,
+                color: theme.positive,
+                values: chartItems.map(({ income }) => income / chartMax),
+              },
+              {
+                id: 2,
+                color: theme.negative,
+                values: chartItems.map(({ expenses }) => expenses / chartMax),
+              },
+            ]}
+            label={index => `#${parseInt(chartItems[index].id, 10) + 1}`}
+          />
+          <Legend>
+            <LegendItem color={theme.positive}>Income</LegendItem>
+            <LegendItem color={theme.negative}>Expenses</LegendItem>
+          </Legend>
+        </Chart>
+      )}
+      <Table
+        compactMode={compactMode}
+        header={
+          !compactMode && (
+            <TableRow>
+              <TableHeader title="Period" />
+              <TableHeader title="Dates" css="width: 100%" />
+              <TableHeader title="Income" align="right" />
+              <TableHeader title="Expenses" align="right" />
+              <TableHeader title="Net" align="right" />
+            </TableRow>
+          )
+        }
+        css={`
+          color: ${theme.textPrimary};
+        `}
+      >
+        {periodItems.map(
+          ({ id, startTime, endTime, expenses, income, isCurrent }) => {
+            const net = income - expenses
+            const periodLabel = (
+              <span>
+                #{parseInt(id, 10) + 1}
+                {isCurrent && <CurrentBadge>Current</CurrentBadge>}
+              </span>
+            )
+            const dates = `${formatDate(startTime)} – ${formatDate(endTime)}`
+
+            return compactMode ? (
+              <TableRow key={id}>
+                <StyledTableCell>
+                  <Grid>
+                    {periodLabel}
+                    <span css="text-align: right">{dates}</span>
+                    <Label>Income</Label>
+                    <Amount positive>{formatAmount(income, true)}</Amount>
+                    <Label>Expenses</Label>
+                    <Amount>{formatAmount(expenses, false)}</Amount>
+                    <Label>Net</Label>
+                    <Amount positive={net >= 0}>
+                      {formatAmount(Math.abs(net), net >= 0)}
+                    </Amount>
+                  </Grid>
+                </StyledTableCell>
+              </TableRow>
+            ) : (
+              <TableRow key={id}>
+                <NoWrapCell>{periodLabel}</NoWrapCell>
+                <NoWrapCell>{dates}</NoWrapCell>
+                <NoWrapCell align="right">
+                  <Amount positive>{formatAmount(income, true)}</Amount>
+                </NoWrapCell>
+                <NoWrapCell align="right">
+                  <Amount>{formatAmount(expenses, false)}</Amount>
+                </NoWrapCell>
+                <NoWrapCell align="right">
+                  <Amount positive={net >= 0}>
+                    {formatAmount(Math.abs(net), net >= 0)}
+                  </Amount>
+                </NoWrapCell>
+              </TableRow>
+            )
+          }
+        )}
+      </Table>
+    </section>
+  )
+})
+
+Periods.propTypes = {
+  periods: PropTypes.array.isRequired,
+  tokens: PropTypes.array.isRequired,
+}
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin: ${p => (p.compactMode ? '20px 20px 10px 20px' : '30px 0 20px 0')};
+`
+
+const Title = styled.h1`
+  font-weight: 600;
+`
+
+const Filter = styled.label`
+  display: flex;
+  align-items: center;
+`
+
+const FilterLabel = styled.span`
+  margin-right: 8px;
+  font-variant: small-caps;
+  text-transform: lowercase;
+  color: ${theme.textSecondary};
+  font-weight: 600;
+  ${unselectable};
+`
+
+const Chart = styled.div`
+  padding: 20px;
+  margin-bottom: 20px;
+  background: ${theme.contentBackground};
+  border: 1px solid ${theme.contentBorder};
+  border-radius: ${p => (p.compactMode ? '0' : '3px')};
+  overflow: hidden;
+`
+
+const Legend = styled.div`
+  display: flex;
+  justify-content: center;
+  margin-top: 10px;
+`
+
+const LegendItem = styled.span`
+  display: flex;
+  align-items: center;
+  margin: 0 10px;
+  color: ${theme.textSecondary};
+  &:before {
+    content: '';
+    display: block;
+    width: 10px;
+    height: 10px;
+    margin-right: 5px;
+    border-radius: 50%;
+    background: ${p => p.color};
+  }
+`
+
+const CurrentBadge = styled(Badge.Info)`
+  margin-left: 10px;
+`
+
+const StyledTableCell = styled(TableCell)`
+  max-width: 0;
+  width: 100%;
+  overflow: hidden;
+
+  &&& {
+    border-left-width: 0;
+    border-right-width: 0;
+
+    :first-child,
+    :last-child {
+      border-radius: 0;
+    }
+  }
+`
+
+const Grid = styled.div`
+  display: grid;
+  grid-template-columns: 1fr auto;
+  grid-row-gap: 5px;
+  width: 100%;
+`
+
+const Label = styled.span`
+  color: ${theme.textSecondary};
+`
+
+const Amount = styled.span`
+  font-weight: 600;
+  text-align: right;
+  color: ${({ positive }) => (positive ? theme.positive : theme.negative)};
+`
+
+const NoWrapCell = styled(TableCell)`
+  white-space: nowrap;
+`
+
+export default Periods
@@ -0,0 +1,314 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import styled from 'styled-components'
+import { format } from 'date-fns'
+import {
+  Badge,
+  ContextMenu,
+  ContextMenuItem,
+  IconCheck,
+  IconCross,
+  IconTime,
+  Table,
+  TableCell,
+  TableHeader,
+  TableRow,
+  theme,
+  useViewport,
+} from '@aragon/ui'
+import { useNetwork } from '@aragon/api-react'
+import { toChecksumAddress } from '../lib/web3-utils'
+import { formatTokenAmount } from '../lib/utils'
+import {
+  PAYMENT_STATUS_COMPLETED,
+  PAYMENT_STATUS_DUE,
+  PAYMENT_STATUS_FAILED,
+  PAYMENT_STATUS_PAUSED,
+  formatInterval,
+  getPaymentStatus,
+  paymentStatusToString,
+} from '../lib/payment-utils'
+import LocalIdentityBadge from './LocalIdentityBadge/LocalIdentityBadge'
+
+// Scheduled payments become due without any event being emitted, so we need
+// to refresh the statuses on our own.
+const NOW_REFRESH_INTERVAL = 30 * 1000
+
+const getTokenDetails = (details, { address, decimals, symbol }) => {
+  details[toChecksumAddress(address)] = {
+    decimals,
+    symbol,
+  }
+  return details
+}
+
+const ScheduledPayments = React.memo(
+  ({ payments, tokens, onExecute, onSetPaymentStatus }) => {
+    const { below } = useViewport()
+    const network = useNetwork()
+    const compactMode = below('medium')
+    const [now, setNow] = React.useState(Date.now())
+    React.useEffect(() => {
+      const id = setInterval(() => setNow(Date.now()), NOW_REFRESH_INTERVAL)
+      return () => clearInterval(id)
+    }, [])
+
+    const tokenDetails = tokens.reduce(getTokenDetails, {})
+    const sortedPayments = payments
+      .map(payment => ({ ...payment, status: getPaymentStatus(payment, now) }))
+      // Completed payments are kept at the bottom, the rest by next payment
+      .sort((paymentA, paymentB) => {
+        const completedA = paymentA.status === PAYMENT_STATUS_COMPLETED
+        const completedB = paymentB.status === PAYMENT_STATUS_COMPLETED
+        if (completedA !== completedB) {
+          return completedA ? 1 : -1
+        }
+        return (paymentA.nextPaymentTime || 0) - (paymentB.nextPaymentTime || 0)
+      })
+
+    return (
+      <section>
+        <Title compactMode={compactMode}>Recurring payments</Title>
+        <Table
+          compactMode={compactMode}
+          header={
+            !compactMode && (
+              <TableRow>
+                <TableHeader title="Recipient" css="width: 30%" />
+                <TableHeader title="Reference" css="width: 100%" />
+                <TableHeader title="Frequency" />
+                <TableHeader title="Next payment" />
+                <TableHeader title="Status" />
+                <TableHeader title="Amount" align="right" css="width: 0" />
+                <TableHeader />
+              </TableRow>
+            )
+          }
+          css={`
+            color: ${theme.textPrimary};
+          `}
+        >
+          {sortedPayments.map(payment => (
+            <ScheduledPaymentRow
+              key={payment.id}
+              network={network}
+              payment={payment}
+              token={tokenDetails[toChecksumAddress(payment.token)]}
+              compactMode={compactMode}
+              onExecute={onExecute}
+              onSetPaymentStatus={onSetPaymentStatus}
+            />
+          ))}
+        </Table>
+      </section>
+    )
+  }
+)
+
+ScheduledPayments.propTypes = {
+  payments: PropTypes.array.isRequired,
+  tokens: PropTypes.array.isRequired,
+  onExecute: PropTypes.func.isRequired,
+  onSetPaymentStatus: PropTypes.func.isRequired,
+}
+
+const ScheduledPaymentRow = ({
+  network,
+  payment,
+  token = { decimals: 0, symbol: '' },
+  compactMode,
+  onExecute,
+  onSetPaymentStatus,
+}) => {
+  const {
+    executions,
+    id,
+    inactive,
+    interval,
+    maxExecutions,
+    nextPaymentTime,
+    numData: { amount },
+    receiver,
+    reference,
+    status,
+  } = payment
+
+  const handleExecute = React.useCallback(() => onExecute(payment), [
+    onExecute,
+    payment,
+  ])
+  const handleToggleStatus = React.useCallback(
+    () => onSetPaymentStatus(id, inactive),
+    [onSetPaymentStatus, id, inactive]
+  )
+
+  const formattedAmount = formatTokenAmount(
+    amount,
+    false,
+    token.decimals,
+    true,
+    { rounding: 5 }
+  )
+  const completed = status === PAYMENT_STATUS_COMPLETED
+  const nextPayment = completed
+    ? '−'
+    : `${format(nextPaymentTime, 'dd/MM/yy')} (${executions +
+        1}/${maxExecutions})`
+  const statusBadge = (
+    <StatusBadge status={status}>{paymentStatusToString(status)}</StatusBadge>
+  )
+
+  const menu = !completed && (
+    <ContextMenu>
+      {(status === PAYMENT_STATUS_DUE || status === PAYMENT_STATUS_FAILED) && (
+        <ContextMenuItem onClick={handleExecute}>
+          <IconWrapper>
+            <IconCheck />
+          </IconWrapper>
+          <div css="margin-left: 15px">Execute payment</div>
+        </ContextMenuItem>
+      )}
+      <ContextMenuItem onClick={handleToggleStatus}>
+        <IconWrapper>{inactive ? <IconTime /> : <IconCross />}</IconWrapper>
+        <div css="margin-left: 15px">{inactive ? 'Resume' : 'Pause'}</div>
+      </ContextMenuItem>
+    </ContextMenu>
+  )
+
+  if (compactMode) {
+    return (
+      <TableRow>
+        <StyledTableCell>
+          <Grid>
+            <div css="display: flex">
+              <LocalIdentityBadge
+                networkType={network.type}
+                entity={receiver}
+              />
+            </div>
+            <Amount>
+              {formattedAmount} {token.symbol}
+            </Amount>
+            <TextOverflow css="margin-top: 5px">
+              {reference || formatInterval(interval)}
+            </TextOverflow>
+            <div css="margin-top: 5px; text-align: right">{statusBadge}</div>
+            <div css="margin-top: 5px">{nextPayment}</div>
+            <div css="margin-top: 5px; text-align: right">{menu}</div>
+          </Grid>
+        </StyledTableCell>
+      </TableRow>
+    )
+  }
+
+  return (
+    <TableRow>
+      <NoWrapCell>
+        <LocalIdentityBadge
+          networkType={network.type}
+          entity={receiver}
+          address={receiver}
+        />
+      </NoWrapCell>
+      <NoWrapCell title={reference} css="position: relative">
+        <TextOverflow
+          css={`
+            position: absolute;
+            left: 20px;
+            right: 20px;
+          `}
+        >
+          {reference}
+        </TextOverflow>
+      </NoWrapCell>
+      <NoWrapCell>{formatInterval(interval)}</NoWrapCell>
+      <NoWrapCell>{nextPayment}</NoWrapCell>
+      <NoWrapCell>{statusBadge}</NoWrapCell>
+      <NoWrapCell align="right">
+        <Amount>
+          {formattedAmount} {token.symbol}
+        </Amount>
+      </NoWrapCell>
+      <NoWrapCell>
+        <div css="position: relative">{menu}</div>
+      </NoWrapCell>
+    </TableRow>
+  )
+}
+
+const statusColors = {
+  [PAYMENT_STATUS_DUE]: [theme.badgeNotificationBackground, theme.positiveText],
+  [PAYMENT_STATUS_FAILED]: [theme.negative, theme.negativeText],
+  [PAYMENT_STATUS_PAUSED]: [
+    theme.badgeInfoBackground,
+    theme.badgeInfoForeground,
+  ],
+}
+
+const StatusBadge = styled(Badge).attrs(({ status }) => {
+  const [background, foreground] = statusColors[status] || [
+    theme.badgeAppBackground,
+    theme.badgeAppForeground,
+  ]
+  return { background, foreground }
+})`
+  white-space: nowrap;
+`
+
+const Title = styled.h1`
+  font-weight: 600;
+  margin: ${p => (p.compactMode ? '20px 20px 10px 20px' : '30px 30px 20px 0')};
+`
+
+const StyledTableCell = styled(TableCell)`
+  max-width: 0;
+  width: 100%;
+  overflow: hidden;
+
+  &&& {
+    border-left-width: 0;
+    border-right-width: 0;
+
+    :first-child,
+    :last-child {
+      border-radius: 0;
+    }
+  }
+`
+
+const Amount = styled.span`
+  font-weight: 600;
+  color: ${theme.negative};
+`
+
+const Grid = styled.div`
+  display: grid;
+  grid-template-columns: 1fr auto;
+  grid-column-gap: 10px;
+  width: 100%;
+
+  ${Amount} {
+    text-align: right;
+  }
+`
+
+const NoWrapCell = styled(TableCell)`
+  white-space: nowrap;
+`
+
+const TextOverflow = styled.div`
+  overflow: hidden;
+  white-space: nowrap;
+  text-overflow: ellipsis;
+`
+
+const IconWrapper = styled.span`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: 22px;
+  height: 22px;
+  color: ${theme.textSecondary};
+`
+
+export default ScheduledPayments
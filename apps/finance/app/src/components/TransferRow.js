@@ -3,6 +3,7 @@ import styled from 'styled-components'
 import { format } from 'date-fns'
 import { useNetwork } from '@aragon/api-react'
 import {
+  Badge,
   TableRow,
   TableCell,
   ContextMenu,
@@ -10,17 +11,18 @@ import {
   blockExplorerUrl,
   theme,
 } from '@aragon/ui'
-import { formatTokenAmount } from '../lib/utils'
+import { formatFiatAmount, formatTokenAmount } from '../lib/utils'
 import IconTokens from './icons/IconTokens'
 import IconLabel from './icons/IconLabel'
 import LocalIdentityBadge from './LocalIdentityBadge/LocalIdentityBadge'
 import { useIdentity } from './IdentityManager/IdentityManager'
 
 const TransferRow = React.memo(
-  ({ network, transaction, token, smallViewMode }) => {
+  ({ currency, fiatValue, network, transaction, token, smallViewMode }) => {
     const {
       date,
       entity,
+      isDirectToVault,
       isIncoming,
       numData: { amount },
       reference,
@@ -53,6 +55,12 @@ const TransferRow = React.memo(
 
     const formattedDate = format(date, "yyyy-MM-dd'T'HH:mm:ss.SSSxxx")
 
+    // Value of the transfer at its date, if known
+    const formattedFiatValue =
+      typeof fiatValue === 'number'
+        ? formatFiatAmount(fiatValue, currency)
+        : null
+
     if (smallViewMode) {
       return (
         <TableRow>
@@ -69,10 +77,16 @@ const TransferRow = React.memo(
               <time dateTime={formattedDate} title={formattedDate}>
                 {format(date, 'dd MMM yyyy')}
               </time>
-              <TextOverflow css="margin-top: 5px">{reference}</TextOverflow>
+              <TextOverflow css="margin-top: 5px">
+                {isDirectToVault && <DirectBadge />}
+                {reference}
+              </TextOverflow>
               <Amount positive={isIncoming} css="margin-top: 5px">
                 {formattedAmount} {token.symbol}
               </Amount>
+              {formattedFiatValue && (
+                <FiatValue css="grid-column: 2">{formattedFiatValue}</FiatValue>
+              )}
             </Grid>
           </StyledTableCell>
         </TableRow>
@@ -101,6 +115,7 @@ const TransferRow = React.memo(
               right: 20px;
             `}
           >
+            {isDirectToVault && <DirectBadge />}
             {reference}
           </TextOverflow>
         </NoWrapCell>
@@ -108,6 +123,7 @@ const TransferRow = React.memo(
           <Amount positive={isIncoming}>
             {formattedAmount} {token.symbol}
           </Amount>
+          {formattedFiatValue && <FiatValue>{formattedFiatValue}</FiatValue>}
         </NoWrapCell>
         <NoWrapCell>
           <div css="position: relative">
@@ -152,11 +168,27 @@ const StyledTableCell = styled(TableCell)`
   }
 `
 
+// Transfers made on the vault without going through the Finance app
+const DirectBadge = () => (
+  <Badge.Info
+    title="Made on the vault, without going through the Finance app"
+    css="margin-right: 10px"
+  >
+    Direct to vault
+  </Badge.Info>
+)
+
 const Amount = styled.span`
   font-weight: 600;
   color: ${({ positive }) => (positive ? theme.positive : theme.negative)};
 `
 
+const FiatValue = styled.div`
+  font-size: 12px;
+  text-align: right;
+  color: ${theme.textTertiary};
+`
+
 const Grid = styled.div`
   display: grid;
   grid-template-columns: 1fr auto;
@@ -10,6 +10,7 @@ import {
 } from 'date-fns'
 import {
   Button,
+  SidePanel,
   Table,
   TableHeader,
   TableRow,
@@ -18,12 +19,21 @@ import {
 } from '@aragon/ui'
 import { saveAs } from 'file-saver'
 import * as TransferTypes from '../transfer-types'
-import { addressesEqual, toChecksumAddress } from '../lib/web3-utils'
-import { formatTokenAmount } from '../lib/utils'
+import {
+  addressesEqual,
+  shortenAddress,
+  toChecksumAddress,
+} from '../lib/web3-utils'
+import { formatExport, getExportEntries } from '../lib/export-utils'
+import { getTransferFiatValue } from '../lib/price-providers'
+import ExportPanelContent from './ExportPanelContent'
 import TransferRow from './TransferRow'
 import ToggleFiltersButton from './ToggleFiltersButton'
 import TransfersFilters from './TransfersFilters'
-import { IdentityContext } from './IdentityManager/IdentityManager'
+import {
+  IdentityContext,
+  useIdentities,
+} from './IdentityManager/IdentityManager'
 
 const TRANSFER_TYPES = [
   TransferTypes.All,
@@ -33,81 +43,93 @@ const TRANSFER_TYPES = [
 const INITIAL_TRANSFERS_PER_PAGE = 10
 const TRANSFER_TYPES_STRING = TRANSFER_TYPES.map(TransferTypes.convertToString)
 const formatDate = date => format(date, 'dd/MM/yy')
-const getTokenDetails = (details, { address, decimals, symbol }) => {
+const getTokenDetails = (details, { address, decimals, symbol, verified }) => {
   details[toChecksumAddress(address)] = {
+    address,
     decimals,
     symbol,
+    verified,
   }
   return details
 }
+// Match the search terms against the reference, entity and entity name
+const matchesSearch = ({ entity, reference }, searchTerms, entityNames) => {
+  const searchable = [reference, entity, entityNames[entity.toLowerCase()]]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+  return searchTerms.every(term => searchable.includes(term))
+}
 // Filter transfer based on the selected filters
 const getFilteredTransfers = ({
   transactions,
   selectedToken,
   selectedTransferType,
   selectedDateRange,
+  selectedEntity,
+  searchQuery,
+  entityNames,
 }) => {
   const transferType = TRANSFER_TYPES[selectedTransferType]
+  const searchTerms = searchQuery
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
   return transactions.filter(
-    ({ token, isIncoming, date }) =>
+    transaction =>
       (!selectedDateRange.start ||
         !selectedDateRange.end ||
-        isWithinInterval(new Date(date), {
+        isWithinInterval(new Date(transaction.date), {
           start: startOfDay(selectedDateRange.start),
           end: endOfDay(selectedDateRange.end),
         })) &&
       (selectedToken === null ||
-        addressesEqual(token, selectedToken.address)) &&
+        addressesEqual(transaction.token, selectedToken.address)) &&
       (transferType === TransferTypes.All ||
-        (transferType === TransferTypes.Incoming && isIncoming) ||
-        (transferType === TransferTypes.Outgoing && !isIncoming))
+        (transferType === TransferTypes.Incoming && transaction.isIncoming) ||
+        (transferType === TransferTypes.Outgoing && !transaction.isIncoming)) &&
+      (selectedEntity === null ||
+        addressesEqual(transaction.entity, selectedEntity)) &&
+      (searchTerms.length === 0 ||
+        matchesSearch(transaction, searchTerms, entityNames))
   )
 }
-const getDownloadData = async (transfers, tokenDetails, resolveAddress) => {
-  const mappedData = await Promise.all(
-    transfers.map(
-      async ({
-        date,
-        numData: { amount },
-        reference,
-        isIncoming,
-        entity,
-        token,
-      }) => {
-        const { symbol, decimals } = tokenDetails[toChecksumAddress(token)]
-        const formattedAmount = formatTokenAmount(
-          amount,
-          isIncoming,
-          decimals,
-          true,
-          { rounding: 5 }
-        )
-        const { name = '' } = (await resolveAddress(entity)) || {}
-        return `${formatDate(
-          date
-        )},${name},${entity},${reference},${`"${formattedAmount} ${symbol}"`}`
+// List the counterparties of the transfers, by name first and then by address
+const getEntities = (transactions, entityNames) => {
+  const entities = [
+    ...new Set(transactions.map(({ entity }) => entity.toLowerCase())),
+  ]
+  return entities
+    .map(entity => ({ address: entity, name: entityNames[entity] || null }))
+    .sort((entityA, entityB) => {
+      if (Boolean(entityA.name) !== Boolean(entityB.name)) {
+        return entityA.name ? -1 : 1
       }
-    )
-  )
-  return ['Date,Name,Source/Recipient,Reference,Amount']
-    .concat(mappedData)
-    .join('\n')
+      return entityA.name
+        ? entityA.name.localeCompare(entityB.name)
+        : entityA.address.localeCompare(entityB.address)
+    })
 }
-const getDownloadFilename = (dao, { start, end }) => {
+const getDownloadFilename = (dao, { start, end }, extension) => {
   const today = format(Date.now(), 'yyyy-MM-dd')
-  let filename = `finance_${dao}_${today}.csv`
+  let filename = `finance_${dao}_${today}.${extension}`
   if (start && end) {
     const formattedStart = format(start, 'yyyy-MM-dd')
     const formattedEnd = format(end, 'yyyy-MM-dd')
-    filename = `finance_${dao}_${formattedStart}_to_${formattedEnd}.csv`
+    filename = `finance_${dao}_${formattedStart}_to_${formattedEnd}.${extension}`
   }
   return filename
 }
 
-const Transfers = React.memo(({ dao, tokens, transactions }) => {
+const getFiatValueKey = ({ id }, currency) => `${id}:${currency}`
+
+const Transfers = React.memo(props => {
+  const { currency, dao, priceProvider, tokens, transactions } = props
   const { below } = useViewport()
   const compactMode = below('medium')
   const [filtersOpened, setFiltersOpened] = React.useState(!compactMode)
+  const [exportOpened, setExportOpened] = React.useState(false)
   const [selectedToken, setSelectedToken] = React.useState(0)
   const [displayedTransfers, setDisplayedTransfers] = React.useState(
     INITIAL_TRANSFERS_PER_PAGE
@@ -134,10 +156,32 @@ const Transfers = React.memo(({ dao, tokens, transactions }) => {
     },
     [INITIAL_TRANSFERS_PER_PAGE]
   )
+  const [selectedEntity, setSelectedEntity] = React.useState(null)
+  const [searchQuery, setSearchQuery] = React.useState('')
+  const entityNames = useIdentities([
+    ...new Set(transactions.map(({ entity }) => entity.toLowerCase())),
+  ])
+  const entities = getEntities(transactions, entityNames)
+  const handleEntityChange = React.useCallback(
+    index => {
+      setSelectedEntity(index === 0 ? null : entities[index - 1].address)
+      setDisplayedTransfers(INITIAL_TRANSFERS_PER_PAGE)
+    },
+    [entities, INITIAL_TRANSFERS_PER_PAGE]
+  )
+  const handleSearchChange = React.useCallback(
+    event => {
+      setSearchQuery(event.target.value)
+      setDisplayedTransfers(INITIAL_TRANSFERS_PER_PAGE)
+    },
+    [INITIAL_TRANSFERS_PER_PAGE]
+  )
   const handleResetFilters = React.useCallback(() => {
     setDisplayedTransfers(INITIAL_TRANSFERS_PER_PAGE)
     setSelectedToken(0)
     setSelectedTransferType(0)
+    setSelectedEntity(null)
+    setSearchQuery('')
   }, [INITIAL_TRANSFERS_PER_PAGE])
   const showMoreTransfers = React.useCallback(() => {
     setDisplayedTransfers(displayedTransfers + INITIAL_TRANSFERS_PER_PAGE)
@@ -147,20 +191,93 @@ const Transfers = React.memo(({ dao, tokens, transactions }) => {
     selectedToken: selectedToken !== 0 ? tokens[selectedToken - 1] : null,
     selectedTransferType,
     selectedDateRange,
+    selectedEntity,
+    searchQuery,
+    entityNames,
   })
+  const pageTransfers = filteredTransfers
+    .sort(({ date: dateLeft }, { date: dateRight }) =>
+      // Sort by date descending
+      compareDesc(dateLeft, dateRight)
+    )
+    .slice(0, displayedTransfers)
   const symbols = tokens.map(({ symbol }) => symbol)
   const tokenDetails = tokens.reduce(getTokenDetails, {})
-  const filtersActive = selectedToken !== 0 || selectedTransferType !== 0
+  const getFiatValue = React.useCallback(
+    transfer =>
+      getTransferFiatValue(
+        priceProvider,
+        transfer,
+        tokenDetails[toChecksumAddress(transfer.token)],
+        currency
+      ).catch(() => null),
+    [currency, priceProvider, tokenDetails]
+  )
+
+  // Fiat values of the displayed transfers, by transfer and currency
+  const [fiatValues, setFiatValues] = React.useState({})
+  const pageTransfersKey = pageTransfers.map(({ id }) => id).join(',')
+  React.useEffect(() => {
+    const missingTransfers = pageTransfers.filter(
+      transfer => !(getFiatValueKey(transfer, currency) in fiatValues)
+    )
+    if (missingTransfers.length === 0) {
+      return
+    }
+    let cancelled = false
+    Promise.all(missingTransfers.map(getFiatValue)).then(values => {
+      if (!cancelled) {
+        setFiatValues(fiatValues =>
+          missingTransfers.reduce(
+            (fiatValues, transfer, index) => ({
+              ...fiatValues,
+              [getFiatValueKey(transfer, currency)]: values[index],
+            }),
+            fiatValues
+          )
+        )
+      }
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [pageTransfersKey, currency, priceProvider])
+
+  const filtersActive =
+    selectedToken !== 0 ||
+    selectedTransferType !== 0 ||
+    selectedEntity !== null ||
+    searchQuery.trim() !== ''
   const { resolve: resolveAddress } = React.useContext(IdentityContext)
-  const handleDownload = React.useCallback(async () => {
-    const data = await getDownloadData(
+  const handleDownload = React.useCallback(() => {
+    setExportOpened(true)
+  }, [])
+  const handleExportClose = React.useCallback(() => {
+    setExportOpened(false)
+  }, [])
+  const handleExport = React.useCallback(
+    async ({ columns, extension, format, mimeType }) => {
+      const entries = await getExportEntries(
+        filteredTransfers,
+        tokenDetails,
+        resolveAddress,
+        getFiatValue
+      )
+      const data = formatExport(entries, { columns, currency, format })
+      const filename = getDownloadFilename(dao, selectedDateRange, extension)
+      saveAs(new Blob([data], { type: `${mimeType};charset=utf-8` }), filename)
+      setExportOpened(false)
+    },
+    [
+      currency,
+      dao,
       filteredTransfers,
+      getFiatValue,
       tokenDetails,
-      resolveAddress
-    )
-    const filename = getDownloadFilename(dao, selectedDateRange)
-    saveAs(new Blob([data], { type: 'text/csv;charset=utf-8' }), filename)
-  }, [filteredTransfers, tokenDetails, resolveAddress])
+      resolveAddress,
+      selectedDateRange,
+    ]
+  )
 
   return (
     <section>
@@ -184,6 +301,19 @@ const Transfers = React.memo(({ dao, tokens, transactions }) => {
           onTokenChange={handleTokenChange}
           transferTypeFilter={selectedTransferType}
           onTransferTypeChange={handleTransferTypeChange}
+          entities={entities.map(
+            ({ address, name }) => name || shortenAddress(address)
+          )}
+          entityFilter={
+            selectedEntity === null
+              ? 0
+              : entities.findIndex(
+                  ({ address }) => address === selectedEntity
+                ) + 1
+          }
+          onEntityChange={handleEntityChange}
+          searchFilter={searchQuery}
+          onSearchChange={handleSearchChange}
           compactMode={compactMode}
           opened={filtersOpened}
           symbols={symbols}
@@ -226,20 +356,16 @@ const Transfers = React.memo(({ dao, tokens, transactions }) => {
               margin-bottom: 20px;
             `}
           >
-            {filteredTransfers
-              .sort(({ date: dateLeft }, { date: dateRight }) =>
-                // Sort by date descending
-                compareDesc(dateLeft, dateRight)
-              )
-              .slice(0, displayedTransfers)
-              .map(transfer => (
-                <TransferRow
-                  key={transfer.transactionHash}
-                  token={tokenDetails[toChecksumAddress(transfer.token)]}
-                  transaction={transfer}
-                  smallViewMode={compactMode}
-                />
-              ))}
+            {pageTransfers.map(transfer => (
+              <TransferRow
+                key={transfer.id}
+                currency={currency}
+                fiatValue={fiatValues[getFiatValueKey(transfer, currency)]}
+                token={tokenDetails[toChecksumAddress(transfer.token)]}
+                transaction={transfer}
+                smallViewMode={compactMode}
+              />
+            ))}
           </Table>
           {displayedTransfers < filteredTransfers.length && (
             <Footer compactMode={compactMode}>
@@ -250,12 +376,24 @@ const Transfers = React.memo(({ dao, tokens, transactions }) => {
           )}
         </div>
       )}
+      <SidePanel
+        opened={exportOpened}
+        onClose={handleExportClose}
+        title="Export transfers"
+      >
+        <ExportPanelContent
+          transfersCount={filteredTransfers.length}
+          onExport={handleExport}
+        />
+      </SidePanel>
     </section>
   )
 })
 
 Transfers.propTypes = {
+  currency: PropTypes.string.isRequired,
   dao: PropTypes.string.isRequired,
+  priceProvider: PropTypes.object.isRequired,
   tokens: PropTypes.array.isRequired,
   transactions: PropTypes.array.isRequired,
 }
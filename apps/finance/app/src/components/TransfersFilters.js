@@ -1,6 +1,6 @@
 import React from 'react'
 import styled, { css } from 'styled-components'
-import { DropDown, springs, theme, unselectable } from '@aragon/ui'
+import { DropDown, TextInput, springs, theme, unselectable } from '@aragon/ui'
 import { Spring, animated } from 'react-spring'
 import DownloadButton from './DownloadButton'
 import DateRange from './DateRange/DateRangeInput'
@@ -16,6 +16,11 @@ const TransfersFilters = ({
   transferTypes,
   transferTypeFilter,
   onTransferTypeChange,
+  entities,
+  entityFilter,
+  onEntityChange,
+  searchFilter,
+  onSearchChange,
   onDownload,
 }) => (
   <Spring
@@ -48,7 +53,7 @@ const TransfersFilters = ({
               css={`
                 width: 100%;
                 display: flex;
-                flex-wrap: nowrap;
+                flex-wrap: ${compactMode ? 'nowrap' : 'wrap'};
                 flex-direction: ${compactMode ? 'column' : 'row'};
               `}
             >
@@ -82,6 +87,25 @@ const TransfersFilters = ({
                   />
                 </Filter>
               </FiltersGroup>
+              <FiltersGroup compact={compactMode}>
+                <Filter>
+                  <FilterLabel>Counterparty</FilterLabel>
+                  <DropDown
+                    items={['All', ...entities]}
+                    active={entityFilter}
+                    onChange={onEntityChange}
+                  />
+                </Filter>
+                <Filter>
+                  <FilterLabel>Search</FilterLabel>
+                  <TextInput
+                    type="search"
+                    placeholder="Reference, address or name"
+                    value={searchFilter}
+                    onChange={onSearchChange}
+                  />
+                </Filter>
+              </FiltersGroup>
             </div>
             <div>
               <Download compact={compactMode}>
@@ -144,6 +168,7 @@ const FiltersGroup = styled.div`
   display: ${p => (p.compact ? 'flex' : 'inline-flex')};
   align-items: flex-start;
   justify-content: ${p => (p.compact ? 'unset' : 'space-between')};
+  margin-bottom: ${p => (p.compact ? '0' : '10px')};
   & + & {
     margin-top: ${p => (p.compact ? '16px' : '0')};
   }
@@ -0,0 +1,159 @@
+import { addMonths, isBefore, startOfMonth, subMonths } from 'date-fns'
+import { addressesEqual } from './web3-utils'
+
+// Average duration of a month, used to normalize burn rates
+export const MONTH_DURATION = (365.25 / 12) * 24 * 60 * 60 * 1000
+
+// Note that the amounts returned by these functions use `numData` numbers,
+// which are fine to display but not for accurate computations.
+const toUnits = (amount, decimals) => amount / Math.pow(10, decimals)
+
+const getTokenTransactions = (transactions, token) =>
+  transactions.filter(transaction =>
+    addressesEqual(transaction.token, token.address)
+  )
+
+/**
+ * Get the inflow and outflow of a token for each month, up to the current one.
+ *
+ * @param {Array<Object>} transactions Transactions, from the app state
+ * @param {Object} token Token ({ address, decimals })
+ * @param {number} monthsCount Number of months
+ * @param {number} [now=Date.now()] Current time
+ * @returns {Array<Object>} Flows, as { month, inflow, outflow }, oldest first
+ */
+export function getMonthlyFlows(
+  transactions,
+  token,
+  monthsCount,
+  now = Date.now()
+) {
+  const firstMonth = subMonths(startOfMonth(now), monthsCount - 1)
+  const months = [...Array(monthsCount)].map((_, index) => ({
+    month: addMonths(firstMonth, index),
+    inflow: 0,
+    outflow: 0,
+  }))
+
+  getTokenTransactions(transactions, token).forEach(
+    ({ date, isIncoming, numData }) => {
+      // Find the last month starting before the transaction
+      const index = months.findIndex(
+        ({ month }, index) =>
+          !isBefore(date, month) &&
+          (index === months.length - 1 ||
+            isBefore(date, months[index + 1].month))
+      )
+      if (index === -1) {
+        return
+      }
+      const amount = toUnits(numData.amount, token.decimals)
+      if (isIncoming) {
+        months[index].inflow += amount
+      } else {
+        months[index].outflow += amount
+      }
+    }
+  )
+
+  return months
+}
+
+/**
+ * Get the counterparties having exchanged the most of a token with the
+ * organization.
+ *
+ * @param {Array<Object>} transactions Transactions, from the app state
+ * @param {Object} token Token ({ address, decimals })
+ * @param {number} count Maximum number of counterparties
+ * @returns {Array<Object>} Counterparties, as { entity, inflow, outflow, transfers }
+ */
+export function getTopCounterparties(transactions, token, count) {
+  const counterparties = new Map()
+
+  getTokenTransactions(transactions, token).forEach(
+    ({ entity, isIncoming, numData }) => {
+      const key = entity.toLowerCase()
+      const counterparty = counterparties.get(key) || {
+        entity,
+        inflow: 0,
+        outflow: 0,
+        transfers: 0,
+      }
+      const amount = toUnits(numData.amount, token.decimals)
+      counterparties.set(key, {
+        ...counterparty,
+        inflow: counterparty.inflow + (isIncoming ? amount : 0),
+        outflow: counterparty.outflow + (isIncoming ? 0 : amount),
+        transfers: counterparty.transfers + 1,
+      })
+    }
+  )
+
+  return [...counterparties.values()]
+    .sort(
+      (counterpartyA, counterpartyB) =>
+        counterpartyB.inflow +
+        counterpartyB.outflow -
+        (counterpartyA.inflow + counterpartyA.outflow)
+    )
+    .slice(0, count)
+}
+
+/**
+ * Get the average monthly spending of a token over the last completed
+ * accounting periods.
+ *
+ * @param {Array<Object>} periods Periods, from the app state
+ * @param {Object} token Token ({ address, decimals })
+ * @param {number} periodsCount Number of trailing periods to average
+ * @param {number} [now=Date.now()] Current time
+ * @returns {number|null} Monthly burn rate, or null without completed periods
+ */
+export function getMonthlyBurnRate(
+  periods,
+  token,
+  periodsCount,
+  now = Date.now()
+) {
+  const trailingPeriods = periods
+    .filter(({ endTime }) => endTime <= now)
+    .sort((periodA, periodB) => periodB.endTime - periodA.endTime)
+    .slice(0, periodsCount)
+
+  if (trailingPeriods.length === 0) {
+    return null
+  }
+
+  const { duration, expenses } = trailingPeriods.reduce(
+    (total, { endTime, startTime, statements }) => {
+      const statement = statements.find(statement =>
+        addressesEqual(statement.token, token.address)
+      )
+      return {
+        duration: total.duration + (endTime - startTime),
+        expenses:
+          total.expenses +
+          (statement ? toUnits(statement.numData.expenses, token.decimals) : 0),
+      }
+    },
+    { duration: 0, expenses: 0 }
+  )
+
+  return duration > 0 ? (expenses / duration) * MONTH_DURATION : null
+}
+
+/**
+ * Estimate the number of months the balance of a token would last at a given
+ * burn rate.
+ *
+ * @param {number} balance Balance, in token units
+ * @param {number|null} burnRate Monthly burn rate, in token units
+ * @returns {number|null} Months of runway, Infinity without spending, or null if unknown
+ */
+export function getRunway(balance, burnRate) {
+  if (burnRate === null) {
+    return null
+  }
+  return burnRate > 0 ? balance / burnRate : Infinity
+}
@@ -0,0 +1,52 @@
+/**
+ * Parse CSV content into rows of fields.
+ *
+ * Supports quoted fields (with `""` as an escaped quote), which can contain
+ * commas and line breaks. Empty lines are skipped.
+ *
+ * @param {string} text CSV content
+ * @returns {Array<Array<string>>} Parsed rows
+ */
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  const endField = () => {
+    row.push(field.trim())
+    field = ''
+  }
+  const endRow = () => {
+    endField()
+    if (row.some(value => value !== '')) {
+      rows.push(row)
+    }
+    row = []
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      endField()
+    } else if (char === '\n') {
+      endRow()
+    } else if (char !== '\r') {
+      field += char
+    }
+  }
+  endRow()
+
+  return rows
+}
@@ -0,0 +1,68 @@
+import { numberToHex, padLeft, padRight, sha3, utf8ToHex } from 'web3-utils'
+
+const CALLSCRIPT_ID = '0x00000001'
+const NEW_IMMEDIATE_PAYMENT_SIGNATURE =
+  'newImmediatePayment(address,address,uint256,string)'
+
+const strip0x = hex => hex.replace(/^0x/, '')
+const encodeWord = hex => padLeft(strip0x(hex), 64)
+
+function encodeString(str) {
+  const data = strip0x(utf8ToHex(str))
+  const byteLength = data.length / 2
+  // Right pad the data to the next full word
+  const paddedLength = Math.ceil(byteLength / 32) * 64
+  return (
+    encodeWord(numberToHex(byteLength)) +
+    (paddedLength > 0 ? padRight(data, paddedLength) : '')
+  )
+}
+
+/**
+ * Encode the calldata of a call to the Finance app's `newImmediatePayment()`
+ *
+ * @param {Object} payment Payment
+ * @param {string} payment.token Address of the token
+ * @param {string} payment.recipient Address of the recipient
+ * @param {string} payment.amount Amount, in the token's base unit
+ * @param {string} payment.reference Reference of the payment
+ * @returns {string} Calldata, as a 0x prefixed hex string
+ */
+export function encodeNewImmediatePayment({
+  token,
+  recipient,
+  amount,
+  reference,
+}) {
+  const selector = sha3(NEW_IMMEDIATE_PAYMENT_SIGNATURE).slice(0, 10)
+  // The string is the only dynamic parameter, and is placed right after the
+  // four head words
+  const stringOffset = numberToHex(4 * 32)
+  return (
+    selector +
+    encodeWord(token) +
+    encodeWord(recipient) +
+    encodeWord(numberToHex(amount)) +
+    encodeWord(stringOffset) +
+    encodeString(reference)
+  ).toLowerCase()
+}
+
+/**
+ * Encode a list of actions into an EVM call script (spec id 1), where each
+ * action is made of the target's address, the calldata length (uint32) and
+ * the calldata itself.
+ *
+ * @param {Array<Object>} actions Actions, as { to, calldata } objects
+ * @returns {string} EVM script, as a 0x prefixed hex string
+ */
+export function encodeCallScript(actions) {
+  return actions.reduce(
+    (script, { to, calldata }) =>
+      script +
+      padLeft(strip0x(to), 40).toLowerCase() +
+      padLeft(numberToHex(strip0x(calldata).length / 2).slice(2), 8) +
+      strip0x(calldata),
+    CALLSCRIPT_ID
+  )
+}
@@ -0,0 +1,229 @@
+import { format } from 'date-fns'
+import { fromDecimals } from './math-utils'
+import { toChecksumAddress } from './web3-utils'
+
+export const EXPORT_FORMAT_CSV = Symbol('EXPORT_FORMAT_CSV')
+export const EXPORT_FORMAT_ACCOUNTING = Symbol('EXPORT_FORMAT_ACCOUNTING')
+export const EXPORT_FORMAT_JSON = Symbol('EXPORT_FORMAT_JSON')
+
+export const EXPORT_FORMATS = [
+  {
+    format: EXPORT_FORMAT_CSV,
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+  },
+  {
+    format: EXPORT_FORMAT_ACCOUNTING,
+    label: 'Accounting (debit / credit CSV)',
+    extension: 'csv',
+    mimeType: 'text/csv',
+  },
+  {
+    format: EXPORT_FORMAT_JSON,
+    label: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+  },
+]
+
+// Columns available in the exports. The amount column is split into separate
+// debit and credit columns in the accounting format.
+export const EXPORT_COLUMNS = [
+  { id: 'date', label: 'Date', defaultSelected: true },
+  { id: 'name', label: 'Name', defaultSelected: true },
+  { id: 'entity', label: 'Source/Recipient', defaultSelected: true },
+  { id: 'reference', label: 'Reference', defaultSelected: true },
+  { id: 'direction', label: 'Direction', defaultSelected: false },
+  { id: 'amount', label: 'Amount', defaultSelected: true },
+  { id: 'symbol', label: 'Token', defaultSelected: true },
+  { id: 'fiatValue', label: 'Fiat value', defaultSelected: false },
+  { id: 'token', label: 'Token address', defaultSelected: false },
+  { id: 'periodId', label: 'Period', defaultSelected: false },
+  { id: 'transactionHash', label: 'Transaction hash', defaultSelected: false },
+]
+
+const CSV_SPECIAL_CHARS = /[",\r\n]/
+
+/**
+ * Escape a value to be used as a CSV field (RFC 4180): fields containing
+ * commas, quotes or line breaks are quoted, and their quotes are doubled.
+ *
+ * @param {*} value Value of the field
+ * @returns {string} Escaped field
+ */
+export function escapeCsvField(value) {
+  const field = value === null || value === undefined ? '' : String(value)
+  return CSV_SPECIAL_CHARS.test(field) || field.trim() !== field
+    ? `"${field.replace(/"/g, '""')}"`
+    : field
+}
+
+function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n')
+}
+
+/**
+ * Prepare the transfers to be exported, with their amounts converted to exact
+ * decimal strings, their entities resolved to local identity names and their
+ * fiat values at the time of the transfer.
+ *
+ * @param {Array<Object>} transfers Transfers, from the app state
+ * @param {Object} tokenDetails Token details ({ decimals, symbol }), by checksummed address
+ * @param {function} resolveAddress Local identity resolver
+ * @param {function} [getFiatValue] Resolves the fiat value of a transfer, or null if unknown
+ * @returns {Promise<Array<Object>>} Entries to export
+ */
+export async function getExportEntries(
+  transfers,
+  tokenDetails,
+  resolveAddress,
+  getFiatValue = async () => null
+) {
+  return Promise.all(
+    transfers.map(async transfer => {
+      const {
+        amount,
+        date,
+        entity,
+        isIncoming,
+        periodId,
+        reference,
+        token,
+        transactionHash,
+      } = transfer
+      const { decimals, symbol } = tokenDetails[toChecksumAddress(token)]
+      const [identity, fiatValue] = await Promise.all([
+        resolveAddress(entity),
+        getFiatValue(transfer),
+      ])
+      const { name = '' } = identity || {}
+      return {
+        amount: fromDecimals(amount.toString(), decimals),
+        date,
+        direction: isIncoming ? 'Incoming' : 'Outgoing',
+        entity,
+        fiatValue,
+        isIncoming,
+        name,
+        periodId,
+        reference,
+        symbol,
+        token,
+        transactionHash,
+      }
+    })
+  )
+}
+
+function getColumnValue(entry, columnId) {
+  if (columnId === 'date') {
+    return format(entry.date, 'yyyy-MM-dd HH:mm:ss')
+  }
+  if (columnId === 'amount') {
+    return `${entry.isIncoming ? '' : '-'}${entry.amount}`
+  }
+  if (columnId === 'fiatValue') {
+    return entry.fiatValue === null ? '' : entry.fiatValue.toFixed(2)
+  }
+  if (columnId === 'periodId') {
+    // Periods are displayed starting from 1 in the app, and transfers made
+    // directly on the vault don't belong to any
+    return entry.periodId === null
+      ? ''
+      : String(parseInt(entry.periodId, 10) + 1)
+  }
+  return entry[columnId]
+}
+
+function getColumns(columnIds, currency) {
+  return EXPORT_COLUMNS.filter(({ id }) => columnIds.includes(id)).map(column =>
+    column.id === 'fiatValue'
+      ? { ...column, label: `${column.label} (${currency})` }
+      : column
+  )
+}
+
+function formatCsv(entries, columns) {
+  return toCsv([
+    columns.map(({ label }) => label),
+    ...entries.map(entry => columns.map(({ id }) => getColumnValue(entry, id))),
+  ])
+}
+
+function formatAccounting(entries, columns) {
+  // Incoming transfers debit the organization's funds, and outgoing transfers
+  // credit them
+  const headers = columns.reduce(
+    (headers, { id, label }) =>
+      id === 'amount' ? [...headers, 'Debit', 'Credit'] : [...headers, label],
+    []
+  )
+  return toCsv([
+    headers,
+    ...entries.map(entry =>
+      columns.reduce(
+        (row, { id }) =>
+          id === 'amount'
+            ? [
+                ...row,
+                entry.isIncoming ? entry.amount : '',
+                entry.isIncoming ? '' : entry.amount,
+              ]
+            : [...row, getColumnValue(entry, id)],
+        []
+      )
+    ),
+  ])
+}
+
+function getJsonValue(entry, columnId) {
+  if (columnId === 'date') {
+    return new Date(entry.date).toISOString()
+  }
+  if (columnId === 'fiatValue') {
+    return entry.fiatValue
+  }
+  return getColumnValue(entry, columnId)
+}
+
+function formatJson(entries, columns, currency) {
+  return JSON.stringify(
+    entries.map(entry =>
+      columns.reduce(
+        (data, { id }) => ({
+          ...data,
+          [id]: getJsonValue(entry, id),
+          ...(id === 'fiatValue' ? { fiatCurrency: currency } : {}),
+        }),
+        {}
+      )
+    ),
+    null,
+    2
+  )
+}
+
+/**
+ * Format entries to be exported.
+ *
+ * @param {Array<Object>} entries Entries, as returned by getExportEntries()
+ * @param {Object} options Export options
+ * @param {Symbol} options.format One of the EXPORT_FORMAT_* symbols
+ * @param {Array<string>} options.columns Identifiers of the exported columns
+ * @param {string} [options.currency] Fiat currency of the values
+ * @returns {string} Exported data
+ */
+export function formatExport(
+  entries,
+  { format: exportFormat, columns: columnIds, currency = 'USD' }
+) {
+  const columns = getColumns(columnIds, currency)
+  if (exportFormat === EXPORT_FORMAT_JSON) {
+    return formatJson(entries, columns, currency)
+  }
+  if (exportFormat === EXPORT_FORMAT_ACCOUNTING) {
+    return formatAccounting(entries, columns)
+  }
+  return formatCsv(entries, columns)
+}
@@ -0,0 +1,69 @@
+import { addressesEqual } from './web3-utils'
+
+const DAY_IN_MS = 1000 * 60 * 60 * 24
+
+// Intervals offered when creating scheduled payments (in ms, as they are
+// stored in the app state)
+export const PAYMENT_INTERVALS = [
+  { label: 'Daily', duration: DAY_IN_MS },
+  { label: 'Weekly', duration: DAY_IN_MS * 7 },
+  { label: 'Every two weeks', duration: DAY_IN_MS * 14 },
+  { label: 'Monthly (30 days)', duration: DAY_IN_MS * 30 },
+  { label: 'Quarterly (90 days)', duration: DAY_IN_MS * 90 },
+  { label: 'Yearly (365 days)', duration: DAY_IN_MS * 365 },
+]
+
+export const PAYMENT_STATUS_ACTIVE = Symbol('PAYMENT_STATUS_ACTIVE')
+export const PAYMENT_STATUS_DUE = Symbol('PAYMENT_STATUS_DUE')
+export const PAYMENT_STATUS_FAILED = Symbol('PAYMENT_STATUS_FAILED')
+export const PAYMENT_STATUS_PAUSED = Symbol('PAYMENT_STATUS_PAUSED')
+export const PAYMENT_STATUS_COMPLETED = Symbol('PAYMENT_STATUS_COMPLETED')
+
+const paymentStatusStrings = {
+  [PAYMENT_STATUS_ACTIVE]: 'Active',
+  [PAYMENT_STATUS_DUE]: 'Due',
+  [PAYMENT_STATUS_FAILED]: 'Failed',
+  [PAYMENT_STATUS_PAUSED]: 'Paused',
+  [PAYMENT_STATUS_COMPLETED]: 'Completed',
+}
+
+export function getPaymentStatus(
+  { executions, failed, inactive, maxExecutions, nextPaymentTime },
+  now = Date.now()
+) {
+  if (executions >= maxExecutions) {
+    return PAYMENT_STATUS_COMPLETED
+  }
+  if (inactive) {
+    return PAYMENT_STATUS_PAUSED
+  }
+  if (failed) {
+    return PAYMENT_STATUS_FAILED
+  }
+  return nextPaymentTime !== null && nextPaymentTime <= now
+    ? PAYMENT_STATUS_DUE
+    : PAYMENT_STATUS_ACTIVE
+}
+
+export function paymentStatusToString(status) {
+  return paymentStatusStrings[status]
+}
+
+// Payments can be executed by anyone holding the EXECUTE_PAYMENTS_ROLE, but
+// their receiver is always allowed to trigger them.
+export function isPaymentReceiver({ receiver }, account) {
+  return Boolean(account) && addressesEqual(receiver, account)
+}
+
+export function formatInterval(interval) {
+  const preset = PAYMENT_INTERVALS.find(({ duration }) => duration === interval)
+  if (preset) {
+    return preset.label
+  }
+  const days = interval / DAY_IN_MS
+  if (days >= 1) {
+    return `Every ${Math.round(days * 10) / 10} days`
+  }
+  const hours = interval / (DAY_IN_MS / 24)
+  return `Every ${Math.round(hours * 10) / 10} hours`
+}
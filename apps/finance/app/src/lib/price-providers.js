@@ -0,0 +1,152 @@
+import { format } from 'date-fns'
+import { toChecksumAddress } from './web3-utils'
+import staticRates from './static-rates.json'
+
+export const FIAT_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF']
+export const DEFAULT_FIAT_CURRENCY = FIAT_CURRENCIES[0]
+
+const CRYPTOCOMPARE_API_BASE = 'https://min-api.cryptocompare.com/data'
+
+// Historical rates are cached for each day
+const getDayKey = date => format(date, 'yyyy-MM-dd')
+
+/*
+ * Price providers give the value of tokens in fiat currencies, and expose:
+ *
+ *   getRates(tokens, currency)
+ *     Resolves to the current price of the tokens ({ address, symbol,
+ *     verified }), as { [checksummed address]: price }. Tokens without a
+ *     known price are omitted.
+ *
+ *   getHistoricalRate(token, currency, date)
+ *     Resolves to the price of a token on a given date, or null if unknown.
+ */
+
+/**
+ * Create a price provider using the CryptoCompare API. Only verified tokens
+ * are priced, as anyone can deploy a token using a known symbol.
+ *
+ * @returns {Object} Price provider
+ */
+export function createCryptoCompareProvider() {
+  const historicalCache = new Map()
+
+  return {
+    async getRates(tokens, currency) {
+      const verifiedTokens = tokens.filter(({ verified }) => verified)
+      if (verifiedTokens.length === 0) {
+        return {}
+      }
+      const res = await fetch(
+        `${CRYPTOCOMPARE_API_BASE}/pricemulti?fsyms=${verifiedTokens
+          .map(({ symbol }) => symbol)
+          .join(',')}&tsyms=${currency}`
+      )
+      const prices = await res.json()
+      return verifiedTokens.reduce((rates, { address, symbol }) => {
+        if (prices[symbol] && prices[symbol][currency]) {
+          rates[toChecksumAddress(address)] = prices[symbol][currency]
+        }
+        return rates
+      }, {})
+    },
+    async getHistoricalRate({ symbol, verified }, currency, date) {
+      if (!verified) {
+        return null
+      }
+      const cacheKey = `${symbol}:${currency}:${getDayKey(date)}`
+      if (!historicalCache.has(cacheKey)) {
+        const timestamp = Math.floor(date / 1000)
+        const request = fetch(
+          `${CRYPTOCOMPARE_API_BASE}/pricehistorical?fsym=${symbol}&tsyms=${currency}&ts=${timestamp}`
+        )
+          .then(res => res.json())
+          .then(prices =>
+            prices[symbol] && prices[symbol][currency]
+              ? prices[symbol][currency]
+              : null
+          )
+          .catch(err => {
+            // Allow failed requests to be retried later
+            historicalCache.delete(cacheKey)
+            throw err
+          })
+        historicalCache.set(cacheKey, request)
+      }
+      return historicalCache.get(cacheKey)
+    },
+  }
+}
+
+/**
+ * Create a price provider from static rates, e.g. for offline or local
+ * environments. Tokens are looked up by address first, then by symbol, and
+ * dates without a historical rate use the current rate.
+ *
+ * @param {Object} data Rates
+ * @param {Object} data.rates Current rates, as { [currency]: { [address or symbol]: price } }
+ * @param {Object} [data.historicalRates] Historical rates, as { [currency]: { [address or symbol]: { [yyyy-MM-dd]: price } } }
+ * @returns {Object} Price provider
+ */
+export function createStaticProvider({ rates, historicalRates = {} }) {
+  const findEntry = (entries = {}, { address, symbol }) => {
+    const keys = Object.keys(entries)
+    const matches = value => key =>
+      key.toLowerCase() === (value || '').toLowerCase()
+    const key = keys.find(matches(address)) || keys.find(matches(symbol))
+    return key === undefined ? null : entries[key]
+  }
+
+  return {
+    async getRates(tokens, currency) {
+      return tokens.reduce((result, token) => {
+        const rate = findEntry(rates[currency], token)
+        if (rate !== null) {
+          result[toChecksumAddress(token.address)] = rate
+        }
+        return result
+      }, {})
+    },
+    async getHistoricalRate(token, currency, date) {
+      const historical = findEntry(historicalRates[currency], token)
+      return (
+        (historical && historical[getDayKey(date)]) ||
+        findEntry(rates[currency], token)
+      )
+    },
+  }
+}
+
+/**
+ * Get the price provider to use on a network. Local networks use the static
+ * rates, as their tokens aren't priced anywhere.
+ *
+ * @param {Object} network Network, as returned by useNetwork()
+ * @returns {Object} Price provider
+ */
+export function getPriceProvider(network) {
+  return network && network.type === 'private'
+    ? createStaticProvider(staticRates)
+    : createCryptoCompareProvider()
+}
+
+/**
+ * Get the fiat value of a transfer, at the rate of its date.
+ *
+ * @param {Object} provider Price provider
+ * @param {Object} transfer Transfer, from the app state
+ * @param {Object} token Token of the transfer ({ address, decimals, symbol, verified })
+ * @param {string} currency Fiat currency
+ * @returns {Promise<number|null>} Value of the transfer, or null if unknown
+ */
+export async function getTransferFiatValue(
+  provider,
+  transfer,
+  token,
+  currency
+) {
+  const rate = await provider.getHistoricalRate(token, currency, transfer.date)
+  return rate === null
+    ? null
+    : (transfer.numData.amount / Math.pow(10, token.decimals)) * rate
+}
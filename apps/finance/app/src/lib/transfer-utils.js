@@ -0,0 +1,35 @@
+import { toDecimals } from './math-utils'
+
+export const NO_ERROR = Symbol('NO_ERROR')
+export const RECEIPIENT_NOT_ADDRESS_ERROR = Symbol(
+  'RECEIPIENT_NOT_ADDRESS_ERROR'
+)
+export const DECIMALS_TOO_MANY_ERROR = Symbol('DECIMALS_TOO_MANY_ERROR')
+export const AMOUNT_ZERO_ERROR = Symbol('AMOUNT_ZERO_ERROR')
+
+const transferErrorStrings = {
+  [RECEIPIENT_NOT_ADDRESS_ERROR]: 'Recipient must be a valid Ethereum address',
+  [DECIMALS_TOO_MANY_ERROR]: 'Amount contains too many decimal places',
+  [AMOUNT_ZERO_ERROR]: 'Amount must be greater than zero',
+}
+
+export function transferErrorToString(error) {
+  return transferErrorStrings[error]
+}
+
+// Convert an amount entered by the user to the token's base unit, as the
+// contract expects it, and check that it can be transferred (or used as a
+// limit, with `allowZero`)
+export function adjustAmount(amount, decimals, { allowZero = false } = {}) {
+  // Adjust but without truncation in case the user entered a value with more
+  // decimals than possible
+  const adjustedAmount = toDecimals(amount, decimals, { truncate: false })
+
+  if (adjustedAmount.indexOf('.') !== -1) {
+    return { adjustedAmount, error: DECIMALS_TOO_MANY_ERROR }
+  }
+  if (!allowZero && adjustedAmount === '0') {
+    return { adjustedAmount, error: AMOUNT_ZERO_ERROR }
+  }
+  return { adjustedAmount, error: NO_ERROR }
+}
@@ -28,3 +28,18 @@ export function formatTokenAmount(
     formatDecimals(round(amount / Math.pow(10, decimals), rounding), 18)
   )
 }
+
+export function formatFiatAmount(value, currency) {
+  try {
+    return value.toLocaleString(undefined, {
+      style: 'currency',
+      currency,
+    })
+  } catch (err) {
+    if (err.name === 'RangeError') {
+      // Fallback to the currency code if it is not supported.
+      return `${formatDecimals(value, 2)} ${currency}`
+    }
+    throw err
+  }
+}
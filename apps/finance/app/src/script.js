@@ -1,5 +1,6 @@
 import Aragon, { events } from '@aragon/api'
 import { first } from 'rxjs/operators'
+import { hexToNumberString, padLeft, sha3 } from 'web3-utils'
 import { getTestTokenAddresses } from './testnet'
 import {
   ETHER_TOKEN_FAKE_ADDRESS,
@@ -31,6 +32,9 @@ const tokenSymbols = new Map() // External contract -> symbol
 
 const ETH_CONTRACT = Symbol('ETH_CONTRACT')
 
+// Emitted by any app recovering its funds to the vault (`transferToVault()`)
+const RECOVER_TO_VAULT_TOPIC = sha3('RecoverToVault(address,address,uint256)')
+
 const app = new Aragon()
 
 /*
@@ -110,46 +114,66 @@ async function initialize(vaultAddress, ethAddress) {
   } catch (err) {
     console.error("Could not get attached vault's initialization block:", err)
   }
+  settings.vault.initializationBlock = vaultInitializationBlock
 
-  return app.store(
-    async (state, event) => {
-      const { vault } = settings
-      const { address: eventAddress, event: eventName } = event
-      const nextState = {
-        ...state,
-      }
+  const reducer = async (state, event) => {
+    const { vault } = settings
+    const { address: eventAddress, event: eventName } = event
+    const nextState = {
+      ...state,
+    }
 
-      if (eventName === events.SYNC_STATUS_SYNCING) {
-        return { ...nextState, isSyncing: true }
-      } else if (eventName === events.SYNC_STATUS_SYNCED) {
-        return { ...nextState, isSyncing: false }
-      }
+    if (eventName === events.SYNC_STATUS_SYNCING) {
+      return { ...nextState, isSyncing: true }
+    } else if (eventName === events.SYNC_STATUS_SYNCED) {
+      return { ...nextState, isSyncing: false }
+    }
 
-      // Vault event
-      if (addressesEqual(eventAddress, vault.address)) {
-        return vaultLoadBalance(nextState, event, settings)
-      }
+    // Vault event
+    if (addressesEqual(eventAddress, vault.address)) {
+      return vaultTransfer(
+        await vaultLoadBalance(nextState, event, settings),
+        event
+      )
+    }
 
-      // Finance event
-      switch (eventName) {
-        case 'ChangePeriodDuration':
-          nextState.periodDuration = marshallDate(
-            event.returnValues.newDuration
-          )
-          return nextState
-        case 'NewPeriod':
-          return {
-            ...(await newPeriod(nextState, event, settings)),
-            // A new period is always started as part of the Finance app's initialization,
-            // so this is just a handy way to get information about the app we're running
-            // (e.g. its own address)
-            proxyAddress: eventAddress,
-          }
-        case 'NewTransaction':
-          return newTransaction(nextState, event, settings)
-        default:
-          return nextState
-      }
+    // Finance event
+    switch (eventName) {
+      case 'ChangePeriodDuration':
+        nextState.periodDuration = marshallDate(event.returnValues.newDuration)
+        return nextState
+      case 'NewPeriod':
+        return {
+          ...(await newPeriod(await loadBudgets(nextState), event, settings)),
+          // A new period is always started as part of the Finance app's initialization,
+          // so this is just a handy way to get information about the app we're running
+          // (e.g. its own address)
+          proxyAddress: eventAddress,
+        }
+      case 'NewTransaction':
+        return newTransaction(nextState, event, settings)
+      case 'NewPayment':
+        return newPayment(nextState, event)
+      case 'ChangePaymentState':
+        return changePaymentState(nextState, event)
+      case 'PaymentFailure':
+        return paymentFailure(nextState, event)
+      case 'SetBudget':
+        return setBudget(nextState, event)
+      default:
+        return nextState
+    }
+  }
+
+  return app.store(
+    async (state, event) => {
+      const nextState = await reducer(state, event)
+      // Recoveries aren't emitted by the vault, so they need to be looked up
+      // separately: once synced, and then again on every event as they can
+      // happen at any time
+      return nextState.isSyncing
+        ? nextState
+        : loadVaultRecoveries(nextState, settings)
     },
     {
       init: initializeState(settings),
@@ -181,8 +205,16 @@ const initializeState = settings => async cachedState => {
   const withTokenBalances = await loadTokenBalances(newState, settings)
   const withTestnetState = await loadTestnetState(withTokenBalances, settings)
   const withEthBalance = await loadEthBalance(withTestnetState, settings)
-
-  return withEthBalance
+  const withBudgets = await loadBudgets(withEthBalance)
+  const withPeriodStatements = await loadPeriodStatements(withBudgets)
+  // Caches from before scheduled payments were tracked miss the payments
+  // created before the cached block
+  const withPayments =
+    cachedState && !cachedState.payments
+      ? await loadPayments(withPeriodStatements)
+      : withPeriodStatements
+
+  return withPayments
 }
 
 async function loadTokenBalances(state, settings) {
@@ -203,6 +235,82 @@ async function loadTokenBalances(state, settings) {
   return newState
 }
 
+async function loadBudgets(state) {
+  // Remaining budgets depend on the current period, so refresh all of them.
+  // Caches from before budgets were tracked miss the budgets set before the
+  // cached block, so these are looked up for every token the vault holds.
+  const { balances = [], budgets } = state
+  const tokens = budgets
+    ? budgets.map(({ token }) => token)
+    : balances.map(({ address }) => address)
+  let newState = {
+    ...state,
+    budgets: budgets || [],
+  }
+  for (const token of tokens) {
+    const budgetDetails = await loadBudgetDetails(token)
+    if (budgets || budgetDetails.hasBudget) {
+      newState = {
+        ...newState,
+        budgets: await updateBudgets(newState, budgetDetails),
+      }
+    }
+  }
+  return newState
+}
+
+async function loadPayments(state) {
+  const paymentsNextIndex = parseInt(
+    await app.call('paymentsNextIndex').toPromise(),
+    10
+  )
+  let newState = {
+    ...state,
+    payments: [],
+  }
+  // Payment IDs start at 1. Their references are only part of the NewPayment
+  // events, so they can't be recovered here.
+  for (let id = 1; id < paymentsNextIndex; id++) {
+    newState = {
+      ...newState,
+      payments: await updatePayments(newState, {
+        ...(await loadPaymentDetails(String(id))),
+        failed: false,
+        reference: '',
+      }),
+    }
+  }
+  return newState
+}
+
+async function loadPeriodStatements(state) {
+  // Periods cached before statements were tracked need to be backfilled from
+  // the transactions we already know about
+  let newState = {
+    ...state,
+  }
+  const { periods = [], transactions = [] } = newState
+  const periodsWithoutStatements = periods.filter(
+    ({ statements }) => !statements
+  )
+  for (const { id } of periodsWithoutStatements) {
+    newState = {
+      ...newState,
+      periods: updatePeriods(newState, { id }),
+    }
+    const tokens = transactions
+      .filter(({ periodId }) => periodId === id)
+      .map(({ token }) => token)
+    for (const token of new Set(tokens)) {
+      newState = {
+        ...newState,
+        periods: await updatePeriodStatement(newState, id, token),
+      }
+    }
+  }
+  return newState
+}
+
 async function vaultLoadBalance(state, { returnValues: { token } }, settings) {
   return {
     ...state,
@@ -214,6 +322,95 @@ async function vaultLoadBalance(state, { returnValues: { token } }, settings) {
   }
 }
 
+async function vaultTransfer(state, event) {
+  const { event: eventName, returnValues } = event
+  let transactionDetails
+  if (eventName === 'VaultDeposit') {
+    // Deposits made through the Finance app are already recorded
+    if (addressesEqual(returnValues.sender, state.proxyAddress)) {
+      return state
+    }
+    transactionDetails = {
+      entity: returnValues.sender,
+      isIncoming: true,
+      reference: 'Direct deposit to vault',
+    }
+  } else if (eventName === 'VaultTransfer') {
+    transactionDetails = {
+      entity: returnValues.to,
+      isIncoming: false,
+      reference: 'Direct transfer from vault',
+    }
+  } else {
+    return state
+  }
+
+  return recordDirectVaultTransaction(state, {
+    ...transactionDetails,
+    amount: returnValues.amount,
+    blockNumber: event.blockNumber,
+    id: `vault-${event.transactionHash}-${event.logIndex}`,
+    token: returnValues.token,
+    transactionHash: event.transactionHash,
+  })
+}
+
+async function loadVaultRecoveries(state, settings) {
+  const { vault } = settings
+  const fromBlock = state.vaultRecoveriesBlock || vault.initializationBlock || 0
+  const toBlock = await app.web3Eth('getBlockNumber').toPromise()
+
+  let logs
+  try {
+    logs = await app
+      .web3Eth('getPastLogs', {
+        fromBlock,
+        toBlock,
+        topics: [
+          RECOVER_TO_VAULT_TOPIC,
+          `0x${padLeft(vault.address.slice(2), 64).toLowerCase()}`,
+        ],
+      })
+      .toPromise()
+  } catch (err) {
+    console.error('Could not load the recoveries to the vault:', err)
+    return state
+  }
+
+  let newState = {
+    ...state,
+    // The next lookup can start after the last block we looked at
+    vaultRecoveriesBlock: toBlock + 1,
+  }
+  for (const {
+    address,
+    blockNumber,
+    data,
+    logIndex,
+    topics,
+    transactionHash,
+  } of logs) {
+    const token = `0x${topics[2].slice(-40)}`
+    newState = await recordDirectVaultTransaction(newState, {
+      amount: hexToNumberString(data),
+      blockNumber,
+      entity: address,
+      id: `vault-${transactionHash}-${logIndex}`,
+      isIncoming: true,
+      reference: 'Recovered to vault',
+      token,
+      transactionHash,
+    })
+    // Token recoveries don't trigger any vault event, so the balance needs to
+    // be refreshed here
+    newState = {
+      ...newState,
+      balances: await updateBalances(newState, token, settings),
+    }
+  }
+  return newState
+}
+
 async function newPeriod(
   state,
   { returnValues: { periodId, periodStarts, periodEnds } }
@@ -239,20 +436,82 @@ async function newTransaction(
     transactionHash,
     id: transactionId,
   }
-  const transactions = await updateTransactions(state, transactionDetails)
+  const transactions = removeDirectVaultTransactions(
+    await updateTransactions(state, transactionDetails),
+    transactionDetails
+  )
+  const periods = await updatePeriodStatement(
+    state,
+    transactionDetails.periodId,
+    transactionDetails.token
+  )
   const balances = await updateBalances(
     state,
     transactionDetails.token,
     settings
   )
+  // Outgoing transactions consume the token's budget for the period
+  const budgets = hasBudgetEntry(state, transactionDetails.token)
+    ? await updateBudgets(
+        state,
+        await loadBudgetDetails(transactionDetails.token)
+      )
+    : state.budgets
+  // Executions of scheduled payments also advance the payment's state
+  const payments = isScheduledPaymentId(transactionDetails.paymentId)
+    ? await updatePayments(state, {
+        ...(await loadPaymentDetails(transactionDetails.paymentId)),
+        failed: false,
+      })
+    : state.payments
 
   return {
     ...state,
     balances,
+    budgets,
+    payments,
+    periods,
     transactions,
   }
 }
 
+async function newPayment(state, { returnValues: { paymentId, reference } }) {
+  return {
+    ...state,
+    payments: await updatePayments(state, {
+      ...(await loadPaymentDetails(paymentId)),
+      failed: false,
+      reference,
+    }),
+  }
+}
+
+async function changePaymentState(state, { returnValues: { paymentId } }) {
+  return {
+    ...state,
+    payments: await updatePayments(state, await loadPaymentDetails(paymentId)),
+  }
+}
+
+async function setBudget(state, { returnValues: { token } }) {
+  return {
+    ...state,
+    budgets: await updateBudgets(state, await loadBudgetDetails(token)),
+  }
+}
+
+async function paymentFailure(state, { returnValues: { paymentId } }) {
+  return {
+    ...state,
+    payments: await updatePayments(state, {
+      ...(await loadPaymentDetails(paymentId)),
+      // Failures happen when either the vault's balance or the token's budget
+      // can't cover the payment; it is cleared once the payment goes through
+      failed: true,
+    }),
+  }
+}
+
 /***********************
  *                     *
  *       Helpers       *
@@ -285,14 +544,75 @@ async function updateBalances({ balances = [] }, tokenAddress, settings) {
 function updatePeriods({ periods = [] }, periodDetails) {
   const periodsIndex = periods.findIndex(({ id }) => id === periodDetails.id)
   if (periodsIndex === -1) {
-    return periods.concat(periodDetails)
+    return periods.concat({ statements: [], ...periodDetails })
   } else {
     const newPeriods = Array.from(periods)
-    newPeriods[periodsIndex] = periodDetails
+    newPeriods[periodsIndex] = {
+      statements: [],
+      // Keep the already loaded token statements
+      ...periods[periodsIndex],
+      ...periodDetails,
+    }
     return newPeriods
   }
 }
 
+async function updatePeriodStatement({ periods = [] }, periodId, token) {
+  const periodsIndex = periods.findIndex(({ id }) => id === periodId)
+  if (periodsIndex === -1) {
+    // Periods are always created before any of their transactions
+    return periods
+  }
+
+  const period = periods[periodsIndex]
+  const { statements = [] } = period
+  const statement = await loadPeriodTokenStatement(periodId, token)
+  const statementsIndex = statements.findIndex(({ token }) =>
+    addressesEqual(token, statement.token)
+  )
+  const newStatements = Array.from(statements)
+  if (statementsIndex === -1) {
+    newStatements.push(statement)
+  } else {
+    newStatements[statementsIndex] = statement
+  }
+
+  const newPeriods = Array.from(periods)
+  newPeriods[periodsIndex] = { ...period, statements: newStatements }
+  return newPeriods
+}
+
+function hasBudgetEntry({ budgets = [] }, tokenAddress) {
+  return budgets.some(({ token }) => addressesEqual(token, tokenAddress))
+}
+
+function updateBudgets({ budgets = [] }, budgetDetails) {
+  const budgetsIndex = budgets.findIndex(({ token }) =>
+    addressesEqual(token, budgetDetails.token)
+  )
+  if (budgetsIndex === -1) {
+    return budgets.concat(budgetDetails)
+  } else {
+    const newBudgets = Array.from(budgets)
+    newBudgets[budgetsIndex] = budgetDetails
+    return newBudgets
+  }
+}
+
+function updatePayments({ payments = [] }, paymentDetails) {
+  const paymentsIndex = payments.findIndex(({ id }) => id === paymentDetails.id)
+  if (paymentsIndex === -1) {
+    return payments.concat(paymentDetails)
+  } else {
+    const newPayments = Array.from(payments)
+    newPayments[paymentsIndex] = {
+      ...payments[paymentsIndex],
+      ...paymentDetails,
+    }
+    return newPayments
+  }
+}
+
 function updateTransactions({ transactions = [] }, transactionDetails) {
   const transactionsIndex = transactions.findIndex(
     ({ id }) => id === transactionDetails.id
@@ -306,6 +626,52 @@ function updateTransactions({ transactions = [] }, transactionDetails) {
   }
 }
 
+// Two records describe the same movement of funds if they happened in the
+// same Ethereum transaction, with the same token, amount and direction
+function isSameTransfer(transactionA, transactionB) {
+  return (
+    transactionA.transactionHash === transactionB.transactionHash &&
+    addressesEqual(transactionA.token, transactionB.token) &&
+    transactionA.amount === transactionB.amount &&
+    transactionA.isIncoming === transactionB.isIncoming
+  )
+}
+
+async function recordDirectVaultTransaction(state, transactionDetails) {
+  const { transactions = [] } = state
+  const { blockNumber, ...details } = transactionDetails
+
+  const sameTransfer = transactions.find(
+    transaction =>
+      transaction.id !== details.id && isSameTransfer(transaction, details)
+  )
+  if (sameTransfer) {
+    // Already recorded by the Finance app, or by the vault in the case of ETH
+    // recoveries (that trigger a deposit)
+    return state
+  }
+
+  const { timestamp } = await app.web3Eth('getBlock', blockNumber).toPromise()
+  return {
+    ...state,
+    transactions: updateTransactions(state, {
+      ...details,
+      date: marshallDate(timestamp),
+      isDirectToVault: true,
+      paymentId: '0',
+      periodId: null,
+    }),
+  }
+}
+
+function removeDirectVaultTransactions(transactions, transactionDetails) {
+  return transactions.filter(
+    transaction =>
+      !transaction.isDirectToVault ||
+      !isSameTransfer(transaction, transactionDetails)
+  )
+}
+
 async function newBalanceEntry(tokenContract, tokenAddress, settings) {
   const [balance, decimals, name, symbol] = await Promise.all([
     loadTokenBalance(tokenAddress, settings),
@@ -396,11 +762,77 @@ async function loadTransactionDetails(id) {
   )
 }
 
+async function loadBudgetDetails(token) {
+  const [{ budget, hasBudget }, remaining, periodId] = await Promise.all([
+    app.call('getBudget', token).toPromise(),
+    app.call('getRemainingBudget', token).toPromise(),
+    app.call('currentPeriodId').toPromise(),
+  ])
+  const { expenses } = await loadPeriodTokenStatement(periodId, token)
+
+  return {
+    hasBudget,
+    token,
+    amount: budget,
+    // Tokens without a budget have an unlimited (MAX_UINT256) remaining budget
+    remaining: hasBudget ? remaining : null,
+    spent: expenses,
+  }
+}
+
+async function loadPeriodTokenStatement(periodId, token) {
+  const { expenses, income } = await app
+    .call('getPeriodTokenStatement', periodId, token)
+    .toPromise()
+  return { expenses, income, token }
+}
+
+async function loadPaymentDetails(id) {
+  const [payment, nextPaymentTime] = await Promise.all([
+    app.call('getPayment', id).toPromise(),
+    app.call('nextPaymentTime', id).toPromise(),
+  ])
+  return {
+    ...marshallPaymentDetails(payment),
+    id,
+    nextPaymentTime:
+      // Finished payments return MAX_UINT64 as their next payment time
+      parseInt(payment.executions, 10) < parseInt(payment.maxExecutions, 10)
+        ? marshallDate(nextPaymentTime)
+        : null,
+  }
+}
+
+function marshallPaymentDetails({
+  amount,
+  createdBy,
+  executions,
+  inactive,
+  initialPaymentTime,
+  interval,
+  maxExecutions,
+  receiver,
+  token,
+}) {
+  return {
+    amount,
+    createdBy,
+    inactive,
+    receiver,
+    token,
+    executions: parseInt(executions, 10),
+    initialPaymentTime: marshallDate(initialPaymentTime),
+    interval: marshallDate(interval),
+    maxExecutions: parseInt(maxExecutions, 10),
+  }
+}
+
 function marshallTransactionDetails({
   amount,
   date,
   entity,
   isIncoming,
+  paymentExecutionNumber,
   paymentId,
   periodId,
   token,
@@ -412,10 +844,16 @@ function marshallTransactionDetails({
     paymentId,
     periodId,
     token,
+    paymentExecutionNumber: parseInt(paymentExecutionNumber, 10),
     date: marshallDate(date),
   }
 }
 
+function isScheduledPaymentId(paymentId) {
+  // Payment IDs start at 1; transactions not linked to a scheduled payment use 0
+  return Boolean(paymentId) && paymentId !== '0'
+}
+
 function marshallDate(date) {
   // Represent dates as real numbers, as it's very unlikely they'll hit the limit...
   // Adjust for js time (in ms vs s)
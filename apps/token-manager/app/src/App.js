@@ -1,15 +1,40 @@
 import React from 'react'
 import PropTypes from 'prop-types'
 import BN from 'bn.js'
-import { Badge, Main, SidePanel, SyncIndicator } from '@aragon/ui'
+import {
+  Badge,
+  IconGroups,
+  IconTime,
+  Main,
+  SidePanel,
+  SyncIndicator,
+} from '@aragon/ui'
 import { useAragonApi } from '@aragon/api-react'
 import EmptyState from './screens/EmptyState'
 import Holders from './screens/Holders'
 import AssignVotePanelContent from './components/Panels/AssignVotePanelContent'
+import VestingPanelContent from './components/Panels/VestingPanelContent'
+import VestingsPanelContent from './components/Panels/VestingsPanelContent'
+import DistributionPanelContent from './components/Panels/DistributionPanelContent'
+import BalanceHistoryPanelContent from './components/Panels/BalanceHistoryPanelContent'
 import AssignTokensIcon from './components/AssignTokensIcon'
 import AppLayout from './components/AppLayout'
 import { addressesEqual } from './web3-utils'
 import { IdentityProvider } from './components/IdentityManager/IdentityManager'
+import { useVotingApps } from './hooks'
+import votingNewVoteAbi from './abi/voting-new-vote.json'
+
+const PANEL_TITLES = {
+  assign: 'Add tokens',
+  remove: 'Remove tokens',
+  vest: 'Vest tokens',
+  vestings: 'Vestings',
+  distribute: 'Distribute tokens',
+  history: 'Balance history',
+}
+
+// Modes of the panels other than AssignVotePanelContent
+const OTHER_PANEL_MODES = ['vest', 'vestings', 'distribute', 'history']
 
 const initialAssignTokensConfig = {
   mode: null,
@@ -25,6 +50,7 @@ class App extends React.PureComponent {
     appStateReady: false,
     isSyncing: true,
     holders: [],
+    transfers: null,
     connectedAccount: '',
     groupMode: false,
   }
@@ -52,6 +78,49 @@ class App extends React.PureComponent {
 
     this.handleSidepanelClose()
   }
+  handleCreateVesting = ({
+    amount,
+    cliff,
+    holder,
+    revokable,
+    start,
+    vesting,
+  }) => {
+    // Don't care about response
+    this.props.api
+      .assignVested(holder, amount, start, cliff, vesting, revokable)
+      .toPromise()
+    this.handleSidepanelClose()
+  }
+  handleRevokeVesting = (holder, vestingId) => {
+    // Don't care about response
+    this.props.api.revokeVesting(holder, vestingId).toPromise()
+    this.handleSidepanelClose()
+  }
+  handleDistribute = (votingAddress, script, accountsCount) => {
+    // The client finds the path allowing the connected account to create the
+    // vote, e.g. through this Token Manager
+    this.props.api
+      .external(votingAddress, votingNewVoteAbi)
+      .newVote(script, `Distribution of tokens to ${accountsCount} accounts`)
+      .toPromise() // Don't care about response
+    this.handleSidepanelClose()
+  }
+  handleLaunchDistribute = () => {
+    this.setState({
+      assignTokensConfig: { mode: 'distribute', holderAddress: '' },
+      sidepanelOpened: true,
+    })
+  }
+  handleLaunchShowHistoryNoHolder = () => {
+    this.handleLaunchShowHistory('')
+  }
+  handleLaunchShowHistory = address => {
+    this.setState({
+      assignTokensConfig: { mode: 'history', holderAddress: address },
+      sidepanelOpened: true,
+    })
+  }
   handleLaunchAssignTokensNoHolder = () => {
     this.handleLaunchAssignTokens('')
   }
@@ -67,6 +136,18 @@ class App extends React.PureComponent {
       sidepanelOpened: true,
     })
   }
+  handleLaunchVestTokens = address => {
+    this.setState({
+      assignTokensConfig: { mode: 'vest', holderAddress: address },
+      sidepanelOpened: true,
+    })
+  }
+  handleLaunchShowVestings = address => {
+    this.setState({
+      assignTokensConfig: { mode: 'vestings', holderAddress: address },
+      sidepanelOpened: true,
+    })
+  }
   handleSidepanelClose = () => {
     this.setState({ sidepanelOpened: false })
   }
@@ -97,7 +178,10 @@ class App extends React.PureComponent {
       tokenSupply,
       tokenSymbol,
       tokenTransfersEnabled,
+      transfers,
       connectedAccount,
+      currentAppAddress,
+      votingApps,
       requestMenu,
     } = this.props
     const { assignTokensConfig, sidepanelOpened } = this.state
@@ -119,6 +203,18 @@ class App extends React.PureComponent {
                 icon: <AssignTokensIcon />,
                 onClick: this.handleLaunchAssignTokensNoHolder,
               }}
+              secondaryButtons={[
+                {
+                  label: 'Distribute tokens',
+                  icon: <IconGroups />,
+                  onClick: this.handleLaunchDistribute,
+                },
+                {
+                  label: 'Balance history',
+                  icon: <IconTime />,
+                  onClick: this.handleLaunchShowHistoryNoHolder,
+                },
+              ]}
               smallViewPadding={0}
             >
               {appStateReady && holders.length > 0 ? (
@@ -127,14 +223,19 @@ class App extends React.PureComponent {
                   groupMode={groupMode}
                   maxAccountTokens={maxAccountTokens}
                   tokenAddress={tokenAddress}
+                  tokenDecimals={numData.tokenDecimals}
                   tokenDecimalsBase={tokenDecimalsBase}
                   tokenName={tokenName}
                   tokenSupply={tokenSupply}
                   tokenSymbol={tokenSymbol}
                   tokenTransfersEnabled={tokenTransfersEnabled}
+                  transfers={transfers}
                   userAccount={connectedAccount}
                   onAssignTokens={this.handleLaunchAssignTokens}
                   onRemoveTokens={this.handleLaunchRemoveTokens}
+                  onVestTokens={this.handleLaunchVestTokens}
+                  onShowVestings={this.handleLaunchShowVestings}
+                  onShowHistory={this.handleLaunchShowHistory}
                 />
               ) : (
                 !isSyncing && (
@@ -145,26 +246,74 @@ class App extends React.PureComponent {
               )}
             </AppLayout>
             <SidePanel
-              title={
-                assignTokensConfig.mode === 'assign'
-                  ? 'Add tokens'
-                  : 'Remove tokens'
-              }
+              title={PANEL_TITLES[assignTokensConfig.mode] || ''}
               opened={sidepanelOpened}
               onClose={this.handleSidepanelClose}
               onTransitionEnd={this.handleSidepanelTransitionEnd}
             >
-              {appStateReady && (
-                <AssignVotePanelContent
+              {appStateReady && assignTokensConfig.mode === 'vest' && (
+                <VestingPanelContent
                   opened={sidepanelOpened}
                   tokenDecimals={numData.tokenDecimals}
                   tokenDecimalsBase={tokenDecimalsBase}
-                  onUpdateTokens={this.handleUpdateTokens}
+                  onCreateVesting={this.handleCreateVesting}
                   getHolderBalance={this.getHolderBalance}
                   maxAccountTokens={maxAccountTokens}
-                  {...assignTokensConfig}
+                  tokenManagerBalance={this.getHolderBalance(
+                    currentAppAddress || ''
+                  )}
+                  holderAddress={assignTokensConfig.holderAddress}
+                />
+              )}
+              {appStateReady && assignTokensConfig.mode === 'distribute' && (
+                <DistributionPanelContent
+                  opened={sidepanelOpened}
+                  currentAppAddress={currentAppAddress}
+                  votingApps={votingApps}
+                  holders={holders}
+                  maxAccountTokens={maxAccountTokens}
+                  tokenDecimals={numData.tokenDecimals}
+                  tokenDecimalsBase={tokenDecimalsBase}
+                  tokenSymbol={tokenSymbol}
+                  onDistribute={this.handleDistribute}
                 />
               )}
+              {appStateReady && assignTokensConfig.mode === 'vestings' && (
+                <VestingsPanelContent
+                  holder={holders.find(holder =>
+                    addressesEqual(
+                      holder.address,
+                      assignTokensConfig.holderAddress
+                    )
+                  )}
+                  opened={sidepanelOpened}
+                  tokenDecimalsBase={tokenDecimalsBase}
+                  tokenSymbol={tokenSymbol}
+                  onRevokeVesting={this.handleRevokeVesting}
+                />
+              )}
+              {appStateReady && assignTokensConfig.mode === 'history' && (
+                <BalanceHistoryPanelContent
+                  holderAddress={assignTokensConfig.holderAddress}
+                  holders={holders}
+                  opened={sidepanelOpened}
+                  tokenDecimalsBase={tokenDecimalsBase}
+                  tokenSymbol={tokenSymbol}
+                  transfers={transfers}
+                />
+              )}
+              {appStateReady &&
+                !OTHER_PANEL_MODES.includes(assignTokensConfig.mode) && (
+                  <AssignVotePanelContent
+                    opened={sidepanelOpened}
+                    tokenDecimals={numData.tokenDecimals}
+                    tokenDecimalsBase={tokenDecimalsBase}
+                    onUpdateTokens={this.handleUpdateTokens}
+                    getHolderBalance={this.getHolderBalance}
+                    maxAccountTokens={maxAccountTokens}
+                    {...assignTokensConfig}
+                  />
+                )}
             </SidePanel>
           </IdentityProvider>
         </div>
@@ -175,10 +324,13 @@ class App extends React.PureComponent {
 
 export default () => {
   const { api, appState, connectedAccount, requestMenu } = useAragonApi()
+  const { currentAppAddress, votingApps } = useVotingApps(api)
   return (
     <App
       api={api}
       connectedAccount={connectedAccount}
+      currentAppAddress={currentAppAddress}
+      votingApps={votingApps}
       requestMenu={requestMenu}
       {...appState}
     />
@@ -1,8 +1,8 @@
 import BN from 'bn.js'
 import { hasLoadedTokenSettings } from './token-settings'
 
-// Convert tokenSupply and holders balances to BNs,
-// and calculate tokenDecimalsBase.
+// Convert tokenSupply, holders balances, vestings and transfers amounts to
+// BNs, and calculate tokenDecimalsBase.
 function appStateReducer(state) {
   const appStateReady = hasLoadedTokenSettings(state)
   if (!appStateReady) {
@@ -18,6 +18,8 @@ function appStateReducer(state) {
     tokenDecimals,
     tokenSupply,
     tokenTransfersEnabled,
+    transfers,
+    vestings = {},
   } = state
 
   const tokenDecimalsBase = new BN(10).pow(new BN(tokenDecimals))
@@ -35,9 +37,23 @@ function appStateReducer(state) {
     },
     holders: holders
       ? holders
-          .map(holder => ({ ...holder, balance: new BN(holder.balance) }))
+          .map(holder => ({
+            ...holder,
+            balance: new BN(holder.balance),
+            vestings: (
+              vestings[holder.address.toLowerCase()] || []
+            ).map(vesting => ({ ...vesting, amount: new BN(vesting.amount) })),
+          }))
           .sort((a, b) => b.balance.cmp(a.balance))
       : [],
+    // Transfers, sorted from the oldest, or null until they are loaded
+    transfers: transfers
+      ? transfers
+          .map(transfer => ({ ...transfer, amount: new BN(transfer.amount) }))
+          .sort(
+            (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+          )
+      : null,
     tokenDecimals: new BN(tokenDecimals),
     tokenSupply: new BN(tokenSupply),
     maxAccountTokens: new BN(maxAccountTokens),
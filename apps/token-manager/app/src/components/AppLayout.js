@@ -12,6 +12,7 @@ const AppLayout = ({
   smallViewPadding,
   largeViewPadding,
   mainButton,
+  secondaryButtons,
 }) => {
   const { requestMenu, displayMenuButton } = useAragonApi()
   return (
@@ -35,6 +36,21 @@ const AppLayout = ({
                   </TitleLabel>
                   {afterTitle}
                 </Title>
+                {secondaryButtons.map(({ icon, label, onClick }) => (
+                  <ButtonIcon
+                    key={label}
+                    onClick={onClick}
+                    label={label}
+                    css={`
+                      width: auto;
+                      height: 100%;
+                      padding: 0 10px;
+                      margin-left: 8px;
+                    `}
+                  >
+                    {icon}
+                  </ButtonIcon>
+                ))}
                 {mainButton &&
                   (below('medium') ? (
                     <ButtonIcon
@@ -68,6 +84,7 @@ const AppLayout = ({
 AppLayout.defaultProps = {
   smallViewPadding: 20,
   largeViewPadding: 30,
+  secondaryButtons: [],
 }
 
 AppLayout.propTypes = {
@@ -81,6 +98,13 @@ AppLayout.propTypes = {
     label: PropTypes.node.isRequired,
     onClick: PropTypes.func.isRequired,
   }),
+  secondaryButtons: PropTypes.arrayOf(
+    PropTypes.shape({
+      icon: PropTypes.node.isRequired,
+      label: PropTypes.string.isRequired,
+      onClick: PropTypes.func.isRequired,
+    })
+  ),
 }
 
 const Title = styled.h1`
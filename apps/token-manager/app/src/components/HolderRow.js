@@ -5,14 +5,16 @@ import {
   ContextMenuItem,
   IconAdd,
   IconRemove,
+  IconTime,
   TableCell,
   TableRow,
+  Text,
   theme,
 } from '@aragon/ui'
 import IconLabel from './IconLabel'
 import { useNetwork } from '@aragon/api-react'
 import LocalIdentityBadge from './LocalIdentityBadge/LocalIdentityBadge'
-import { formatBalance } from '../utils'
+import { formatBalance, getLockedAmount } from '../utils'
 import You from './You'
 import { useIdentity } from './IdentityManager/IdentityManager'
 
@@ -20,6 +22,7 @@ const HolderRow = React.memo(
   ({
     address,
     balance,
+    vestings,
     groupMode,
     isCurrentUser,
     maxAccountTokens,
@@ -28,6 +31,10 @@ const HolderRow = React.memo(
     compact,
     onAssignTokens,
     onRemoveTokens,
+    onShowHistory,
+    onShowVestings,
+    onVestTokens,
+    readOnly,
   }) => {
     const handleAssignTokens = useCallback(() => {
       onAssignTokens(address)
@@ -37,6 +44,20 @@ const HolderRow = React.memo(
       onRemoveTokens(address)
     }, [address, onRemoveTokens])
 
+    const handleVestTokens = useCallback(() => {
+      onVestTokens(address)
+    }, [address, onVestTokens])
+
+    const handleShowVestings = useCallback(() => {
+      onShowVestings(address)
+    }, [address, onShowVestings])
+
+    const handleShowHistory = useCallback(() => {
+      onShowHistory(address)
+    }, [address, onShowHistory])
+
+    const locked = getLockedAmount(vestings, Date.now())
+
     const singleToken = balance.eq(tokenDecimalsBase)
     const canAssign = balance.lt(maxAccountTokens)
 
@@ -58,35 +79,64 @@ const HolderRow = React.memo(
         {!groupMode && (
           <TableCell align={compact ? 'left' : 'right'}>
             {formatBalance(balance, tokenDecimalsBase)}
+            {!locked.isZero() && (
+              <Text.Block size="xsmall" color={theme.textSecondary}>
+                {formatBalance(locked, tokenDecimalsBase)} locked
+              </Text.Block>
+            )}
           </TableCell>
         )}
-        <TableCell align="right" css="padding-left: 0">
-          <ContextMenu>
-            {canAssign && (
-              <ContextMenuItem onClick={handleAssignTokens}>
+        {!readOnly && (
+          <TableCell align="right" css="padding-left: 0">
+            <ContextMenu>
+              {canAssign && (
+                <ContextMenuItem onClick={handleAssignTokens}>
+                  <IconWrapper css="top: -2px">
+                    <IconAdd />
+                  </IconWrapper>
+                  <ActionLabel>Add tokens</ActionLabel>
+                </ContextMenuItem>
+              )}
+              {canAssign && (
+                <ContextMenuItem onClick={handleVestTokens}>
+                  <IconWrapper css="top: -2px">
+                    <IconTime />
+                  </IconWrapper>
+                  <ActionLabel>Vest tokens</ActionLabel>
+                </ContextMenuItem>
+              )}
+              {vestings.length > 0 && (
+                <ContextMenuItem onClick={handleShowVestings}>
+                  <IconWrapper css="top: -2px">
+                    <IconTime />
+                  </IconWrapper>
+                  <ActionLabel>See vestings</ActionLabel>
+                </ContextMenuItem>
+              )}
+              <ContextMenuItem onClick={handleShowHistory}>
                 <IconWrapper css="top: -2px">
-                  <IconAdd />
+                  <IconTime />
                 </IconWrapper>
-                <ActionLabel>Add tokens</ActionLabel>
+                <ActionLabel>See balance history</ActionLabel>
               </ContextMenuItem>
-            )}
-            <ContextMenuItem onClick={handleRemoveTokens}>
-              <IconWrapper css="top: -2px">
-                <IconRemove />
-              </IconWrapper>
-              <ActionLabel>
-                Remove Token
-                {singleToken ? '' : 's'}
-              </ActionLabel>
-            </ContextMenuItem>
-            <ContextMenuItem onClick={handleEditLabel}>
-              <IconWrapper css="left: 1px">
-                <IconLabel />
-              </IconWrapper>
-              <ActionLabel>{label ? 'Edit' : 'Add'} custom label</ActionLabel>
-            </ContextMenuItem>
-          </ContextMenu>
-        </TableCell>
+              <ContextMenuItem onClick={handleRemoveTokens}>
+                <IconWrapper css="top: -2px">
+                  <IconRemove />
+                </IconWrapper>
+                <ActionLabel>
+                  Remove Token
+                  {singleToken ? '' : 's'}
+                </ActionLabel>
+              </ContextMenuItem>
+              <ContextMenuItem onClick={handleEditLabel}>
+                <IconWrapper css="left: 1px">
+                  <IconLabel />
+                </IconWrapper>
+                <ActionLabel>{label ? 'Edit' : 'Add'} custom label</ActionLabel>
+              </ContextMenuItem>
+            </ContextMenu>
+          </TableCell>
+        )}
       </TableRow>
     )
   }
@@ -95,9 +145,14 @@ const HolderRow = React.memo(
 HolderRow.defaultProps = {
   address: '',
   balance: 0,
+  vestings: [],
   groupMode: false,
   onAssignTokens: () => {},
   onRemoveTokens: () => {},
+  onShowHistory: () => {},
+  onShowVestings: () => {},
+  onVestTokens: () => {},
+  readOnly: false,
 }
 
 const FirstTableCell = styled(TableCell)`
@@ -0,0 +1,79 @@
+import React from 'react'
+import styled from 'styled-components'
+import {
+  Button,
+  DropDown,
+  TextInput,
+  breakpoint,
+  theme,
+  unselectable,
+} from '@aragon/ui'
+
+const HoldersFilters = ({
+  sortItems,
+  sortFilter,
+  onSortChange,
+  searchFilter,
+  onSearchChange,
+  copyLabel,
+  onCopyAddresses,
+}) => (
+  <Filters>
+    <Filter>
+      <FilterLabel>Sort by</FilterLabel>
+      <DropDown items={sortItems} active={sortFilter} onChange={onSortChange} />
+    </Filter>
+    <Filter>
+      <FilterLabel>Search</FilterLabel>
+      <TextInput
+        value={searchFilter}
+        onChange={event => onSearchChange(event.target.value)}
+        placeholder="Address or name"
+      />
+    </Filter>
+    <Filter css="margin-right: 0">
+      <Button mode="outline" onClick={onCopyAddresses}>
+        {copyLabel}
+      </Button>
+    </Filter>
+  </Filters>
+)
+
+const Filters = styled.div`
+  display: flex;
+  flex-direction: column;
+  margin-bottom: 6px;
+
+  ${breakpoint(
+    'medium',
+    `
+      flex-direction: row;
+      flex-wrap: wrap;
+      align-items: center;
+    `
+  )};
+`
+
+const Filter = styled.div`
+  display: flex;
+  align-items: center;
+  margin: 0 0 10px 0;
+
+  ${breakpoint(
+    'medium',
+    `
+      margin: 0 20px 10px 0;
+    `
+  )};
+`
+
+const FilterLabel = styled.span`
+  margin-right: 8px;
+  font-variant: small-caps;
+  text-transform: lowercase;
+  color: ${theme.textSecondary};
+  font-weight: 600;
+  ${unselectable};
+`
+
+export default HoldersFilters
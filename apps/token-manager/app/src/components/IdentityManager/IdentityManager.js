@@ -44,6 +44,46 @@ function useIdentity(address) {
   return [name, handleShowLocalIdentityModal]
 }
 
+// Resolve the names of many addresses at once, e.g. to search or sort them.
+// The names are indexed by lowercase address.
+function useIdentityNames(addresses) {
+  const [names, setNames] = useState(new Map())
+  const { resolve, updates$ } = useContext(IdentityContext)
+
+  // Only resolve the names again when the addresses change
+  const addressesKey = addresses.join(',')
+
+  useEffect(() => {
+    let cancelled = false
+    const resolveNames = addresses =>
+      Promise.all(
+        addresses.map(address =>
+          resolve(address)
+            .then(metadata => (metadata ? metadata.name : null))
+            .catch(e => null)
+            .then(name => [address.toLowerCase(), name])
+        )
+      ).then(entries => {
+        if (!cancelled) {
+          setNames(names => new Map([...names, ...entries]))
+        }
+      })
+
+    resolveNames(addressesKey ? addressesKey.split(',') : [])
+
+    const subscription = updates$.subscribe(updatedAddress => {
+      // Resolve and update state when the identity have been updated
+      resolveNames([updatedAddress])
+    })
+    return () => {
+      cancelled = true
+      subscription.unsubscribe()
+    }
+  }, [addressesKey, resolve, updates$])
+
+  return names
+}
+
 const IdentityProvider = ({
   onResolve,
   onShowLocalIdentityModal,
@@ -68,4 +108,10 @@ IdentityProvider.propTypes = {
 
 const IdentityConsumer = IdentityContext.Consumer
 
-export { IdentityConsumer, IdentityContext, IdentityProvider, useIdentity }
+export {
+  IdentityConsumer,
+  IdentityContext,
+  IdentityProvider,
+  useIdentity,
+  useIdentityNames,
+}
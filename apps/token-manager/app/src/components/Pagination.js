@@ -0,0 +1,40 @@
+import React from 'react'
+import styled from 'styled-components'
+import { Button, Text, theme } from '@aragon/ui'
+
+const Pagination = ({ page, pageCount, onChange }) =>
+  pageCount > 1 ? (
+    <Main>
+      <Button
+        mode="outline"
+        size="small"
+        disabled={page === 0}
+        onClick={() => onChange(page - 1)}
+      >
+        Previous
+      </Button>
+      <Text size="small" color={theme.textSecondary}>
+        Page {page + 1} of {pageCount}
+      </Text>
+      <Button
+        mode="outline"
+        size="small"
+        disabled={page === pageCount - 1}
+        onClick={() => onChange(page + 1)}
+      >
+        Next
+      </Button>
+    </Main>
+  ) : null
+
+const Main = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  margin: 16px 0;
+  > span {
+    margin: 0 15px;
+  }
+`
+
+export default Pagination
@@ -0,0 +1,202 @@
+import React, { useState } from 'react'
+import styled from 'styled-components'
+import BN from 'bn.js'
+import {
+  DropDown,
+  Field,
+  LineChart,
+  Text,
+  theme,
+  useViewport,
+} from '@aragon/ui'
+import {
+  ZERO_ADDRESS,
+  getBalanceTimeline,
+  sampleTimeline,
+} from '../../history-utils'
+import { formatBalance } from '../../utils'
+import { addressesEqual } from '../../web3-utils'
+
+const CHART_STEPS = 10
+const CHART_HEIGHT = 150
+// Width of the side panel’s content on large screens
+const CHART_MAX_WIDTH = 390
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10)
+const shortenAddress = address => `${address.slice(0, 6)}…${address.slice(-4)}`
+
+// Values of the LineChart are between 0 and 1
+const toChartValue = (value, max) =>
+  max.isZero()
+    ? 0
+    : value
+        .muln(10000)
+        .div(max)
+        .toNumber() / 10000
+
+// The balance of a holder and the total supply of the token over time, since
+// the first transfer.
+const BalanceHistoryPanelContent = React.memo(
+  ({
+    holderAddress,
+    holders,
+    opened,
+    tokenDecimalsBase,
+    tokenSymbol,
+    transfers,
+  }) => {
+    const { width } = useViewport()
+    const [selectedAddress, setSelectedAddress] = useState(holderAddress)
+
+    if (!transfers) {
+      return (
+        <Text.Paragraph color={theme.textSecondary}>
+          The history of the balances is not available yet.
+        </Text.Paragraph>
+      )
+    }
+
+    // Former holders are listed too: the history is about them as well
+    const addresses = holders.map(({ address }) => address)
+    transfers.forEach(({ from, to }) => {
+      ;[from, to].forEach(address => {
+        if (
+          !addressesEqual(address, ZERO_ADDRESS) &&
+          !addresses.some(known => addressesEqual(known, address))
+        ) {
+          addresses.push(address)
+        }
+      })
+    })
+    const selectedIndex = addresses.findIndex(address =>
+      addressesEqual(address, selectedAddress)
+    )
+
+    const dates = transfers
+      .map(({ date }) => date)
+      .filter(date => date !== null)
+    if (dates.length === 0) {
+      return (
+        <Text.Paragraph color={theme.textSecondary}>
+          No transfers have happened yet.
+        </Text.Paragraph>
+      )
+    }
+
+    const startDate = Math.min(...dates)
+    const endDate = Date.now()
+    const supply = sampleTimeline(
+      getBalanceTimeline(transfers),
+      startDate,
+      endDate,
+      CHART_STEPS
+    )
+    const balance =
+      selectedIndex === -1
+        ? null
+        : sampleTimeline(
+            getBalanceTimeline(transfers, addresses[selectedIndex]),
+            startDate,
+            endDate,
+            CHART_STEPS
+          )
+    const max = BN.max(
+      ...supply.map(({ balance }) => balance),
+      ...(balance || []).map(({ balance }) => balance)
+    )
+    const format = amount =>
+      `${formatBalance(amount, tokenDecimalsBase)} ${tokenSymbol}`
+
+    return (
+      <div>
+        <Field label="Holder">
+          <DropDown
+            items={[
+              'Total supply only',
+              ...addresses.map(address => shortenAddress(address)),
+            ]}
+            active={selectedIndex + 1}
+            onChange={index =>
+              setSelectedAddress(index === 0 ? '' : addresses[index - 1])
+            }
+            wide
+          />
+        </Field>
+        <Legend>
+          <div>
+            <Dot color={theme.textSecondary} />
+            <Label>Total supply</Label>
+            <strong>{format(supply[supply.length - 1].balance)}</strong>
+          </div>
+          {balance && (
+            <div>
+              <Dot color={theme.accent} />
+              <Label>Balance</Label>
+              <strong>{format(balance[balance.length - 1].balance)}</strong>
+            </div>
+          )}
+        </Legend>
+        <LineChart
+          width={Math.min(width - 60, CHART_MAX_WIDTH)}
+          height={CHART_HEIGHT}
+          total={CHART_STEPS}
+          reset={!opened}
+          lines={[
+            {
+              id: 1,
+              color: theme.textSecondary,
+              values: supply.map(({ balance }) => toChartValue(balance, max)),
+            },
+            ...(balance
+              ? [
+                  {
+                    id: 2,
+                    color: theme.accent,
+                    values: balance.map(({ balance }) =>
+                      toChartValue(balance, max)
+                    ),
+                  },
+                ]
+              : []),
+          ]}
+          label={index => formatDate(supply[index].date).slice(2)}
+        />
+      </div>
+    )
+  }
+)
+
+BalanceHistoryPanelContent.defaultProps = {
+  holderAddress: '',
+  holders: [],
+  transfers: null,
+}
+
+const Legend = styled.div`
+  display: flex;
+  margin-bottom: 20px;
+  > div {
+    display: flex;
+    flex-direction: column;
+    width: 50%;
+  }
+`
+
+const Dot = styled.span`
+  display: block;
+  width: 10px;
+  height: 10px;
+  margin-bottom: 5px;
+  border-radius: 50%;
+  background: ${({ color }) => color};
+`
+
+const Label = styled(Text).attrs({
+  smallcaps: true,
+  color: theme.textSecondary,
+})`
+  display: block;
+  margin-bottom: 5px;
+`
+
+export default BalanceHistoryPanelContent
@@ -0,0 +1,242 @@
+import React from 'react'
+import styled from 'styled-components'
+import {
+  Button,
+  DropDown,
+  Field,
+  IconCross,
+  Info,
+  Text,
+  TextInput,
+  theme,
+} from '@aragon/ui'
+import {
+  encodeDistributionScript,
+  getDistributionStakes,
+  parseDistributionCsv,
+  validateDistribution,
+} from '../../distribution-utils'
+import { formatBalance } from '../../utils'
+
+const STAKES_MAX = 7
+
+const shortenAddress = address => `${address.slice(0, 6)}…${address.slice(-4)}`
+
+const initialState = {
+  csv: '',
+  error: null,
+  selectedVotingApp: 0,
+}
+
+// Mint tokens to many accounts at once, from a CSV file. The mints are
+// encoded in a single script, executed by a vote (e.g. in Voting).
+class DistributionPanelContent extends React.Component {
+  static defaultProps = {
+    holders: [],
+    votingApps: [],
+    onDistribute: () => {},
+  }
+  state = { ...initialState }
+  componentWillReceiveProps({ opened }) {
+    // Finished closing the panel, its state can be reset
+    if (!opened && this.props.opened) {
+      this.setState({ ...initialState })
+    }
+  }
+  getRows() {
+    const { holders, maxAccountTokens, tokenDecimals } = this.props
+    return validateDistribution(parseDistributionCsv(this.state.csv), {
+      holders,
+      maxAccountTokens,
+      tokenDecimals,
+    })
+  }
+  handleCsvChange = event => {
+    this.setState({ csv: event.target.value, error: null })
+  }
+  handleFileChange = event => {
+    const file = event.target.files[0]
+    if (!file) {
+      return
+    }
+    const reader = new FileReader()
+    reader.onload = () => {
+      this.setState({ csv: reader.result, error: null })
+    }
+    reader.onerror = () => {
+      this.setState({ error: `The file ${file.name} couldn’t be read.` })
+    }
+    reader.readAsText(file)
+  }
+  handleVotingAppChange = selectedVotingApp => {
+    this.setState({ selectedVotingApp })
+  }
+  handleSubmit = event => {
+    event.preventDefault()
+    const { currentAppAddress, votingApps, onDistribute } = this.props
+    const rows = this.getRows()
+    const votingApp = votingApps[this.state.selectedVotingApp]
+
+    if (rows.length === 0 || rows.some(({ error }) => error)) {
+      this.setState({ error: 'Please fix the distribution first.' })
+      return
+    }
+    if (!votingApp || !currentAppAddress) {
+      this.setState({
+        error: 'No app is available to create a vote for the distribution.',
+      })
+      return
+    }
+
+    onDistribute(
+      votingApp.appAddress,
+      encodeDistributionScript(currentAppAddress, rows),
+      rows.length
+    )
+  }
+  render() {
+    const { holders, tokenDecimalsBase, tokenSymbol, votingApps } = this.props
+    const { csv, error, selectedVotingApp } = this.state
+    const rows = this.getRows()
+    const invalidRows = rows.filter(({ error }) => error)
+    const stakes =
+      rows.length > 0 && invalidRows.length === 0
+        ? getDistributionStakes(rows, holders, STAKES_MAX)
+        : []
+
+    return (
+      <form onSubmit={this.handleSubmit}>
+        <div css="margin-bottom: 20px">
+          <Info.Action title="Action">
+            This action will create a vote in the app selected below, minting
+            tokens to every account of the distribution once executed.
+          </Info.Action>
+        </div>
+        <Field label="Distribution (address,amount on each line)">
+          <TextInput.Multiline
+            value={csv}
+            onChange={this.handleCsvChange}
+            placeholder={'0x…,100\n0x…,25.5'}
+            css="height: 120px; font-family: monospace; font-size: 12px"
+            wide
+          />
+        </Field>
+        <Field label="Or import a CSV file">
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={this.handleFileChange}
+          />
+        </Field>
+
+        {rows.length > 0 && (
+          <Part>
+            <h2>
+              <Label>Preview</Label>
+            </h2>
+            <ul>
+              {rows.map(({ address, amount, balance, error, line }) => (
+                <Row key={line}>
+                  <RowDetails>
+                    <span title={address}>
+                      {address ? shortenAddress(address) : '−'}
+                    </span>
+                    {!error && (
+                      <span>
+                        +{formatBalance(amount, tokenDecimalsBase)} →{' '}
+                        <strong>
+                          {formatBalance(balance, tokenDecimalsBase)}{' '}
+                          {tokenSymbol}
+                        </strong>
+                      </span>
+                    )}
+                  </RowDetails>
+                  {error && (
+                    <Text size="small" color={theme.negative}>
+                      Line {line}: {error}
+                    </Text>
+                  )}
+                </Row>
+              ))}
+            </ul>
+          </Part>
+        )}
+
+        {stakes.length > 0 && (
+          <Part>
+            <h2>
+              <Label>Resulting distribution</Label>
+            </h2>
+            <ul>
+              {stakes.map(({ address, percentage }) => (
+                <Row key={address || 'rest'}>
+                  <RowDetails>
+                    <span title={address || ''}>
+                      {address ? shortenAddress(address) : 'Rest'}
+                    </span>
+                    <strong>{percentage}%</strong>
+                  </RowDetails>
+                </Row>
+              ))}
+            </ul>
+          </Part>
+        )}
+
+        <Field label="Create a vote in">
+          <DropDown
+            items={votingApps.map(
+              ({ appAddress, name }) =>
+                `${name || 'Unknown app'} (${shortenAddress(appAddress)})`
+            )}
+            active={selectedVotingApp}
+            onChange={this.handleVotingAppChange}
+            wide
+          />
+        </Field>
+        <Button
+          mode="strong"
+          type="submit"
+          disabled={rows.length === 0 || invalidRows.length > 0}
+          wide
+        >
+          Distribute tokens to {rows.length} account
+          {rows.length === 1 ? '' : 's'}
+        </Button>
+        {error && (
+          <p css="margin-top: 15px">
+            <IconCross />
+            <Text size="small" style={{ marginLeft: '10px' }}>
+              {error}
+            </Text>
+          </p>
+        )}
+      </form>
+    )
+  }
+}
+
+const Part = styled.div`
+  margin-bottom: 20px;
+`
+
+const Label = styled(Text).attrs({
+  smallcaps: true,
+  color: theme.textSecondary,
+})`
+  display: block;
+  margin-bottom: 10px;
+`
+
+const Row = styled.li`
+  list-style: none;
+  padding: 5px 0;
+  border-bottom: 1px solid ${theme.contentBorder};
+`
+
+const RowDetails = styled.div`
+  display: flex;
+  justify-content: space-between;
+  font-size: 14px;
+`
+
+export default DistributionPanelContent
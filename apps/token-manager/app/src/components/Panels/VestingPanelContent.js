@@ -0,0 +1,292 @@
+import React from 'react'
+import styled from 'styled-components'
+import BN from 'bn.js'
+import {
+  Button,
+  Checkbox,
+  Field,
+  IconCross,
+  Info,
+  Text,
+  TextInput,
+} from '@aragon/ui'
+import { isAddress } from '../../web3-utils'
+import { fromDecimals, toDecimals, formatBalance } from '../../utils'
+import LocalIdentitiesAutoComplete from '../LocalIdentitiesAutoComplete/LocalIdentitiesAutoComplete'
+
+// Any more and the number input field starts to put numbers in scientific notation
+const MAX_INPUT_DECIMAL_BASE = 6
+
+// Dates are entered as YYYY-MM-DD, and start at midnight UTC
+const DATE_FIELDS = [
+  ['start', 'Start date', 'Date the vesting calculations start'],
+  ['cliff', 'Cliff date', 'No tokens can be transferred before it'],
+  ['vesting', 'Vesting date', 'All the tokens can be transferred after it'],
+]
+
+const toDateInputValue = date => new Date(date).toISOString().slice(0, 10)
+
+const initialState = () => {
+  const today = toDateInputValue(Date.now())
+  return {
+    holderField: { error: null, value: '' },
+    amountField: { error: null, warning: null, value: '', max: '' },
+    datesFields: { error: null, start: today, cliff: today, vesting: today },
+    revokable: true,
+  }
+}
+
+class VestingPanelContent extends React.Component {
+  static defaultProps = {
+    onCreateVesting: () => {},
+  }
+  state = initialState()
+  _holderInput = React.createRef()
+  componentDidMount() {
+    // The panel content is only rendered once the panel gets opened
+    if (this.props.opened) {
+      this.handleOpen(this.props.holderAddress)
+    }
+  }
+  componentWillReceiveProps({ opened, holderAddress }) {
+    if (opened && !this.props.opened) {
+      this.handleOpen(holderAddress)
+    }
+
+    // Finished closing the panel, its state can be reset
+    if (!opened && this.props.opened) {
+      this.setState(initialState())
+    }
+  }
+  handleOpen(holderAddress) {
+    // setTimeout is needed as a small hack to wait until the input is
+    // on-screen before we call focus
+    this._holderInput.current &&
+      setTimeout(
+        () => this._holderInput.current && this._holderInput.current.focus(),
+        0
+      )
+    this.updateHolderAddress(holderAddress)
+  }
+  getMaxAmount(holderAddress) {
+    const {
+      getHolderBalance,
+      maxAccountTokens,
+      tokenManagerBalance,
+    } = this.props
+
+    // Vested tokens are assigned from the Token Manager's holdings, and the
+    // recipient can't go over the max account tokens
+    const maxAmount = maxAccountTokens.sub(getHolderBalance(holderAddress))
+    return BN.min(maxAmount, tokenManagerBalance)
+  }
+  updateHolderAddress(value) {
+    const { tokenDecimals, tokenDecimalsBase, tokenManagerBalance } = this.props
+
+    const maxAmount = this.getMaxAmount(value.trim())
+
+    this.setState(({ holderField, amountField }) => ({
+      holderField: { ...holderField, value, error: null },
+      amountField: {
+        ...amountField,
+        max: formatBalance(maxAmount, tokenDecimalsBase, tokenDecimals),
+        warning:
+          maxAmount.isZero() &&
+          (tokenManagerBalance.isZero()
+            ? `
+              The Token Manager doesn’t hold any tokens to assign. Tokens need
+              to be issued to it first.
+            `
+            : `
+              The maximum amount of tokens that can be assigned has already
+              been reached.
+            `),
+      },
+    }))
+  }
+  handleHolderChange = value => {
+    this.updateHolderAddress(value)
+  }
+  handleAmountChange = event => {
+    const { amountField } = this.state
+    this.setState({
+      amountField: { ...amountField, value: event.target.value, error: null },
+    })
+  }
+  handleDateChange = (name, value) => {
+    this.setState(({ datesFields }) => ({
+      datesFields: { ...datesFields, [name]: value, error: null },
+    }))
+  }
+  handleRevokableChange = revokable => {
+    this.setState({ revokable })
+  }
+  handleSubmit = event => {
+    event.preventDefault()
+    const { tokenDecimals } = this.props
+    const { amountField, datesFields, holderField, revokable } = this.state
+    const holderAddress = holderField.value.trim()
+
+    if (!isAddress(holderAddress)) {
+      this.setState({
+        holderField: {
+          ...holderField,
+          error: 'Recipient must be a valid Ethereum address.',
+        },
+      })
+      return
+    }
+
+    const amount = toDecimals(amountField.value.trim(), tokenDecimals)
+    if (new BN(amount).gt(this.getMaxAmount(holderAddress))) {
+      this.setState({
+        amountField: {
+          ...amountField,
+          error: this.props.tokenManagerBalance.lt(new BN(amount))
+            ? 'The amount exceeds the tokens held by the Token Manager.'
+            : 'The amount exceeds the maximum tokens the recipient can hold.',
+        },
+      })
+      return
+    }
+
+    // Same checks as TokenManager.assignVested()
+    const [start, cliff, vesting] = DATE_FIELDS.map(
+      ([name]) => Date.parse(datesFields[name]) / 1000
+    )
+    if ([start, cliff, vesting].some(isNaN)) {
+      this.setState({
+        datesFields: { ...datesFields, error: 'All the dates are required.' },
+      })
+      return
+    }
+    if (start > cliff || cliff > vesting) {
+      this.setState({
+        datesFields: {
+          ...datesFields,
+          error:
+            'The cliff date must be between the start and the vesting dates.',
+        },
+      })
+      return
+    }
+
+    this.props.onCreateVesting({
+      holder: holderAddress,
+      amount,
+      start,
+      cliff,
+      vesting,
+      revokable,
+    })
+  }
+  render() {
+    const { amountField, datesFields, holderField, revokable } = this.state
+    const { tokenDecimals } = this.props
+
+    const minTokenStep = fromDecimals(
+      '1',
+      Math.min(MAX_INPUT_DECIMAL_BASE, tokenDecimals)
+    )
+    const errorMessage =
+      holderField.error || amountField.error || datesFields.error
+
+    return (
+      <div>
+        <form onSubmit={this.handleSubmit}>
+          <div css="margin-bottom: 20px">
+            <Info.Action title="Action">
+              This action will assign tokens from the Token Manager’s holdings
+              to the recipient below, that they will only be able to transfer
+              once vested.
+            </Info.Action>
+          </div>
+          <Field
+            label="Recipient (must be a valid Ethereum address)"
+            css="height: 62px"
+          >
+            <LocalIdentitiesAutoComplete
+              ref={this._holderInput}
+              value={holderField.value}
+              onChange={this.handleHolderChange}
+              wide
+              required
+            />
+          </Field>
+          <Field label="Number of tokens">
+            <TextInput.Number
+              value={amountField.value}
+              onChange={this.handleAmountChange}
+              min={minTokenStep}
+              max={amountField.max}
+              disabled={amountField.max === '0'}
+              step={minTokenStep}
+              required
+              wide
+            />
+          </Field>
+          {DATE_FIELDS.map(([name, label, description]) => (
+            <Field key={name} label={`${label} (UTC)`}>
+              <TextInput
+                type="date"
+                value={datesFields[name]}
+                onChange={event =>
+                  this.handleDateChange(name, event.target.value)
+                }
+                title={description}
+                required
+                wide
+              />
+            </Field>
+          ))}
+          <Field label="Revocation">
+            <label css="display: flex; align-items: center">
+              <Checkbox
+                checked={revokable}
+                onChange={this.handleRevokableChange}
+              />
+              <Text css="margin-left: 10px">
+                The non-vested tokens can be revoked
+              </Text>
+            </label>
+          </Field>
+          <Button
+            mode="strong"
+            type="submit"
+            disabled={amountField.max === '0'}
+            wide
+          >
+            Vest tokens
+          </Button>
+          <div css="margin-top: 15px">
+            {errorMessage && <ErrorMessage message={errorMessage} />}
+            {amountField.warning && (
+              <Message>
+                <Info.Action>{amountField.warning}</Info.Action>
+              </Message>
+            )}
+          </div>
+        </form>
+      </div>
+    )
+  }
+}
+
+const Message = styled.div`
+  & + & {
+    margin-top: 15px;
+  }
+`
+
+const ErrorMessage = ({ message }) => (
+  <Message>
+    <p>
+      <IconCross />
+      <Text size="small" style={{ marginLeft: '10px' }}>
+        {message}
+      </Text>
+    </p>
+  </Message>
+)
+
+export default VestingPanelContent
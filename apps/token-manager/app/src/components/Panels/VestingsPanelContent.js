@@ -0,0 +1,139 @@
+import React from 'react'
+import styled from 'styled-components'
+import BN from 'bn.js'
+import {
+  Button,
+  LineChart,
+  SidePanelSeparator,
+  Text,
+  theme,
+  useViewport,
+} from '@aragon/ui'
+import {
+  formatBalance,
+  getLockedAmount,
+  getNonVestedAmount,
+  getVestingCurve,
+} from '../../utils'
+
+const CURVE_STEPS = 7
+const CHART_HEIGHT = 100
+// Width of the side panel’s content on large screens
+const CHART_MAX_WIDTH = 390
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10)
+
+// The vestings of an holder: their vested and locked tokens, and the curve of
+// their vesting.
+const VestingsPanelContent = React.memo(
+  ({ holder, opened, tokenDecimalsBase, tokenSymbol, onRevokeVesting }) => {
+    const { width } = useViewport()
+    if (!holder) {
+      return null
+    }
+
+    const now = Date.now()
+    const { address, balance, vestings } = holder
+    const locked = getLockedAmount(vestings, now)
+    const format = amount =>
+      `${formatBalance(amount, tokenDecimalsBase)} ${tokenSymbol}`
+
+    return (
+      <div>
+        <Part>
+          <Summary>
+            <div>
+              <Label>Transferable</Label>
+              <strong>{format(BN.max(balance.sub(locked), new BN(0)))}</strong>
+            </div>
+            <div>
+              <Label>Locked</Label>
+              <strong>{format(locked)}</strong>
+            </div>
+          </Summary>
+        </Part>
+        {vestings.length === 0 && (
+          <Text.Paragraph color={theme.textSecondary}>
+            This holder doesn’t have any vesting.
+          </Text.Paragraph>
+        )}
+        {vestings.map(vesting => {
+          const nonVested = getNonVestedAmount(vesting, now)
+          const curve = getVestingCurve(vesting, CURVE_STEPS)
+          return (
+            <React.Fragment key={vesting.vestingId}>
+              <SidePanelSeparator />
+              <Part>
+                <h2>
+                  <Label>Vesting #{vesting.vestingId}</Label>
+                </h2>
+                <Text.Block>
+                  <strong>{format(vesting.amount.sub(nonVested))}</strong>{' '}
+                  vested out of {format(vesting.amount)}
+                </Text.Block>
+                <Text.Block size="small" color={theme.textSecondary}>
+                  Starts on {formatDate(vesting.start)}, cliff on{' '}
+                  {formatDate(vesting.cliff)}, fully vested on{' '}
+                  {formatDate(vesting.vesting)}.{' '}
+                  {vesting.revokable ? 'Revokable.' : 'Not revokable.'}
+                </Text.Block>
+                <div css="margin-top: 15px">
+                  <LineChart
+                    width={Math.min(width - 60, CHART_MAX_WIDTH)}
+                    height={CHART_HEIGHT}
+                    total={curve.length}
+                    reset={!opened}
+                    lines={[
+                      {
+                        id: 1,
+                        color: theme.accent,
+                        values: curve.map(({ vested }) => vested),
+                      },
+                    ]}
+                    label={index => formatDate(curve[index].date).slice(2)}
+                  />
+                </div>
+                {vesting.revokable && !nonVested.isZero() && (
+                  <Button
+                    mode="outline"
+                    onClick={() => onRevokeVesting(address, vesting.vestingId)}
+                    css="margin-top: 15px"
+                    wide
+                  >
+                    Revoke the {format(nonVested)} not vested yet
+                  </Button>
+                )}
+              </Part>
+            </React.Fragment>
+          )
+        })}
+      </div>
+    )
+  }
+)
+
+const Part = styled.div`
+  padding: 20px 0;
+  &:first-child {
+    padding-top: 0;
+  }
+`
+
+const Summary = styled.div`
+  display: flex;
+  > div {
+    display: flex;
+    flex-direction: column;
+    width: 50%;
+  }
+`
+
+const Label = styled(Text).attrs({
+  smallcaps: true,
+  color: theme.textSecondary,
+})`
+  display: block;
+  margin-bottom: 5px;
+`
+
+export default VestingsPanelContent
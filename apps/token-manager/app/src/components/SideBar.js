@@ -1,8 +1,17 @@
 import React from 'react'
 import styled from 'styled-components'
-import { TokenBadge, Text, breakpoint, theme } from '@aragon/ui'
+import {
+  DropDown,
+  TextInput,
+  TokenBadge,
+  Text,
+  breakpoint,
+  theme,
+} from '@aragon/ui'
 import { useNetwork } from '@aragon/api-react'
 import { formatBalance, stakesPercentages } from '../utils'
+import { getConcentrationMetrics } from '../concentration-utils'
+import { getSnapshot, getSnapshotPoint } from '../history-utils'
 import You from './You'
 import LocalIdentityBadge from './LocalIdentityBadge/LocalIdentityBadge'
 
@@ -17,6 +26,21 @@ const DISTRIBUTION_COLORS = [
   '#80AEDC',
 ]
 
+const TOP_COUNTS = [5, 10, 20]
+const GINI_DESCRIPTION =
+  '0 when every holder has the same balance, close to 1 when a single holder has all the tokens'
+const NAKAMOTO_DESCRIPTION =
+  'Minimum number of holders controlling more than 50% of the tokens'
+
+// Display a metric and how it changed, e.g. “0.42 (+0.05)”
+const formatChange = (value, pastValue, decimals) => {
+  const change = value - pastValue
+  if (pastValue === null || Math.abs(change) < Math.pow(10, -decimals) / 2) {
+    return ''
+  }
+  return ` (${change > 0 ? '+' : '−'}${Math.abs(change).toFixed(decimals)})`
+}
+
 const displayedStakes = (accounts, total) => {
   return stakesPercentages(accounts.map(({ balance }) => balance), {
     total,
@@ -31,6 +55,32 @@ const displayedStakes = (accounts, total) => {
 class SideBar extends React.PureComponent {
   static defaultProps = {
     holders: [],
+    transfers: null,
+  }
+  state = { compareBlock: '', topCountIndex: 0 }
+  handleCompareBlockChange = event => {
+    this.setState({ compareBlock: event.target.value })
+  }
+  handleTopCountChange = index => {
+    this.setState({ topCountIndex: index })
+  }
+  // The metrics of the holders, and of the holders at the block to compare to
+  // (null if no valid block is entered, or the history is not loaded yet)
+  concentrationMetrics() {
+    const { holders, transfers } = this.props
+    const { compareBlock, topCountIndex } = this.state
+    const topCount = TOP_COUNTS[topCountIndex]
+    const point = getSnapshotPoint({ mode: 'block', value: compareBlock })
+    return {
+      metrics: getConcentrationMetrics(holders, topCount),
+      pastMetrics:
+        point && transfers
+          ? getConcentrationMetrics(
+              getSnapshot(transfers, point).holders,
+              topCount
+            )
+          : null,
+    }
   }
   transferableLabel() {
     const { tokenTransfersEnabled } = this.props
@@ -48,10 +98,14 @@ class SideBar extends React.PureComponent {
       tokenName,
       tokenSupply,
       tokenSymbol,
+      transfers,
       userAccount,
       ...rest
     } = this.props
+    const { compareBlock, topCountIndex } = this.state
     const stakes = displayedStakes(holders, tokenSupply)
+    const { metrics, pastMetrics } = this.concentrationMetrics()
+    const past = metric => (pastMetrics ? pastMetrics[metric] : null)
     return (
       <Main {...rest}>
         <Part>
@@ -122,6 +176,75 @@ class SideBar extends React.PureComponent {
             ))}
           </ul>
         </Part>
+        <Part>
+          <h1>
+            <Text color={theme.textSecondary} smallcaps>
+              Concentration
+            </Text>
+          </h1>
+          <ul>
+            <InfoRow>
+              <span title={GINI_DESCRIPTION}>Gini coefficient</span>
+              <span>:</span>
+              <strong>
+                {metrics.gini.toFixed(2)}
+                {formatChange(metrics.gini, past('gini'), 2)}
+              </strong>
+            </InfoRow>
+            <InfoRow>
+              <span title={NAKAMOTO_DESCRIPTION}>Nakamoto coefficient</span>
+              <span>:</span>
+              <strong>
+                {metrics.nakamoto}
+                {formatChange(metrics.nakamoto, past('nakamoto'), 0)}
+              </strong>
+            </InfoRow>
+            <InfoRow>
+              <span css="display: flex; align-items: center">
+                Top
+                <DropDown
+                  items={TOP_COUNTS.map(String)}
+                  active={topCountIndex}
+                  onChange={this.handleTopCountChange}
+                  css="margin: 0 5px"
+                />
+                share
+              </span>
+              <span>:</span>
+              <strong>
+                {(metrics.topShare * 100).toFixed(1)}%
+                {formatChange(
+                  metrics.topShare * 100,
+                  pastMetrics && pastMetrics.topShare * 100,
+                  1
+                )}
+              </strong>
+            </InfoRow>
+            <InfoRow>
+              <span>Holders</span>
+              <span>:</span>
+              <strong>
+                {metrics.holdersCount}
+                {formatChange(metrics.holdersCount, past('holdersCount'), 0)}
+              </strong>
+            </InfoRow>
+          </ul>
+          {transfers && (
+            <label>
+              <Text.Block size="small" color={theme.textSecondary}>
+                Changes since block
+              </Text.Block>
+              <TextInput
+                type="number"
+                min={0}
+                value={compareBlock}
+                onChange={this.handleCompareBlockChange}
+                placeholder="Block number"
+                wide
+              />
+            </label>
+          )}
+        </Part>
       </Main>
     )
   }
@@ -0,0 +1,70 @@
+import React from 'react'
+import styled from 'styled-components'
+import { Button, DropDown, Text, TextInput, theme } from '@aragon/ui'
+import { getSnapshotPoint } from '../history-utils'
+
+const SNAPSHOT_MODES = ['now', 'block', 'date']
+const SNAPSHOT_LABELS = ['Now', 'At block', 'At date (UTC)']
+
+// Choose the point of the history the holders are displayed at, and export
+// them as CSV. Only the current holders are available until the history is
+// loaded.
+const SnapshotBar = ({ historyAvailable, snapshot, onChange, onExport }) => {
+  const modeIndex = SNAPSHOT_MODES.indexOf(snapshot.mode)
+  const invalid = getSnapshotPoint(snapshot) === undefined
+  return (
+    <Main>
+      {historyAvailable ? (
+        <DropDown
+          items={SNAPSHOT_LABELS}
+          active={modeIndex}
+          onChange={index =>
+            onChange({ mode: SNAPSHOT_MODES[index], value: '' })
+          }
+        />
+      ) : (
+        <Text size="small" color={theme.textSecondary}>
+          The past holders are not available yet.
+        </Text>
+      )}
+      {snapshot.mode !== 'now' && (
+        <TextInput
+          type={snapshot.mode === 'date' ? 'date' : 'number'}
+          min={snapshot.mode === 'block' ? 0 : undefined}
+          placeholder={snapshot.mode === 'block' ? 'Block number' : ''}
+          value={snapshot.value}
+          onChange={event =>
+            onChange({ ...snapshot, value: event.target.value })
+          }
+          css="margin-left: 10px"
+        />
+      )}
+      <Button
+        mode="outline"
+        onClick={onExport}
+        disabled={invalid}
+        css="margin-left: auto"
+      >
+        Export CSV
+      </Button>
+      {snapshot.mode !== 'now' && invalid && (
+        <Text size="small" color={theme.textSecondary} css="width: 100%">
+          Enter a {snapshot.mode === 'block' ? 'block number' : 'date'} to see
+          the holders at that time.
+        </Text>
+      )}
+    </Main>
+  )
+}
+
+const Main = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  margin-bottom: 16px;
+  > span {
+    margin-top: 5px;
+  }
+`
+
+export default SnapshotBar
@@ -0,0 +1,85 @@
+import BN from 'bn.js'
+
+// Precision of the ratios, as they are calculated with BNs
+const RATIO_BASE = 10000
+
+const sum = amounts =>
+  amounts.reduce((total, amount) => total.add(amount), new BN(0))
+const ratio = (amount, total) =>
+  total.isZero()
+    ? 0
+    : amount
+        .muln(RATIO_BASE)
+        .div(total)
+        .toNumber() / RATIO_BASE
+
+// Only the positive balances are counted, from the largest
+const sortBalances = balances =>
+  balances.filter(balance => balance.gtn(0)).sort((a, b) => b.cmp(a))
+
+/**
+ * Calculate the Gini coefficient of the balances: 0 when every holder has the
+ * same balance, close to 1 when a single holder has all the tokens.
+ *
+ * @param {Array<BN>} balances the balances of the holders
+ * @return {number} the Gini coefficient, between 0 and 1
+ */
+export function getGiniCoefficient(balances) {
+  // From the smallest: G = Σ (2i - n - 1) × x(i) / (n × Σ x(i))
+  const sorted = sortBalances(balances).reverse()
+  const count = sorted.length
+  const weighted = sorted.reduce(
+    (total, balance, index) =>
+      total.add(balance.mul(new BN(2 * (index + 1) - count - 1))),
+    new BN(0)
+  )
+  return ratio(weighted, sum(sorted).muln(count))
+}
+
+/**
+ * Calculate the Nakamoto coefficient of the balances: the minimum number of
+ * holders that together hold more than a share of the tokens.
+ *
+ * @param {Array<BN>} balances the balances of the holders
+ * @param {number} [threshold] the share to exceed, in percent, defaults to 50
+ * @return {number} the count of holders, 0 if there are no tokens
+ */
+export function getNakamotoCoefficient(balances, threshold = 50) {
+  const sorted = sortBalances(balances)
+  const total = sum(sorted)
+  let held = new BN(0)
+  const index = sorted.findIndex(balance => {
+    held = held.add(balance)
+    return held.muln(100).gt(total.muln(threshold))
+  })
+  return index + 1
+}
+
+/**
+ * Calculate the share of the tokens held by the largest holders.
+ *
+ * @param {Array<BN>} balances the balances of the holders
+ * @param {number} count the number of largest holders
+ * @return {number} the share, between 0 and 1
+ */
+export function getTopShare(balances, count) {
+  const sorted = sortBalances(balances)
+  return ratio(sum(sorted.slice(0, count)), sum(sorted))
+}
+
+/**
+ * Calculate the concentration metrics of the holders.
+ *
+ * @param {Array<Object>} holders the holders, as { address, balance }
+ * @param {number} topCount the number of largest holders to get the share of
+ * @return {Object} { gini, nakamoto, topShare, holdersCount }
+ */
+export function getConcentrationMetrics(holders, topCount) {
+  const balances = holders.map(({ balance }) => balance)
+  return {
+    gini: getGiniCoefficient(balances),
+    holdersCount: sortBalances(balances).length,
+    nakamoto: getNakamotoCoefficient(balances),
+    topShare: getTopShare(balances, topCount),
+  }
+}
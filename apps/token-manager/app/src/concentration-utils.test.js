@@ -0,0 +1,66 @@
+import BN from 'bn.js'
+import {
+  getConcentrationMetrics,
+  getGiniCoefficient,
+  getNakamotoCoefficient,
+  getTopShare,
+} from './concentration-utils'
+
+const bns = values => values.map(value => new BN(value))
+
+describe('getGiniCoefficient()', () => {
+  test('Should be 0 for equal balances', () => {
+    expect(getGiniCoefficient(bns([10, 10, 10, 10]))).toBe(0)
+  })
+  test('Should get close to 1 when a holder has most of the tokens', () => {
+    // At most (n - 1) / n
+    expect(getGiniCoefficient(bns([1, 1, 1, 97]))).toBe(0.72)
+  })
+  test('Should ignore the zero balances', () => {
+    expect(getGiniCoefficient(bns([100, 0, 0]))).toBe(0)
+  })
+  test('Should calculate the coefficient', () => {
+    // Σ (2i - n - 1) x(i) = -2 × 1 + 0 × 2 + 2 × 3 = 4, / (3 × 6)
+    expect(getGiniCoefficient(bns([3, 1, 2]))).toBe(0.2222)
+  })
+  test('Should be 0 without holders', () => {
+    expect(getGiniCoefficient([])).toBe(0)
+  })
+})
+
+describe('getNakamotoCoefficient()', () => {
+  test('Should count the holders controlling more than 50%', () => {
+    expect(getNakamotoCoefficient(bns([60, 40]))).toBe(1)
+    expect(getNakamotoCoefficient(bns([50, 50]))).toBe(2)
+    expect(getNakamotoCoefficient(bns([10, 30, 20, 40]))).toBe(2)
+  })
+  test('Should use the threshold', () => {
+    expect(getNakamotoCoefficient(bns([10, 30, 20, 40]), 70)).toBe(3)
+  })
+  test('Should be 0 without tokens', () => {
+    expect(getNakamotoCoefficient([])).toBe(0)
+  })
+})
+
+describe('getTopShare()', () => {
+  test('Should get the share of the largest holders', () => {
+    expect(getTopShare(bns([10, 30, 20, 40]), 2)).toBe(0.7)
+    expect(getTopShare(bns([10, 30]), 5)).toBe(1)
+    expect(getTopShare([], 5)).toBe(0)
+  })
+})
+
+describe('getConcentrationMetrics()', () => {
+  test('Should calculate every metric', () => {
+    const holders = bns([10, 30, 20, 40]).map((balance, index) => ({
+      address: `0x${index}`,
+      balance,
+    }))
+    expect(getConcentrationMetrics(holders, 1)).toEqual({
+      gini: 0.25,
+      holdersCount: 4,
+      nakamoto: 2,
+      topShare: 0.4,
+    })
+  })
+})
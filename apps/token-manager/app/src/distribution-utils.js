@@ -0,0 +1,165 @@
+import BN from 'bn.js'
+import abi from 'web3-eth-abi'
+import { isAddress } from './web3-utils'
+import { stakesPercentages, toDecimals } from './utils'
+
+const EMPTY_CALLSCRIPT = '0x00000001'
+const AMOUNT_REGEX = /^(\d+\.?\d*|\.\d+)$/
+
+const MINT_ABI = {
+  name: 'mint',
+  type: 'function',
+  inputs: [
+    { name: '_receiver', type: 'address' },
+    { name: '_amount', type: 'uint256' },
+  ],
+}
+
+const strip0x = hex => hex.replace(/^0x/, '')
+
+/**
+ * Parse a CSV distribution, one `address,amount` pair per line. Empty lines,
+ * lines starting with # and a header line are ignored. Both commas and
+ * semicolons can be used as separators.
+ *
+ * @param {string} csv the CSV content
+ * @return {Array<Object>} the rows, as { line, address, amount } where
+ *                         `amount` is the amount entered, in tokens
+ */
+export function parseDistributionCsv(csv) {
+  return csv
+    .split(/\r?\n/)
+    .map((content, index) => ({ content: content.trim(), line: index + 1 }))
+    .filter(
+      ({ content, line }) =>
+        content &&
+        !content.startsWith('#') &&
+        !(line === 1 && /^"?address"?\s*[,;]/i.test(content))
+    )
+    .map(({ content, line }) => {
+      const [address = '', amount = ''] = content
+        .split(/[,;]/)
+        .map(value => value.trim().replace(/^"(.*)"$/, '$1'))
+      return { line, address, amount }
+    })
+}
+
+/**
+ * Validate a distribution, and get the resulting balances.
+ *
+ * @param {Array<Object>} rows the rows, as returned by parseDistributionCsv()
+ * @param {Object} options options object
+ * @param {Array<Object>} options.holders the current holders, as { address, balance }
+ * @param {BN} options.maxAccountTokens the max amount of tokens per account
+ * @param {number} options.tokenDecimals the decimals of the token
+ * @return {Array<Object>} the rows, with `amount` converted to a BN in the
+ *                         token base (or null), the `balance` of the account
+ *                         once all the rows are applied, and an `error`
+ */
+export function validateDistribution(
+  rows,
+  { holders, maxAccountTokens, tokenDecimals }
+) {
+  const balances = new Map(
+    holders.map(({ address, balance }) => [address.toLowerCase(), balance])
+  )
+
+  const validatedRows = rows.map(row => {
+    if (!isAddress(row.address)) {
+      return { ...row, amount: null, error: 'Invalid address' }
+    }
+    if (!AMOUNT_REGEX.test(row.amount)) {
+      return { ...row, amount: null, error: 'Invalid amount' }
+    }
+    // Trailing zeros don't add any precision, e.g. 1.50 for 1 decimal
+    const amount = toDecimals(
+      row.amount.includes('.')
+        ? row.amount.replace(/\.?0+$/, '') || '0'
+        : row.amount,
+      tokenDecimals,
+      { truncate: false }
+    )
+    if (amount.includes('.')) {
+      return {
+        ...row,
+        amount: null,
+        error: `Too many decimals (the token has ${tokenDecimals})`,
+      }
+    }
+    const amountBn = new BN(amount)
+    if (amountBn.isZero()) {
+      return { ...row, amount: null, error: 'The amount must be positive' }
+    }
+
+    // Several rows can add tokens to the same account
+    const key = row.address.toLowerCase()
+    balances.set(key, (balances.get(key) || new BN(0)).add(amountBn))
+    return { ...row, amount: amountBn, error: null }
+  })
+
+  return validatedRows.map(row => {
+    if (row.error) {
+      return { ...row, balance: null }
+    }
+    const balance = balances.get(row.address.toLowerCase())
+    return {
+      ...row,
+      balance,
+      error: balance.gt(maxAccountTokens)
+        ? 'The account would hold more than the max amount of tokens'
+        : null,
+    }
+  })
+}
+
+/**
+ * Get the distribution percentages of the token once the rows are minted.
+ *
+ * @param {Array<Object>} rows the valid rows, from validateDistribution()
+ * @param {Array<Object>} holders the current holders, as { address, balance }
+ * @param {number} maxIncluded the max count of accounts to include
+ * @return {Array<Object>} the stakes, as { address, percentage }, where
+ *                         `address` is null for the “rest”
+ */
+export function getDistributionStakes(rows, holders, maxIncluded) {
+  const balances = new Map(
+    holders.map(({ address, balance }) => [address.toLowerCase(), balance])
+  )
+  rows.forEach(({ address, balance }) => {
+    balances.set(address.toLowerCase(), balance)
+  })
+  const accounts = [...balances.entries()]
+  const amounts = accounts.map(([, balance]) => balance)
+  return stakesPercentages(amounts, { maxIncluded }).map(
+    ({ index, percentage }) => ({
+      address: index === -1 ? null : accounts[index][0],
+      percentage,
+    })
+  )
+}
+
+/**
+ * Encode the mints of a distribution into an EVM call script (spec id 1),
+ * calling `mint(address,uint256)` on the Token Manager for each row.
+ *
+ * @param {string} tokenManagerAddress the address of the Token Manager
+ * @param {Array<Object>} rows the valid rows, from validateDistribution()
+ * @return {string} the EVM script
+ */
+export function encodeDistributionScript(tokenManagerAddress, rows) {
+  return encodeCallScript(
+    rows.map(({ address, amount }) => ({
+      to: tokenManagerAddress,
+      calldata: abi.encodeFunctionCall(MINT_ABI, [address, amount.toString()]),
+    }))
+  )
+}
+
+// Concatenate the address, calldata length (uint32) and calldata of each call
+function encodeCallScript(calls) {
+  return calls.reduce((script, { to, calldata }) => {
+    const data = strip0x(calldata)
+    const length = (data.length / 2).toString(16).padStart(8, '0')
+    return script + strip0x(to).toLowerCase() + length + data
+  }, EMPTY_CALLSCRIPT)
+}
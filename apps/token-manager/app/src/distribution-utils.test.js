@@ -0,0 +1,129 @@
+import BN from 'bn.js'
+import {
+  encodeDistributionScript,
+  getDistributionStakes,
+  parseDistributionCsv,
+  validateDistribution,
+} from './distribution-utils'
+
+const bn = v => new BN(v)
+const ADDRESS_1 = '0x' + '1'.repeat(40)
+const ADDRESS_2 = '0x' + '2'.repeat(40)
+const TOKEN_MANAGER = '0x' + 'ab'.repeat(20)
+
+describe('parseDistributionCsv()', () => {
+  test('Should parse address and amount pairs', () => {
+    const csv = [
+      'address,amount',
+      `${ADDRESS_1}, 10`,
+      '',
+      '# Contributors',
+      `"${ADDRESS_2}";"2.5"`,
+      'invalid',
+    ].join('\n')
+    expect(parseDistributionCsv(csv)).toEqual([
+      { line: 2, address: ADDRESS_1, amount: '10' },
+      { line: 5, address: ADDRESS_2, amount: '2.5' },
+      { line: 6, address: 'invalid', amount: '' },
+    ])
+  })
+})
+
+describe('validateDistribution()', () => {
+  const options = {
+    holders: [{ address: ADDRESS_1, balance: bn(500) }],
+    maxAccountTokens: bn(2000),
+    tokenDecimals: 2,
+  }
+  const validate = rows =>
+    validateDistribution(rows, options).map(({ amount, balance, error }) => ({
+      amount: amount && amount.toString(),
+      balance: balance && balance.toString(),
+      error,
+    }))
+
+  test('Should convert amounts and add them to the balances', () => {
+    expect(
+      validate([
+        { line: 1, address: ADDRESS_1, amount: '2.5' },
+        { line: 2, address: ADDRESS_2, amount: '3' },
+        { line: 3, address: ADDRESS_1, amount: '.5' },
+      ])
+    ).toEqual([
+      { amount: '250', balance: '800', error: null },
+      { amount: '300', balance: '300', error: null },
+      { amount: '50', balance: '800', error: null },
+    ])
+  })
+
+  test('Should ignore the trailing zeros of amounts', () => {
+    expect(
+      validate([
+        { line: 1, address: ADDRESS_2, amount: '1.5000' },
+        { line: 2, address: ADDRESS_2, amount: '10.000' },
+      ])
+    ).toEqual([
+      { amount: '150', balance: '1150', error: null },
+      { amount: '1000', balance: '1150', error: null },
+    ])
+  })
+
+  test('Should reject invalid rows', () => {
+    const errors = validate([
+      { line: 1, address: '0x1234', amount: '1' },
+      { line: 2, address: ADDRESS_2, amount: '-1' },
+      { line: 3, address: ADDRESS_2, amount: '1.001' },
+      { line: 4, address: ADDRESS_2, amount: '0' },
+    ]).map(({ error }) => error)
+    expect(errors).toEqual([
+      'Invalid address',
+      'Invalid amount',
+      'Too many decimals (the token has 2)',
+      'The amount must be positive',
+    ])
+  })
+
+  test('Should reject balances above the max amount of tokens', () => {
+    expect(
+      validate([
+        { line: 1, address: ADDRESS_1, amount: '10' },
+        { line: 2, address: ADDRESS_1, amount: '5.01' },
+      ]).map(({ error }) => Boolean(error))
+    ).toEqual([true, true])
+  })
+})
+
+describe('getDistributionStakes()', () => {
+  test('Should include the current holders and the new ones', () => {
+    const stakes = getDistributionStakes(
+      [{ address: ADDRESS_2, balance: bn(300) }],
+      [{ address: ADDRESS_1, balance: bn(100) }],
+      5
+    )
+    expect(stakes).toEqual([
+      { address: ADDRESS_2, percentage: 75 },
+      { address: ADDRESS_1, percentage: 25 },
+    ])
+  })
+})
+
+describe('encodeDistributionScript()', () => {
+  test('Should encode a mint call for each row', () => {
+    const mintCalldata = (address, amount) =>
+      '40c10f19' + address.slice(2).padStart(64, '0') + amount.padStart(64, '0')
+    expect(
+      encodeDistributionScript(TOKEN_MANAGER, [
+        { address: ADDRESS_1, amount: bn(255) },
+        { address: ADDRESS_2, amount: bn(1) },
+      ])
+    ).toBe(
+      '0x00000001' +
+        'ab'.repeat(20) +
+        '00000044' +
+        mintCalldata(ADDRESS_1, 'ff') +
+        'ab'.repeat(20) +
+        '00000044' +
+        mintCalldata(ADDRESS_2, '1')
+    )
+  })
+})
@@ -0,0 +1,149 @@
+import BN from 'bn.js'
+import { fromDecimals } from './utils'
+
+// Mints and burns are transfers from and to this address
+export const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+const DAY_DURATION = 1000 * 60 * 60 * 24
+
+const isBefore = (transfer, { blockNumber, date }) =>
+  blockNumber !== undefined
+    ? transfer.blockNumber <= blockNumber
+    : transfer.date !== null && transfer.date <= date
+
+/**
+ * Rebuild the balances of the holders and the total supply at a past block
+ * or date, from the transfers history.
+ *
+ * @param {Array<Object>} transfers the transfers, as { blockNumber, date, from, to, amount }
+ *                                  with `amount` as a BN, sorted from the oldest
+ * @param {Object} [at] the block number (`blockNumber`) or the date in ms
+ *                      (`date`) to rebuild the balances at, defaults to the
+ *                      latest transfer
+ * @return {Object} { holders, tokenSupply } with the holders as { address,
+ *                  balance }, only keeping positive balances
+ */
+export function getSnapshot(transfers, at = null) {
+  const balances = new Map()
+  let tokenSupply = new BN(0)
+  const add = (address, amount) => {
+    const key = address.toLowerCase()
+    balances.set(key, (balances.get(key) || new BN(0)).add(amount))
+  }
+
+  transfers
+    .filter(transfer => at === null || isBefore(transfer, at))
+    .forEach(({ from, to, amount }) => {
+      if (from.toLowerCase() === ZERO_ADDRESS) {
+        tokenSupply = tokenSupply.add(amount)
+      } else {
+        add(from, amount.neg())
+      }
+      if (to.toLowerCase() === ZERO_ADDRESS) {
+        tokenSupply = tokenSupply.sub(amount)
+      } else {
+        add(to, amount)
+      }
+    })
+
+  return {
+    holders: [...balances.entries()]
+      .filter(([, balance]) => balance.gtn(0))
+      .map(([address, balance]) => ({ address, balance }))
+      .sort((a, b) => b.balance.cmp(a.balance)),
+    tokenSupply,
+  }
+}
+
+/**
+ * Get the point of the history a snapshot is taken at, from the value entered.
+ *
+ * @param {Object} snapshot the snapshot, as { mode, value } where `mode` is
+ *                          `now`, `block` or `date` (as YYYY-MM-DD, in UTC)
+ * @return {Object} null for the current state, { blockNumber } or { date }
+ *                  (see getSnapshot()), or undefined if the value is invalid
+ */
+export function getSnapshotPoint({ mode, value }) {
+  if (mode === 'block') {
+    return /^\d+$/.test(value.trim())
+      ? { blockNumber: parseInt(value, 10) }
+      : undefined
+  }
+  if (mode === 'date') {
+    const date = Date.parse(value)
+    // Include the whole day
+    return isNaN(date) ? undefined : { date: date + DAY_DURATION - 1 }
+  }
+  return null
+}
+
+/**
+ * Get the balance of an account, or the total supply, after each transfer
+ * changing it.
+ *
+ * @param {Array<Object>} transfers the transfers (see getSnapshot())
+ * @param {string} [address] the account, or null for the total supply
+ * @return {Array<Object>} the points, as { blockNumber, date, balance }
+ */
+export function getBalanceTimeline(transfers, address = null) {
+  const account = address && address.toLowerCase()
+  let balance = new BN(0)
+  return transfers.reduce((points, { blockNumber, date, from, to, amount }) => {
+    const sender = from.toLowerCase()
+    const recipient = to.toLowerCase()
+    let change = null
+    if (account === null) {
+      if (sender === ZERO_ADDRESS) {
+        change = amount
+      } else if (recipient === ZERO_ADDRESS) {
+        change = amount.neg()
+      }
+    } else if (sender === account) {
+      change = amount.neg()
+    } else if (recipient === account) {
+      change = amount
+    }
+    if (change === null) {
+      return points
+    }
+    balance = balance.add(change)
+    return [...points, { blockNumber, date, balance }]
+  }, [])
+}
+
+/**
+ * Get the values of a timeline at regular intervals between two dates.
+ *
+ * @param {Array<Object>} timeline the timeline, from getBalanceTimeline()
+ * @param {number} startDate the first date, in ms
+ * @param {number} endDate the last date, in ms
+ * @param {number} steps the number of values
+ * @return {Array<Object>} the values, as { date, balance }
+ */
+export function sampleTimeline(timeline, startDate, endDate, steps) {
+  const interval = steps > 1 ? (endDate - startDate) / (steps - 1) : 0
+  return [...Array(steps)].map((_, index) => {
+    const date = index === steps - 1 ? endDate : startDate + interval * index
+    const point = timeline
+      .filter(point => point.date !== null && point.date <= date)
+      .pop()
+    return { date, balance: point ? point.balance : new BN(0) }
+  })
+}
+
+/**
+ * Export the balances of holders as CSV.
+ *
+ * @param {Array<Object>} holders the holders, as { address, balance }
+ * @param {number} tokenDecimals the decimals of the token
+ * @return {string} the CSV content, with an `address,balance` header
+ */
+export function snapshotToCsv(holders, tokenDecimals) {
+  return [
+    'address,balance',
+    ...holders.map(
+      ({ address, balance }) =>
+        `${address},${fromDecimals(balance.toString(), tokenDecimals)}`
+    ),
+  ].join('\n')
+}
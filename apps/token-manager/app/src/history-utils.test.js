@@ -0,0 +1,132 @@
+import BN from 'bn.js'
+import {
+  ZERO_ADDRESS,
+  getBalanceTimeline,
+  getSnapshot,
+  getSnapshotPoint,
+  sampleTimeline,
+  snapshotToCsv,
+} from './history-utils'
+
+const bn = v => new BN(v)
+const ADDRESS_1 = '0x' + '1'.repeat(40)
+const ADDRESS_2 = '0x' + '2'.repeat(40)
+
+const transfer = (blockNumber, from, to, amount) => ({
+  blockNumber,
+  date: blockNumber * 1000,
+  from,
+  to,
+  amount: bn(amount),
+})
+
+// Mint 100 to 1, transfer 40 to 2, burn the 60 left of 1
+const TRANSFERS = [
+  transfer(1, ZERO_ADDRESS, ADDRESS_1, 100),
+  transfer(2, ADDRESS_1, ADDRESS_2, 40),
+  transfer(3, ADDRESS_1, ZERO_ADDRESS, 60),
+]
+
+const toStrings = ({ holders, tokenSupply }) => ({
+  holders: holders.map(({ address, balance }) => [address, balance.toString()]),
+  tokenSupply: tokenSupply.toString(),
+})
+
+describe('getSnapshot()', () => {
+  test('Should rebuild the latest balances', () => {
+    expect(toStrings(getSnapshot(TRANSFERS))).toEqual({
+      holders: [[ADDRESS_2, '40']],
+      tokenSupply: '40',
+    })
+  })
+  test('Should rebuild the balances at a block', () => {
+    expect(toStrings(getSnapshot(TRANSFERS, { blockNumber: 2 }))).toEqual({
+      holders: [
+        [ADDRESS_1, '60'],
+        [ADDRESS_2, '40'],
+      ],
+      tokenSupply: '100',
+    })
+    expect(toStrings(getSnapshot(TRANSFERS, { blockNumber: 0 }))).toEqual({
+      holders: [],
+      tokenSupply: '0',
+    })
+  })
+  test('Should rebuild the balances at a date', () => {
+    expect(toStrings(getSnapshot(TRANSFERS, { date: 1500 }))).toEqual({
+      holders: [[ADDRESS_1, '100']],
+      tokenSupply: '100',
+    })
+  })
+})
+
+describe('getSnapshotPoint()', () => {
+  test('Should parse the snapshot values', () => {
+    expect(getSnapshotPoint({ mode: 'now', value: '' })).toBe(null)
+    expect(getSnapshotPoint({ mode: 'block', value: '42' })).toEqual({
+      blockNumber: 42,
+    })
+    expect(getSnapshotPoint({ mode: 'date', value: '2019-01-01' })).toEqual({
+      date: Date.UTC(2019, 0, 2) - 1,
+    })
+  })
+  test('Should reject invalid values', () => {
+    expect(getSnapshotPoint({ mode: 'block', value: '' })).toBe(undefined)
+    expect(getSnapshotPoint({ mode: 'block', value: '-1' })).toBe(undefined)
+    expect(getSnapshotPoint({ mode: 'date', value: '' })).toBe(undefined)
+  })
+})
+
+describe('getBalanceTimeline()', () => {
+  const toStrings = timeline =>
+    timeline.map(({ blockNumber, balance }) => [
+      blockNumber,
+      balance.toString(),
+    ])
+
+  test('Should get the balance of an account after each change', () => {
+    expect(toStrings(getBalanceTimeline(TRANSFERS, ADDRESS_1))).toEqual([
+      [1, '100'],
+      [2, '60'],
+      [3, '0'],
+    ])
+    expect(toStrings(getBalanceTimeline(TRANSFERS, ADDRESS_2))).toEqual([
+      [2, '40'],
+    ])
+  })
+  test('Should get the total supply after each mint or burn', () => {
+    expect(toStrings(getBalanceTimeline(TRANSFERS))).toEqual([
+      [1, '100'],
+      [3, '40'],
+    ])
+  })
+})
+
+describe('sampleTimeline()', () => {
+  test('Should get the values at regular intervals', () => {
+    const samples = sampleTimeline(getBalanceTimeline(TRANSFERS), 0, 4000, 5)
+    expect(
+      samples.map(({ date, balance }) => [date, balance.toString()])
+    ).toEqual([
+      [0, '0'],
+      [1000, '100'],
+      [2000, '100'],
+      [3000, '40'],
+      [4000, '40'],
+    ])
+  })
+})
+
+describe('snapshotToCsv()', () => {
+  test('Should export the balances in tokens', () => {
+    expect(
+      snapshotToCsv(
+        [
+          { address: ADDRESS_1, balance: bn('1500000000000000000') },
+          { address: ADDRESS_2, balance: bn('2000000000000000000') },
+        ],
+        18
+      )
+    ).toBe(`address,balance\n${ADDRESS_1},1.5\n${ADDRESS_2},2`)
+  })
+})
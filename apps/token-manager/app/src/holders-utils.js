@@ -0,0 +1,73 @@
+export const SORT_BY_BALANCE = 'balance'
+export const SORT_BY_ADDRESS = 'address'
+export const SORT_BY_NAME = 'name'
+
+const getName = (names, address) => names.get(address.toLowerCase()) || null
+
+/**
+ * Filter the holders by address or local identity name.
+ *
+ * @param {Array<Object>} holders the holders, as { address, balance }
+ * @param {string} search the text to search, case insensitive
+ * @param {Map} names the local identity names, indexed by lowercase address
+ * @return {Array<Object>} the matching holders
+ */
+export function filterHolders(holders, search, names = new Map()) {
+  const searchQuery = search.trim().toLowerCase()
+  if (!searchQuery) {
+    return holders
+  }
+  return holders.filter(({ address }) =>
+    [address, getName(names, address)].some(text =>
+      (text || '').toLowerCase().includes(searchQuery)
+    )
+  )
+}
+
+/**
+ * Sort the holders, without modifying the array.
+ *
+ * @param {Array<Object>} holders the holders, as { address, balance }
+ * @param {string} sortBy SORT_BY_BALANCE (the largest first), SORT_BY_ADDRESS
+ *                        or SORT_BY_NAME (the holders without a name last)
+ * @param {Map} names the local identity names, indexed by lowercase address
+ * @return {Array<Object>} the sorted holders
+ */
+export function sortHolders(holders, sortBy, names = new Map()) {
+  const compareAddresses = (a, b) =>
+    a.address.toLowerCase().localeCompare(b.address.toLowerCase())
+  const compare = {
+    [SORT_BY_BALANCE]: (a, b) =>
+      b.balance.cmp(a.balance) || compareAddresses(a, b),
+    [SORT_BY_ADDRESS]: compareAddresses,
+    [SORT_BY_NAME]: (a, b) => {
+      const nameA = getName(names, a.address)
+      const nameB = getName(names, b.address)
+      if (nameA === null || nameB === null) {
+        return (nameA === null) - (nameB === null) || compareAddresses(a, b)
+      }
+      return nameA.localeCompare(nameB) || compareAddresses(a, b)
+    },
+  }[sortBy]
+  return compare ? [...holders].sort(compare) : holders
+}
+
+/**
+ * Get a page of items.
+ *
+ * @param {Array} items the items
+ * @param {number} page the index of the page, moved to the last page if the
+ *                      items don’t go that far
+ * @param {number} pageSize the max count of items per page
+ * @return {Object} { items, page, pageCount } with the items of the page,
+ *                  the index of the page and the count of pages (at least 1)
+ */
+export function paginate(items, page, pageSize) {
+  const pageCount = Math.max(Math.ceil(items.length / pageSize), 1)
+  const currentPage = Math.min(Math.max(page, 0), pageCount - 1)
+  return {
+    items: items.slice(currentPage * pageSize, (currentPage + 1) * pageSize),
+    page: currentPage,
+    pageCount,
+  }
+}
@@ -0,0 +1,85 @@
+import BN from 'bn.js'
+import {
+  SORT_BY_ADDRESS,
+  SORT_BY_BALANCE,
+  SORT_BY_NAME,
+  filterHolders,
+  paginate,
+  sortHolders,
+} from './holders-utils'
+
+const ADDRESS_A = '0x' + 'a'.repeat(40)
+const ADDRESS_B = '0x' + 'B'.repeat(40)
+const ADDRESS_C = '0x' + 'c'.repeat(40)
+
+const HOLDERS = [
+  { address: ADDRESS_A, balance: new BN(10) },
+  { address: ADDRESS_B, balance: new BN(30) },
+  { address: ADDRESS_C, balance: new BN(20) },
+]
+const NAMES = new Map([
+  [ADDRESS_A, 'Zoe'],
+  [ADDRESS_B.toLowerCase(), 'Alice'],
+])
+
+const addresses = holders => holders.map(({ address }) => address)
+
+describe('filterHolders()', () => {
+  test('Should keep every holder without a search', () => {
+    expect(filterHolders(HOLDERS, '  ', NAMES)).toBe(HOLDERS)
+  })
+  test('Should search the addresses', () => {
+    expect(addresses(filterHolders(HOLDERS, '0xBBB', NAMES))).toEqual([
+      ADDRESS_B,
+    ])
+  })
+  test('Should search the names', () => {
+    expect(addresses(filterHolders(HOLDERS, 'zo', NAMES))).toEqual([ADDRESS_A])
+    expect(filterHolders(HOLDERS, 'zo')).toEqual([])
+  })
+})
+
+describe('sortHolders()', () => {
+  test('Should sort by balance, the largest first', () => {
+    expect(addresses(sortHolders(HOLDERS, SORT_BY_BALANCE))).toEqual([
+      ADDRESS_B,
+      ADDRESS_C,
+      ADDRESS_A,
+    ])
+  })
+  test('Should sort by address', () => {
+    expect(addresses(sortHolders(HOLDERS, SORT_BY_ADDRESS))).toEqual([
+      ADDRESS_A,
+      ADDRESS_B,
+      ADDRESS_C,
+    ])
+  })
+  test('Should sort by name, the holders without a name last', () => {
+    expect(addresses(sortHolders(HOLDERS, SORT_BY_NAME, NAMES))).toEqual([
+      ADDRESS_B,
+      ADDRESS_A,
+      ADDRESS_C,
+    ])
+  })
+  test('Should not modify the holders', () => {
+    sortHolders(HOLDERS, SORT_BY_BALANCE)
+    expect(addresses(HOLDERS)).toEqual([ADDRESS_A, ADDRESS_B, ADDRESS_C])
+  })
+})
+
+describe('paginate()', () => {
+  const items = [1, 2, 3, 4, 5]
+  test('Should get a page', () => {
+    expect(paginate(items, 1, 2)).toEqual({
+      items: [3, 4],
+      page: 1,
+      pageCount: 3,
+    })
+  })
+  test('Should move to the last page', () => {
+    expect(paginate(items, 5, 2)).toEqual({ items: [5], page: 2, pageCount: 3 })
+  })
+  test('Should have at least one page', () => {
+    expect(paginate([], 0, 2)).toEqual({ items: [], page: 0, pageCount: 1 })
+  })
+})
@@ -99,3 +99,35 @@ export function useArrowKeysFocus(query, containerRef = useRef()) {
 
   return { containerRef, handleContainerBlur }
 }
+
+const isNewVoteAbi = ({ inputs = [], name, type }) =>
+  type === 'function' &&
+  name === 'newVote' &&
+  inputs.map(({ type }) => type).join(',') === 'bytes,string'
+
+// Get the address of the current app and the apps able to create votes
+// executing its scripts (e.g. Voting).
+export function useVotingApps(api) {
+  const [currentAppAddress, setCurrentAppAddress] = useState(null)
+  const [installedApps, setInstalledApps] = useState([])
+
+  useEffect(() => {
+    if (!api) {
+      return
+    }
+    const subscriptions = [
+      api.currentApp().subscribe(({ appAddress }) => {
+        setCurrentAppAddress(appAddress)
+      }),
+      api.installedApps().subscribe(setInstalledApps),
+    ]
+    return () => {
+      subscriptions.forEach(subscription => subscription.unsubscribe())
+    }
+  }, [api])
+
+  const votingApps = installedApps.filter(({ abi = [] }) =>
+    abi.some(isNewVoteAbi)
+  )
+  return { currentAppAddress, votingApps }
+}
@@ -10,9 +10,34 @@ import {
   breakpoint,
 } from '@aragon/ui'
 import HolderRow from '../components/HolderRow'
+import HoldersFilters from '../components/HoldersFilters'
+import Pagination from '../components/Pagination'
 import SideBar from '../components/SideBar'
+import SnapshotBar from '../components/SnapshotBar'
+import { useIdentityNames } from '../components/IdentityManager/IdentityManager'
+import {
+  ZERO_ADDRESS,
+  getSnapshot,
+  getSnapshotPoint,
+  snapshotToCsv,
+} from '../history-utils'
+import {
+  SORT_BY_ADDRESS,
+  SORT_BY_BALANCE,
+  SORT_BY_NAME,
+  filterHolders,
+  paginate,
+  sortHolders,
+} from '../holders-utils'
 
 const TABS = ['Holders', 'Token Info']
+const SORTS = [
+  [SORT_BY_BALANCE, 'Balance'],
+  [SORT_BY_ADDRESS, 'Address'],
+  [SORT_BY_NAME, 'Name'],
+]
+const HOLDERS_PER_PAGE = 20
+const COPIED_LABEL_DURATION = 2000
 
 class Holders extends React.Component {
   static propTypes = {
@@ -20,24 +45,76 @@ class Holders extends React.Component {
   }
   static defaultProps = {
     holders: [],
+    identityNames: new Map(),
+    transfers: null,
+  }
+  state = {
+    copied: false,
+    page: 0,
+    searchFilter: '',
+    selectedTab: 0,
+    snapshot: { mode: 'now', value: '' },
+    sortFilter: 0,
+  }
+  componentWillUnmount() {
+    clearTimeout(this._copiedTimer)
+  }
+  getSnapshotHolders() {
+    const { holders, tokenSupply, transfers } = this.props
+    const point = getSnapshotPoint(this.state.snapshot)
+    if (!point || !transfers) {
+      return { holders, tokenSupply, past: false }
+    }
+    // Past vestings are not tracked, so the past holders don’t have any
+    const snapshot = getSnapshot(transfers, point)
+    return {
+      holders: snapshot.holders.map(holder => ({ ...holder, vestings: [] })),
+      tokenSupply: snapshot.tokenSupply,
+      past: true,
+    }
+  }
+  // The holders matching the filters, in the selected order
+  getFilteredHolders(holders) {
+    const { identityNames } = this.props
+    const { searchFilter, sortFilter } = this.state
+    return sortHolders(
+      filterHolders(holders, searchFilter, identityNames),
+      SORTS[sortFilter][0],
+      identityNames
+    )
   }
-  state = { selectedTab: 0 }
   render() {
     const {
       groupMode,
-      holders,
       maxAccountTokens,
       onAssignTokens,
       onRemoveTokens,
+      onShowHistory,
+      onShowVestings,
+      onVestTokens,
       tokenAddress,
       tokenDecimalsBase,
       tokenName,
-      tokenSupply,
       tokenSymbol,
       tokenTransfersEnabled,
+      transfers,
       userAccount,
     } = this.props
-    const { selectedTab } = this.state
+    const {
+      copied,
+      page,
+      searchFilter,
+      selectedTab,
+      snapshot,
+      sortFilter,
+    } = this.state
+    const { holders, tokenSupply, past } = this.getSnapshotHolders()
+    const filteredHolders = this.getFilteredHolders(holders)
+    const { items: pageHolders, page: currentPage, pageCount } = paginate(
+      filteredHolders,
+      page,
+      HOLDERS_PER_PAGE
+    )
 
     return (
       <Viewport>
@@ -57,6 +134,31 @@ class Holders extends React.Component {
                     />
                   </TabBarWrapper>
                 )}
+                {(!tabbedNavigation || selectedTab === 0) && (
+                  <SnapshotBar
+                    historyAvailable={Boolean(transfers)}
+                    snapshot={snapshot}
+                    onChange={this.handleSnapshotChange}
+                    onExport={this.handleExport}
+                  />
+                )}
+                {(!tabbedNavigation || selectedTab === 0) && (
+                  <HoldersFilters
+                    sortItems={SORTS.map(([, label]) => label)}
+                    sortFilter={sortFilter}
+                    onSortChange={this.handleSortChange}
+                    searchFilter={searchFilter}
+                    onSearchChange={this.handleSearchChange}
+                    copyLabel={
+                      copied
+                        ? 'Copied!'
+                        : `Copy ${filteredHolders.length} address${
+                            filteredHolders.length === 1 ? '' : 'es'
+                          }`
+                    }
+                    onCopyAddresses={this.handleCopyAddresses}
+                  />
+                )}
                 {(!tabbedNavigation || selectedTab === 0) && (
                   <ResponsiveTable
                     header={
@@ -73,16 +175,19 @@ class Holders extends React.Component {
                             colSpan={compactTable ? '2' : '1'}
                           />
                         )}
-                        {!groupMode && !compactTable && <TableHeader />}
+                        {!groupMode && !compactTable && !past && (
+                          <TableHeader />
+                        )}
                       </TableRow>
                     }
                     noSideBorders={compactTable}
                   >
-                    {holders.map(({ address, balance }) => (
+                    {pageHolders.map(({ address, balance, vestings }) => (
                       <HolderRow
                         key={address}
                         address={address}
                         balance={balance}
+                        vestings={vestings}
                         groupMode={groupMode}
                         isCurrentUser={Boolean(
                           userAccount && userAccount === address
@@ -91,11 +196,22 @@ class Holders extends React.Component {
                         tokenDecimalsBase={tokenDecimalsBase}
                         onAssignTokens={onAssignTokens}
                         onRemoveTokens={onRemoveTokens}
+                        onShowVestings={onShowVestings}
+                        onShowHistory={onShowHistory}
+                        onVestTokens={onVestTokens}
                         compact={compactTable}
+                        readOnly={past}
                       />
                     ))}
                   </ResponsiveTable>
                 )}
+                {(!tabbedNavigation || selectedTab === 0) && (
+                  <Pagination
+                    page={currentPage}
+                    pageCount={pageCount}
+                    onChange={this.handlePageChange}
+                  />
+                )}
               </Main>
               {(!tabbedNavigation || selectedTab === 1) && (
                 <SideBar
@@ -106,6 +222,7 @@ class Holders extends React.Component {
                   tokenSupply={tokenSupply}
                   tokenSymbol={tokenSymbol}
                   tokenTransfersEnabled={tokenTransfersEnabled}
+                  transfers={transfers}
                   userAccount={userAccount}
                 />
               )}
@@ -119,6 +236,60 @@ class Holders extends React.Component {
   handleSelectTab = index => {
     this.setState({ selectedTab: index })
   }
+  handleSnapshotChange = snapshot => {
+    this.setState({ snapshot, page: 0 })
+  }
+  handleSortChange = index => {
+    this.setState({ sortFilter: index, page: 0 })
+  }
+  handleSearchChange = searchFilter => {
+    this.setState({ searchFilter, page: 0 })
+  }
+  handlePageChange = page => {
+    this.setState({ page })
+  }
+  handleCopyAddresses = () => {
+    const { holders } = this.getSnapshotHolders()
+    const addresses = this.getFilteredHolders(holders).map(
+      ({ address }) => address
+    )
+
+    // The Clipboard API is not always allowed in the app iframe
+    const textarea = document.createElement('textarea')
+    textarea.value = addresses.join('\n')
+    textarea.style.position = 'fixed'
+    textarea.style.opacity = '0'
+    document.body.appendChild(textarea)
+    textarea.select()
+    const copied = document.execCommand('copy')
+    document.body.removeChild(textarea)
+
+    if (copied) {
+      clearTimeout(this._copiedTimer)
+      this.setState({ copied: true })
+      this._copiedTimer = setTimeout(() => {
+        this.setState({ copied: false })
+      }, COPIED_LABEL_DURATION)
+    }
+  }
+  handleExport = () => {
+    const { tokenDecimals, tokenSymbol } = this.props
+    const { mode, value } = this.state.snapshot
+    const { holders } = this.getSnapshotHolders()
+    const blob = new Blob([snapshotToCsv(holders, tokenDecimals)], {
+      type: 'text/csv',
+    })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${tokenSymbol || 'token'}-holders${
+      mode === 'now' ? '' : `-${mode}-${value}`
+    }.csv`
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+  }
 }
 
 const TabBarWrapper = styled.div`
@@ -163,4 +334,15 @@ const TwoPanels = styled.div`
   )};
 `
 
-export default Holders
+export default props => {
+  // Resolve the names of former holders too, to search the snapshots
+  const { holders = [], transfers } = props
+  const addresses = [
+    ...new Set([
+      ...holders.map(({ address }) => address.toLowerCase()),
+      ...(transfers || []).map(({ to }) => to.toLowerCase()),
+    ]),
+  ].filter(address => address !== ZERO_ADDRESS)
+  const identityNames = useIdentityNames(addresses)
+  return <Holders identityNames={identityNames} {...props} />
+}
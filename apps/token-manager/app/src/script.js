@@ -47,7 +47,10 @@ retryEvery(retry => {
 async function initialize(tokenAddress) {
   const token = app.external(tokenAddress, tokenAbi)
 
-  function reducer(state, { address, event, returnValues }) {
+  function reducer(
+    state,
+    { address, blockNumber, event, logIndex, returnValues, transactionHash }
+  ) {
     const nextState = {
       ...state,
     }
@@ -61,22 +64,33 @@ async function initialize(tokenAddress) {
     // Token event
     if (addressesEqual(address, tokenAddress)) {
       switch (event) {
+        // The claimed tokens are transferred, so the history is kept by the
+        // Transfer event
         case 'ClaimedTokens':
           if (addressesEqual(returnValues._token, tokenAddress)) {
             return claimedTokens(token, nextState, returnValues)
           }
           return nextState
         case 'Transfer':
-          return transfer(token, nextState, returnValues)
+          return transfer(token, nextState, returnValues, {
+            blockNumber,
+            logIndex,
+            transactionHash,
+          })
         default:
           return nextState
       }
     }
 
     // Token Manager event
-    // TODO: add handlers for the vesting events from token Manager
-
-    return nextState
+    switch (event) {
+      case 'NewVesting':
+        return newVesting(nextState, returnValues)
+      case 'RevokeVesting':
+        return revokeVesting(nextState, returnValues)
+      default:
+        return nextState
+    }
   }
 
   const storeOptions = {
@@ -113,6 +127,28 @@ function initState({ token, tokenAddress }) {
       ...tokenSettings,
     }
 
+    // The past holders are rebuilt from the transfers, so the ones before the
+    // cached block are missing from a state cached without them
+    if (!cachedState) {
+      inititalState.transfers = []
+    } else if (!cachedState.transfers) {
+      const transfers = await loadPastTransfers(token)
+      if (transfers) {
+        inititalState.transfers = transfers
+      }
+    }
+
+    // Vestings are tracked from their events, so the ones created before the
+    // cached block are missing from a state cached without them
+    if (!cachedState) {
+      inititalState.vestings = {}
+    } else if (!cachedState.vestings) {
+      const vestings = await loadHoldersVestings(cachedState.holders || [])
+      if (vestings) {
+        inititalState.vestings = vestings
+      }
+    }
+
     // It's safe to not refresh the balances of all token holders
     // because we process any event that could change balances, even with block caching
 
@@ -130,19 +166,64 @@ async function claimedTokens(token, state, { _token, _controller }) {
   return updateState(state, changes)
 }
 
-async function transfer(token, state, { _from, _to }) {
+async function transfer(
+  token,
+  state,
+  { _from, _to, _amount },
+  { blockNumber, logIndex, transactionHash }
+) {
   const changes = await loadNewBalances(token, _from, _to)
   // The transfer may have increased the token's total supply, so let's refresh it
   const tokenSupply = await token.totalSupply().toPromise()
+
+  // Keep every transfer, to rebuild the balances at any past block. The
+  // transfers loaded on start can already contain it, and none are recorded
+  // while the past ones are missing: they all get loaded on the next start.
+  const { transfers } = state
+  const skipTransfer =
+    !transfers ||
+    transfers.some(
+      transfer =>
+        transfer.transactionHash === transactionHash &&
+        transfer.logIndex === logIndex
+    )
+
   return updateState(
     {
       ...state,
       tokenSupply,
+      transfers: skipTransfer
+        ? transfers
+        : transfers.concat(
+            await marshallTransfer({
+              blockNumber,
+              logIndex,
+              returnValues: { _from, _to, _amount },
+              transactionHash,
+            })
+          ),
     },
     changes
   )
 }
 
+async function newVesting(state, { receiver, vestingId }) {
+  const vesting = await loadVesting(receiver, vestingId)
+  if (!vesting) {
+    return state
+  }
+  return updateVestings(state, receiver, vestings =>
+    vestings.filter(vesting => vesting.vestingId !== vestingId).concat(vesting)
+  )
+}
+
+async function revokeVesting(state, { receiver, vestingId }) {
+  // Revoked vestings are deleted from the contract
+  return updateVestings(state, receiver, vestings =>
+    vestings.filter(vesting => vesting.vestingId !== vestingId)
+  )
+}
+
 /***********************
  *                     *
  *       Helpers       *
@@ -175,6 +256,115 @@ function updateHolders(holders, changed) {
   }
 }
 
+// Vestings are stored by holder, with their address in lowercase
+function updateVestings(state, holderAddress, transform) {
+  const { vestings } = state
+  // The vestings failed to load, they will be loaded again on the next start
+  if (!vestings) {
+    return state
+  }
+  const key = holderAddress.toLowerCase()
+  return {
+    ...state,
+    vestings: { ...vestings, [key]: transform(vestings[key] || []) },
+  }
+}
+
+function loadVesting(holderAddress, vestingId) {
+  return app
+    .call('getVesting', holderAddress, vestingId)
+    .toPromise()
+    .then(({ amount, start, cliff, vesting, revokable }) => ({
+      vestingId,
+      amount,
+      revokable,
+      start: marshallDate(start),
+      cliff: marshallDate(cliff),
+      vesting: marshallDate(vesting),
+    }))
+    .catch(err => {
+      console.error(
+        `Failed to load vesting #${vestingId} of ${holderAddress} due to:`,
+        err
+      )
+      return null
+    })
+}
+
+// Load the vestings of every holder, or null if any of them fails to load
+function loadHoldersVestings(holders) {
+  return Promise.all(
+    holders.map(async ({ address }) => {
+      const vestingsLength = await app
+        .call('vestingsLengths', address)
+        .toPromise()
+      const vestings = await Promise.all(
+        [...Array(parseInt(vestingsLength, 10))].map((_, vestingId) =>
+          loadVesting(address, String(vestingId))
+        )
+      )
+      if (vestings.includes(null)) {
+        throw new Error(`Failed to load the vestings of ${address}`)
+      }
+      // Revoked vestings are zeroed out in the contract
+      return [
+        address.toLowerCase(),
+        vestings.filter(({ amount }) => amount !== '0'),
+      ]
+    })
+  )
+    .then(entries =>
+      entries.reduce(
+        (vestings, [key, holderVestings]) => ({
+          ...vestings,
+          [key]: holderVestings,
+        }),
+        {}
+      )
+    )
+    .catch(err => {
+      console.error('Failed to load the vestings of the holders', err)
+      // Return null to try again on the next start
+      return null
+    })
+}
+
+const blockDates = new Map()
+function loadBlockDate(blockNumber) {
+  if (!blockDates.has(blockNumber)) {
+    blockDates.set(
+      blockNumber,
+      app
+        .web3Eth('getBlock', blockNumber)
+        .toPromise()
+        .then(({ timestamp }) => marshallDate(timestamp))
+        .catch(err => {
+          console.error(`Failed to load the date of block ${blockNumber}`, err)
+          blockDates.delete(blockNumber)
+          return null
+        })
+    )
+  }
+  return blockDates.get(blockNumber)
+}
+
+// Load every transfer of the token, or null if they fail to load
+function loadPastTransfers(token) {
+  return token
+    .pastEvents({ fromBlock: 0 })
+    .toPromise()
+    .then(events =>
+      Promise.all(
+        events.filter(({ event }) => event === 'Transfer').map(marshallTransfer)
+      )
+    )
+    .catch(err => {
+      console.error('Failed to load the past transfers of the token', err)
+      // Return null to try again on the next start
+      return null
+    })
+}
+
 function loadNewBalances(token, ...addresses) {
   return Promise.all(
     addresses.map(address =>
@@ -211,3 +401,26 @@ function loadTokenSettings(token) {
       return {}
     })
 }
+
+async function marshallTransfer({
+  blockNumber,
+  logIndex,
+  returnValues: { _from, _to, _amount },
+  transactionHash,
+}) {
+  return {
+    amount: _amount,
+    blockNumber,
+    date: await loadBlockDate(blockNumber),
+    from: _from,
+    logIndex,
+    to: _to,
+    transactionHash,
+  }
+}
+
+function marshallDate(date) {
+  // Represent dates as real numbers, as it's very unlikely they'll hit the limit...
+  // Adjust for js time (in ms vs s)
+  return parseInt(date, 10) * 1000
+}
@@ -202,3 +202,71 @@ export function stakesPercentages(
         adjustedStakes[firstZeroIndex - 1].percentage
       )
 }
+
+/**
+ * Calculate the amount of tokens of a vesting that are still locked at a
+ * given time, mirroring `TokenManager._calculateNonVestedTokens()`.
+ *
+ * @param {Object} vesting the vesting, with an `amount` BN and its `start`,
+ *                         `cliff` and `vesting` dates, as timestamps in ms
+ * @param {number} time the time to check, as a timestamp in ms
+ * @return {BN} the amount of non-vested tokens
+ */
+export function getNonVestedAmount({ amount, start, cliff, vesting }, time) {
+  if (time >= vesting) {
+    return new BN(0)
+  }
+  if (time < cliff) {
+    return amount
+  }
+  // The contract works with seconds
+  const toSeconds = date => new BN(Math.floor(date / 1000))
+  const vestedAmount = amount
+    .mul(toSeconds(time).sub(toSeconds(start)))
+    .div(toSeconds(vesting).sub(toSeconds(start)))
+  return amount.sub(vestedAmount)
+}
+
+/**
+ * Calculate the amount of tokens of an holder that can not be transferred
+ * yet, because of its vestings.
+ *
+ * @param {Array<Object>} vestings the vestings of the holder
+ * @param {number} time the time to check, as a timestamp in ms
+ * @return {BN} the amount of locked tokens
+ */
+export function getLockedAmount(vestings, time) {
+  return vestings.reduce(
+    (total, vesting) => total.add(getNonVestedAmount(vesting, time)),
+    new BN(0)
+  )
+}
+
+/**
+ * Get the points of the curve of the vested tokens of a vesting, from its
+ * start to its end.
+ *
+ * @param {Object} vesting the vesting (see getNonVestedAmount())
+ * @param {number} steps the number of points
+ * @return {Array<Object>} the points, as { date, vested } where `vested` is
+ *                         the vested ratio of the amount, between 0 and 1
+ */
+export function getVestingCurve(vesting, steps) {
+  const { amount, start, vesting: end } = vesting
+  const interval = steps > 1 ? (end - start) / (steps - 1) : 0
+  return [...Array(steps)].map((_, index) => {
+    const date = index === steps - 1 ? end : start + interval * index
+    const nonVested = getNonVestedAmount(vesting, date)
+    return {
+      date,
+      vested: amount.isZero()
+        ? 1
+        : 1 -
+          nonVested
+            .muln(10000)
+            .div(amount)
+            .toNumber() /
+            10000,
+    }
+  })
+}
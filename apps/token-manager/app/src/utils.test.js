@@ -2,6 +2,9 @@ import BN from 'bn.js'
 import {
   formatBalance,
   fromDecimals,
+  getLockedAmount,
+  getNonVestedAmount,
+  getVestingCurve,
   stakesPercentages,
   toDecimals,
 } from './utils'
@@ -179,3 +182,56 @@ describe('stakePercentages()', () => {
     expect(stakes.map(s => s.percentage)).toEqual([33, 33, 33, 1])
   })
 })
+
+describe('getNonVestedAmount()', () => {
+  const DAY = 24 * 60 * 60 * 1000
+  const vesting = {
+    amount: bn(1000),
+    start: 10 * DAY,
+    cliff: 20 * DAY,
+    vesting: 30 * DAY,
+  }
+
+  test('Should lock everything before the cliff', () => {
+    expect(getNonVestedAmount(vesting, 0).toString()).toBe('1000')
+    expect(getNonVestedAmount(vesting, 20 * DAY - 1).toString()).toBe('1000')
+  })
+
+  test('Should vest linearly from the start after the cliff', () => {
+    expect(getNonVestedAmount(vesting, 20 * DAY).toString()).toBe('500')
+    expect(getNonVestedAmount(vesting, 25 * DAY).toString()).toBe('250')
+  })
+
+  test('Should round the vested amount down, like the contract', () => {
+    const thirds = { ...vesting, amount: bn(100), cliff: 10 * DAY }
+    // 100 * 1 / 3 = 33 vested
+    expect(
+      getNonVestedAmount(thirds, 10 * DAY + (20 * DAY) / 3).toString()
+    ).toBe('67')
+  })
+
+  test('Should unlock everything once vested', () => {
+    expect(getNonVestedAmount(vesting, 30 * DAY).isZero()).toBe(true)
+  })
+
+  test('Should sum the locked amounts of several vestings', () => {
+    // 250 + (10 - 7), as 7.5 vested tokens are rounded down
+    expect(
+      getLockedAmount(
+        [vesting, { ...vesting, amount: bn(10) }],
+        25 * DAY
+      ).toString()
+    ).toBe('253')
+    expect(getLockedAmount([], 0).isZero()).toBe(true)
+  })
+
+  test('Should get the curve of the vested ratio', () => {
+    expect(getVestingCurve(vesting, 5)).toEqual([
+      { date: 10 * DAY, vested: 0 },
+      { date: 15 * DAY, vested: 0 },
+      { date: 20 * DAY, vested: 0.5 },
+      { date: 25 * DAY, vested: 0.75 },
+      { date: 30 * DAY, vested: 1 },
+    ])
+  })
+})
@@ -1,10 +1,19 @@
-import React from 'react'
-import { SyncIndicator, Main } from '@aragon/ui'
+import React, { useCallback } from 'react'
+import styled from 'styled-components'
+import {
+  IconNotifications,
+  IconSettings,
+  SyncIndicator,
+  Main,
+  theme,
+} from '@aragon/ui'
 
 import EmptyState from './screens/EmptyState'
 import Votes from './screens/Votes'
 import VotePanel from './components/VotePanel'
 import NewVotePanel from './components/NewVotePanel'
+import SettingsPanel from './components/SettingsPanel'
+import NotificationsPanel from './components/NotificationsPanel'
 import AppLayout from './components/AppLayout'
 import NewVoteIcon from './components/NewVoteIcon'
 
@@ -16,13 +25,34 @@ function App() {
   const {
     isSyncing,
     votes,
+    notifications,
     selectedVote,
     actions,
     selectVote,
     newVotePanel,
     selectedVotePanel,
+    settingsPanel,
+    notificationsPanel,
   } = useAppLogic()
 
+  const { requestClose: closeSettingsPanel } = settingsPanel
+  const handleSettingsSelectVote = useCallback(
+    voteId => {
+      closeSettingsPanel()
+      selectVote(voteId)
+    },
+    [closeSettingsPanel, selectVote]
+  )
+
+  const { requestClose: closeNotificationsPanel } = notificationsPanel
+  const handleNotificationsSelectVote = useCallback(
+    voteId => {
+      closeNotificationsPanel()
+      selectVote(voteId)
+    },
+    [closeNotificationsPanel, selectVote]
+  )
+
   return (
     <div css="min-width: 320px">
       <Main assetsUrl="./aragon-ui">
@@ -34,6 +64,27 @@ function App() {
             icon: <NewVoteIcon />,
             onClick: newVotePanel.requestOpen,
           }}
+          secondaryButtons={[
+            {
+              label: 'Notifications',
+              icon: (
+                <NotificationsIcon>
+                  <IconNotifications />
+                  {notifications.length > 0 && (
+                    <NotificationsCount>
+                      {notifications.length}
+                    </NotificationsCount>
+                  )}
+                </NotificationsIcon>
+              ),
+              onClick: notificationsPanel.requestOpen,
+            },
+            {
+              label: 'Settings',
+              icon: <IconSettings />,
+              onClick: settingsPanel.requestOpen,
+            },
+          ]}
         >
           {votes.length > 0 ? (
             <Votes votes={votes} onSelectVote={selectVote} />
@@ -53,11 +104,44 @@ function App() {
           onCreateVote={actions.createVote}
           panelState={newVotePanel}
         />
+
+        <SettingsPanel
+          onSelectVote={handleSettingsSelectVote}
+          panelState={settingsPanel}
+        />
+
+        <NotificationsPanel
+          notifications={notifications}
+          onChangeClosingSoonDuration={actions.changeClosingSoonDuration}
+          onDismiss={actions.dismissNotifications}
+          onSelectVote={handleNotificationsSelectVote}
+          panelState={notificationsPanel}
+        />
       </Main>
     </div>
   )
 }
 
+const NotificationsIcon = styled.span`
+  position: relative;
+  display: flex;
+`
+
+const NotificationsCount = styled.span`
+  position: absolute;
+  top: -4px;
+  right: -6px;
+  min-width: 16px;
+  height: 16px;
+  padding: 0 4px;
+  border-radius: 8px;
+  font-size: 10px;
+  line-height: 16px;
+  text-align: center;
+  color: ${theme.badgeNotificationForeground};
+  background: ${theme.badgeNotificationBackground};
+`
+
 export default () => (
   <AppLogicProvider>
     <IdentityProvider>
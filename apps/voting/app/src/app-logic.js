@@ -5,6 +5,10 @@ import { usePanelState } from './utils-hooks'
 import { useVotes } from './vote-hooks'
 import { VOTE_YEA } from './vote-types'
 import { EMPTY_CALLSCRIPT } from './evmscript-utils'
+import {
+  NOTIFICATIONS_DISMISS_TRIGGER,
+  NOTIFICATIONS_SETTINGS_TRIGGER,
+} from './notifications'
 
 // Get the vote currently selected, or null otherwise.
 export function useSelectedVote(votes) {
@@ -35,10 +39,10 @@ export function useSelectedVote(votes) {
 export function useCreateVoteAction(onDone) {
   const api = useApi()
   return useCallback(
-    question => {
+    (question, script = EMPTY_CALLSCRIPT) => {
       if (api) {
         // Don't care about response
-        api.newVote(EMPTY_CALLSCRIPT, question).toPromise()
+        api.newVote(script, question).toPromise()
         onDone()
       }
     },
@@ -72,6 +76,32 @@ export function useExecuteAction(onDone) {
   )
 }
 
+// Dismiss notifications, so they don't come back on the next check
+export function useDismissNotificationsAction() {
+  const api = useApi()
+  return useCallback(
+    ids => {
+      if (api) {
+        api.emitTrigger(NOTIFICATIONS_DISMISS_TRIGGER, { ids })
+      }
+    },
+    [api]
+  )
+}
+
+// Change how long before the end of a vote its reminder is sent
+export function useClosingSoonDurationAction() {
+  const api = useApi()
+  return useCallback(
+    closingSoonDuration => {
+      if (api) {
+        api.emitTrigger(NOTIFICATIONS_SETTINGS_TRIGGER, { closingSoonDuration })
+      }
+    },
+    [api]
+  )
+}
+
 // Handles the state of the selected vote panel.
 export function useSelectedVotePanel(selectedVote, selectVote) {
   const selectedVoteId = selectedVote ? selectedVote.voteId : '-1'
@@ -99,22 +129,27 @@ export function useSelectedVotePanel(selectedVote, selectVote) {
 
 // Handles the main logic of the app.
 export function useAppLogic() {
-  const { isSyncing, ready } = useAppState()
+  const { isSyncing, notifications = [], ready } = useAppState()
 
   const votes = useVotes()
   const [selectedVote, selectVote] = useSelectedVote(votes)
   const newVotePanel = usePanelState()
   const selectedVotePanel = useSelectedVotePanel(selectedVote, selectVote)
+  const settingsPanel = usePanelState()
+  const notificationsPanel = usePanelState()
 
   const actions = {
     createVote: useCreateVoteAction(newVotePanel.requestClose),
     vote: useVoteAction(selectedVotePanel.requestClose),
     execute: useExecuteAction(selectedVotePanel.requestClose),
+    dismissNotifications: useDismissNotificationsAction(),
+    changeClosingSoonDuration: useClosingSoonDurationAction(),
   }
 
   return {
     isSyncing: isSyncing || !ready,
     votes,
+    notifications,
     selectVote,
     selectedVote,
     actions,
@@ -133,6 +168,32 @@ export function useAppLogic() {
       }),
       [selectedVotePanel, newVotePanel.visible]
     ),
+    settingsPanel: useMemo(
+      () => ({
+        ...settingsPanel,
+        visible:
+          settingsPanel.visible &&
+          !newVotePanel.visible &&
+          !selectedVotePanel.visible,
+      }),
+      [settingsPanel, newVotePanel.visible, selectedVotePanel.visible]
+    ),
+    notificationsPanel: useMemo(
+      () => ({
+        ...notificationsPanel,
+        visible:
+          notificationsPanel.visible &&
+          !newVotePanel.visible &&
+          !selectedVotePanel.visible &&
+          !settingsPanel.visible,
+      }),
+      [
+        notificationsPanel,
+        newVotePanel.visible,
+        selectedVotePanel.visible,
+        settingsPanel.visible,
+      ]
+    ),
   }
 }
 
@@ -14,6 +14,9 @@ function appStateReducer(state) {
     voteTime,
     votes,
     connectedAccountVotes,
+    minAcceptQuorumPct,
+    settingsHistory,
+    supportRequiredPct,
   } = state
 
   const pctBaseNum = parseInt(pctBase, 10)
@@ -26,20 +29,45 @@ function appStateReducer(state) {
     ready,
     pctBase: new BN(pctBase),
     tokenDecimals: new BN(tokenDecimals),
+    minAcceptQuorumPct: new BN(minAcceptQuorumPct),
+    supportRequiredPct: new BN(supportRequiredPct),
 
     numData: {
       pctBase: pctBaseNum,
       tokenDecimals: tokenDecimalsNum,
+      minAcceptQuorumPct: parseInt(minAcceptQuorumPct, 10) / pctBaseNum,
+      supportRequiredPct: parseInt(supportRequiredPct, 10) / pctBaseNum,
     },
 
+    // Changes of the support and quorum settings, most recent first. Missing
+    // until loaded, for older caches.
+    settingsHistory: settingsHistory
+      ? settingsHistory
+          .map(change => ({
+            ...change,
+            numData: { value: parseInt(change.value, 10) / pctBaseNum },
+          }))
+          .reverse()
+      : null,
+
     connectedAccountVotes: connectedAccountVotes || {},
 
     // Transform the vote data for the frontend
     votes: votes
       ? votes.map(vote => {
-          const { data } = vote
+          const { casts, data } = vote
           return {
             ...vote,
+            // Missing until loaded, for the votes of older caches
+            casts: casts
+              ? casts.map(cast => ({
+                  ...cast,
+                  stake: new BN(cast.stake),
+                  numData: {
+                    stake: parseInt(cast.stake, 10) / tokenDecimalsBaseNum,
+                  },
+                }))
+              : null,
             data: {
               ...data,
               endDate: new Date(data.startDate + voteTime),
@@ -0,0 +1,243 @@
+import React from 'react'
+import styled from 'styled-components'
+import { Button, DropDown, Field, TextInput, theme } from '@aragon/ui'
+import {
+  encodeFunctionCall,
+  getAbiFunctions,
+  parseArgument,
+} from '../evmscript-utils'
+import { shortenAddress } from '../web3-utils'
+
+const ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/
+
+const initialCallState = {
+  abi: '',
+  args: [],
+  error: null,
+  functions: [],
+  selectedFunction: 0,
+  target: '',
+}
+
+const formatArgument = (type, value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => formatArgument(type, item)).join(', ')}]`
+  }
+  if (type === 'address') {
+    return shortenAddress(value)
+  }
+  return String(value)
+}
+
+// Describe a call in the way radspec would: `signature` on target (args)
+export const describeCall = ({ args, fragment, to }) => {
+  const description = fragment.inputs
+    .map(
+      ({ name, type }, index) =>
+        `${name || `#${index + 1}`}: ${formatArgument(type, args[index])}`
+    )
+    .join(', ')
+  return `Call ${fragment.signature} on ${shortenAddress(to)}${
+    description ? ` with ${description}` : ''
+  }`
+}
+
+// Build the calls of an EVM script, one at a time. The calls are controlled
+// by the parent through `calls` and `onChange`, as { to, fragment, args,
+// calldata } objects.
+class CallScriptBuilder extends React.PureComponent {
+  static defaultProps = {
+    calls: [],
+    onChange: () => {},
+  }
+  state = {
+    ...initialCallState,
+  }
+  handleTargetChange = event => {
+    this.setState({ target: event.target.value, error: null })
+  }
+  handleAbiChange = event => {
+    const abi = event.target.value
+    let functions = []
+    let error = null
+    if (abi.trim()) {
+      try {
+        functions = getAbiFunctions(abi)
+        if (functions.length === 0) {
+          error = 'The ABI doesn’t contain any function that can be called.'
+        }
+      } catch (err) {
+        error = err.message
+      }
+    }
+    this.setState({
+      abi,
+      error,
+      functions,
+      selectedFunction: 0,
+      args: functions.length > 0 ? functions[0].inputs.map(() => '') : [],
+    })
+  }
+  handleFunctionChange = selectedFunction => {
+    const { functions } = this.state
+    this.setState({
+      selectedFunction,
+      args: functions[selectedFunction].inputs.map(() => ''),
+      error: null,
+    })
+  }
+  handleArgumentChange = (index, value) => {
+    const args = [...this.state.args]
+    args[index] = value
+    this.setState({ args, error: null })
+  }
+  handleAddCall = () => {
+    const { calls, onChange } = this.props
+    const { args, functions, selectedFunction, target } = this.state
+    const fragment = functions[selectedFunction]
+
+    if (!ADDRESS_REGEX.test(target.trim())) {
+      this.setState({ error: 'The target contract must be an address.' })
+      return
+    }
+
+    let parsedArgs
+    try {
+      parsedArgs = fragment.inputs.map(({ name, type }, index) => {
+        try {
+          return parseArgument(type, args[index])
+        } catch (err) {
+          throw new Error(`${name || `Argument #${index + 1}`}: ${err.message}`)
+        }
+      })
+    } catch (err) {
+      this.setState({ error: err.message })
+      return
+    }
+
+    let calldata
+    try {
+      calldata = encodeFunctionCall(fragment, parsedArgs)
+    } catch (err) {
+      this.setState({ error: `The call couldn’t be encoded: ${err.message}` })
+      return
+    }
+
+    onChange([
+      ...calls,
+      { to: target.trim(), fragment, args: parsedArgs, calldata },
+    ])
+    // Keep the target and ABI around, to stack several calls to a contract
+    this.setState({ args: fragment.inputs.map(() => ''), error: null })
+  }
+  handleRemoveCall = index => {
+    const { calls, onChange } = this.props
+    onChange(calls.filter((call, callIndex) => callIndex !== index))
+  }
+  render() {
+    const { calls } = this.props
+    const { abi, args, error, functions, selectedFunction, target } = this.state
+    const fragment = functions[selectedFunction]
+    return (
+      <div>
+        {calls.length > 0 && (
+          <Field label="Calls">
+            <Calls>
+              {calls.map((call, index) => (
+                <Call key={index}>
+                  <CallDescription>
+                    {index + 1}. {describeCall(call)}
+                  </CallDescription>
+                  <Button
+                    mode="outline"
+                    size="mini"
+                    onClick={() => this.handleRemoveCall(index)}
+                  >
+                    Remove
+                  </Button>
+                </Call>
+              ))}
+            </Calls>
+          </Field>
+        )}
+        <Field label="Target contract">
+          <TextInput
+            value={target}
+            onChange={this.handleTargetChange}
+            placeholder="0x…"
+            wide
+          />
+        </Field>
+        <Field label="Contract ABI">
+          <TextInput.Multiline
+            value={abi}
+            onChange={this.handleAbiChange}
+            placeholder="Paste the JSON ABI of the contract"
+            css="height: 100px; font-family: monospace; font-size: 12px"
+            wide
+          />
+        </Field>
+        {fragment && (
+          <React.Fragment>
+            <Field label="Function">
+              <DropDown
+                items={functions.map(({ signature }) => signature)}
+                active={selectedFunction}
+                onChange={this.handleFunctionChange}
+                wide
+              />
+            </Field>
+            {fragment.inputs.map(({ name, type }, index) => (
+              <Field
+                key={`${fragment.signature}:${index}`}
+                label={`${name || `Argument #${index + 1}`} (${type})`}
+              >
+                <TextInput
+                  value={args[index]}
+                  onChange={event =>
+                    this.handleArgumentChange(index, event.target.value)
+                  }
+                  placeholder={type.endsWith(']') ? '[…]' : ''}
+                  wide
+                />
+              </Field>
+            ))}
+            <Button mode="secondary" onClick={this.handleAddCall} wide>
+              Add call
+            </Button>
+          </React.Fragment>
+        )}
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+      </div>
+    )
+  }
+}
+
+const Calls = styled.ol`
+  list-style: none;
+`
+
+const Call = styled.li`
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  padding: 10px 0;
+  border-bottom: 1px solid ${theme.contentBorder};
+  &:first-child {
+    padding-top: 0;
+  }
+`
+
+const CallDescription = styled.span`
+  margin-right: 10px;
+  font-size: 14px;
+  word-break: break-word;
+`
+
+const ErrorMessage = styled.p`
+  margin-top: 10px;
+  font-size: 14px;
+  color: ${theme.negative};
+`
+
+export default CallScriptBuilder
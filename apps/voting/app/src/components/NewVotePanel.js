@@ -1,8 +1,12 @@
 import React from 'react'
 import styled from 'styled-components'
 import { Button, Field, Info, SidePanel, TabBar, TextInput } from '@aragon/ui'
+import { encodeCallScript } from '../evmscript-utils'
+import CallScriptBuilder from './CallScriptBuilder'
 
 const initialState = {
+  calls: [],
+  description: '',
   question: '',
   screenIndex: 0,
 }
@@ -48,8 +52,19 @@ class NewVotePanelContent extends React.PureComponent {
     event.preventDefault()
     this.props.onCreateVote(this.state.question.trim())
   }
+  handleDescriptionChange = event => {
+    this.setState({ description: event.target.value })
+  }
+  handleCallsChange = calls => {
+    this.setState({ calls })
+  }
+  handleActionSubmit = event => {
+    event.preventDefault()
+    const { calls, description } = this.state
+    this.props.onCreateVote(description.trim(), encodeCallScript(calls))
+  }
   render() {
-    const { question, screenIndex } = this.state
+    const { calls, description, question, screenIndex } = this.state
     return (
       <div>
         <div css="margin: 0 -30px 30px">
@@ -89,20 +104,44 @@ class NewVotePanelContent extends React.PureComponent {
           </Form>
         )}
         {screenIndex === 1 && (
-          <div>
-            <Info.Action title="These votes are binding">
-              <div
-                css={`
-                  margin-top: 5px;
-                  font-size: 14px;
-                `}
+          <Form onSubmit={this.handleActionSubmit}>
+            <div css="margin-bottom: 20px">
+              <Info.Action title="These votes are binding">
+                <div
+                  css={`
+                    margin-top: 5px;
+                    font-size: 14px;
+                  `}
+                >
+                  Any actions that require <strong>consensus</strong>, such as
+                  withdrawing funds or minting tokens, will automatically create
+                  a binding vote. You can also build the calls executed by a
+                  vote below, if it passes.
+                </div>
+              </Info.Action>
+            </div>
+            <Field label="Description (optional)">
+              <TextInput
+                value={description}
+                onChange={this.handleDescriptionChange}
+                wide
+              />
+            </Field>
+            <CallScriptBuilder
+              calls={calls}
+              onChange={this.handleCallsChange}
+            />
+            <div css="margin-top: 20px">
+              <Button
+                mode="strong"
+                type="submit"
+                disabled={calls.length === 0}
+                wide
               >
-                Any actions that require <strong>consensus</strong>, such as
-                withdrawing funds or minting tokens, will automatically create a
-                binding vote.
-              </div>
-            </Info.Action>
-          </div>
+                Begin binding vote
+              </Button>
+            </div>
+          </Form>
         )}
       </div>
     )
@@ -0,0 +1,166 @@
+import React from 'react'
+import styled from 'styled-components'
+import {
+  Button,
+  DropDown,
+  SidePanel,
+  SidePanelSeparator,
+  Text,
+  theme,
+} from '@aragon/ui'
+import { useAppState } from '@aragon/api-react'
+import {
+  CLOSING_SOON_DURATIONS,
+  DEFAULT_CLOSING_SOON_DURATION,
+  NOTIFICATION_CLOSING_SOON,
+  NOTIFICATION_EXECUTABLE,
+  NOTIFICATION_VOTE_FAILED,
+  NOTIFICATION_VOTE_PASSED,
+} from '../notifications'
+
+const NOTIFICATION_COLORS = {
+  [NOTIFICATION_CLOSING_SOON]: theme.accent,
+  [NOTIFICATION_EXECUTABLE]: theme.accent,
+  [NOTIFICATION_VOTE_PASSED]: theme.positive,
+  [NOTIFICATION_VOTE_FAILED]: theme.negative,
+}
+
+const NotificationsPanel = React.memo(
+  ({
+    notifications,
+    panelState,
+    onChangeClosingSoonDuration,
+    onDismiss,
+    onSelectVote,
+  }) => (
+    <SidePanel
+      title="Notifications"
+      opened={panelState.visible}
+      onClose={panelState.requestClose}
+      onTransitionEnd={panelState.onTransitionEnd}
+    >
+      <NotificationsPanelContent
+        notifications={notifications}
+        onChangeClosingSoonDuration={onChangeClosingSoonDuration}
+        onDismiss={onDismiss}
+        onSelectVote={onSelectVote}
+      />
+    </SidePanel>
+  )
+)
+
+const NotificationsPanelContent = React.memo(
+  ({ notifications, onChangeClosingSoonDuration, onDismiss, onSelectVote }) => {
+    const { notificationsSettings = {} } = useAppState()
+    const {
+      closingSoonDuration = DEFAULT_CLOSING_SOON_DURATION,
+    } = notificationsSettings
+    const durationIndex = Math.max(
+      CLOSING_SOON_DURATIONS.findIndex(
+        ([, duration]) => duration === closingSoonDuration
+      ),
+      0
+    )
+
+    return (
+      <React.Fragment>
+        <Part>
+          {notifications.length === 0 ? (
+            <Text.Paragraph color={theme.textSecondary}>
+              You’re all caught up.
+            </Text.Paragraph>
+          ) : (
+            <React.Fragment>
+              <ul>
+                {notifications.map(({ body, id, title, type, voteId }) => (
+                  <Notification key={id} color={NOTIFICATION_COLORS[type]}>
+                    <Text.Block weight="bold">{title}</Text.Block>
+                    <Text.Block size="small">{body}</Text.Block>
+                    <Actions>
+                      <Button
+                        mode="text"
+                        size="small"
+                        onClick={() => onSelectVote(voteId)}
+                        css="padding: 0"
+                      >
+                        View vote
+                      </Button>
+                      <Button
+                        mode="text"
+                        size="small"
+                        onClick={() => onDismiss([id])}
+                        css="padding: 0; margin-left: 15px"
+                      >
+                        Dismiss
+                      </Button>
+                    </Actions>
+                  </Notification>
+                ))}
+              </ul>
+              <Button
+                mode="secondary"
+                onClick={() => onDismiss(notifications.map(({ id }) => id))}
+                css="margin-top: 20px"
+                wide
+              >
+                Dismiss all
+              </Button>
+            </React.Fragment>
+          )}
+        </Part>
+        <SidePanelSeparator />
+        <Part>
+          <h2>
+            <Label>Remind me to vote</Label>
+          </h2>
+          <DropDown
+            items={CLOSING_SOON_DURATIONS.map(
+              ([label]) => `${label} before the end`
+            )}
+            active={durationIndex}
+            onChange={index =>
+              onChangeClosingSoonDuration(CLOSING_SOON_DURATIONS[index][1])
+            }
+            wide
+          />
+          <Text.Block
+            size="small"
+            color={theme.textSecondary}
+            css="margin-top: 10px"
+          >
+            Open votes you haven’t voted on yet are notified this long before
+            they close.
+          </Text.Block>
+        </Part>
+      </React.Fragment>
+    )
+  }
+)
+
+const Label = styled(Text).attrs({
+  smallcaps: true,
+  color: theme.textSecondary,
+})`
+  display: block;
+  margin-bottom: 10px;
+`
+
+const Part = styled.div`
+  padding: 20px 0;
+`
+
+const Notification = styled.li`
+  list-style: none;
+  padding-left: 10px;
+  border-left: 3px solid ${p => p.color};
+  & + & {
+    margin-top: 20px;
+  }
+`
+
+const Actions = styled.div`
+  display: flex;
+  margin-top: 5px;
+`
+
+export default NotificationsPanel
@@ -0,0 +1,159 @@
+import React from 'react'
+import styled from 'styled-components'
+import { format } from 'date-fns'
+import { Button, SidePanel, SidePanelSeparator, Text, theme } from '@aragon/ui'
+import { useAppState } from '@aragon/api-react'
+import { round } from '../math-utils'
+import { formatDuration } from '../utils'
+
+const SETTING_LABELS = {
+  supportRequiredPct: 'Support',
+  minAcceptQuorumPct: 'Minimum approval',
+}
+
+const formatPct = value => `${round(value * 100, 2)}%`
+const formatDate = date => (date ? format(date, 'dd/MM/yy') : 'an unknown date')
+
+const SettingsPanel = React.memo(({ panelState, onSelectVote }) => (
+  <SidePanel
+    title="Voting settings"
+    opened={panelState.visible}
+    onClose={panelState.requestClose}
+    onTransitionEnd={panelState.onTransitionEnd}
+  >
+    <SettingsPanelContent onSelectVote={onSelectVote} />
+  </SidePanel>
+))
+
+const SettingsPanelContent = React.memo(({ onSelectVote }) => {
+  const { numData, settingsHistory, voteTime } = useAppState()
+  const lastChange = setting =>
+    settingsHistory.find(change => change.setting === setting)
+
+  if (!settingsHistory) {
+    return (
+      <Part>
+        <Text size="small" color={theme.textSecondary}>
+          The history of the settings is not available yet.
+        </Text>
+      </Part>
+    )
+  }
+
+  return (
+    <React.Fragment>
+      <Part>
+        <h2>
+          <Label>Support</Label>
+        </h2>
+        <Value>{formatPct(numData.supportRequiredPct)}</Value>
+        <LastChange
+          change={lastChange('supportRequiredPct')}
+          onSelectVote={onSelectVote}
+        />
+        <h2>
+          <Label>Minimum approval</Label>
+        </h2>
+        <Value>{formatPct(numData.minAcceptQuorumPct)}</Value>
+        <LastChange
+          change={lastChange('minAcceptQuorumPct')}
+          onSelectVote={onSelectVote}
+        />
+        <h2>
+          <Label>Vote duration</Label>
+        </h2>
+        <Value>{formatDuration(voteTime)}</Value>
+        <Text size="small" color={theme.textSecondary}>
+          Set when the app was initialized.
+        </Text>
+      </Part>
+      {settingsHistory.length > 0 && (
+        <React.Fragment>
+          <SidePanelSeparator />
+          <Part>
+            <h2>
+              <Label>History</Label>
+            </h2>
+            <ul>
+              {settingsHistory.map(change => (
+                <HistoryItem
+                  key={`${change.transactionHash}:${change.setting}`}
+                >
+                  <span>
+                    {SETTING_LABELS[change.setting]} set to{' '}
+                    <strong>{formatPct(change.numData.value)}</strong>
+                  </span>
+                  <ChangeOrigin change={change} onSelectVote={onSelectVote} />
+                </HistoryItem>
+              ))}
+            </ul>
+          </Part>
+        </React.Fragment>
+      )}
+    </React.Fragment>
+  )
+})
+
+const LastChange = ({ change, onSelectVote }) =>
+  change ? (
+    <ChangeOrigin change={change} onSelectVote={onSelectVote} />
+  ) : (
+    <Text size="small" color={theme.textSecondary}>
+      Unchanged since the app was initialized.
+    </Text>
+  )
+
+const ChangeOrigin = ({ change: { date, voteId }, onSelectVote }) => (
+  <Text size="small" color={theme.textSecondary}>
+    Changed on {formatDate(date)}
+    {voteId === null ? (
+      ' without a vote'
+    ) : (
+      <React.Fragment>
+        {' by '}
+        <Button
+          mode="text"
+          size="small"
+          onClick={() => onSelectVote(voteId)}
+          css="padding: 0; font-size: inherit"
+        >
+          vote #{voteId}
+        </Button>
+      </React.Fragment>
+    )}
+  </Text>
+)
+
+const Label = styled(Text).attrs({
+  smallcaps: true,
+  color: theme.textSecondary,
+})`
+  display: block;
+  margin-bottom: 10px;
+`
+
+const Part = styled.div`
+  padding: 20px 0;
+  h2 {
+    margin-top: 20px;
+    &:first-child {
+      margin-top: 0;
+    }
+  }
+`
+
+const Value = styled.p`
+  font-size: 20px;
+  font-weight: 600;
+`
+
+const HistoryItem = styled.li`
+  display: flex;
+  flex-direction: column;
+  list-style: none;
+  & + & {
+    margin-top: 10px;
+  }
+`
+
+export default SettingsPanel
@@ -0,0 +1,82 @@
+import React from 'react'
+import styled from 'styled-components'
+import { format } from 'date-fns'
+import { LineChart, Text, theme, useViewport } from '@aragon/ui'
+import { getSupportTimeline } from '../vote-utils'
+
+const TIMELINE_STEPS = 7
+const CHART_HEIGHT = 120
+// Width of the side panel’s content on large screens
+const CHART_MAX_WIDTH = 390
+
+// Show how the yea and nay stakes of a vote evolved, until its end (or now,
+// if the vote is still open).
+const SupportTimeline = React.memo(({ vote, show }) => {
+  const { width } = useViewport()
+  const { casts, data, numData } = vote
+  const endDate = Math.min(Date.now(), data.endDate.getTime())
+  const timeline = getSupportTimeline(
+    casts,
+    data.startDate,
+    endDate,
+    TIMELINE_STEPS
+  )
+  const votingPower = numData.votingPower || 1
+
+  return (
+    <div>
+      <LineChart
+        width={Math.min(width - 60, CHART_MAX_WIDTH)}
+        height={CHART_HEIGHT}
+        total={timeline.length}
+        reset={!show}
+        lines={[
+          {
+            id: 1,
+            color: theme.positive,
+            values: timeline.map(({ yea }) => yea / votingPower),
+          },
+          {
+            id: 2,
+            color: theme.negative,
+            values: timeline.map(({ nay }) => nay / votingPower),
+          },
+        ]}
+        label={index => format(timeline[index].date, 'dd/MM')}
+      />
+      <Legend>
+        <LegendItem color={theme.positive}>Yes</LegendItem>
+        <LegendItem color={theme.negative}>No</LegendItem>
+        <Text size="xsmall" color={theme.textSecondary}>
+          (% of total voting power)
+        </Text>
+      </Legend>
+    </div>
+  )
+})
+
+const Legend = styled.div`
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  margin-top: 10px;
+`
+
+const LegendItem = styled.span`
+  display: flex;
+  align-items: center;
+  margin-right: 10px;
+  font-size: 14px;
+  color: ${theme.textSecondary};
+  &:before {
+    content: '';
+    display: block;
+    width: 8px;
+    height: 8px;
+    margin-right: 5px;
+    border-radius: 50%;
+    background: ${p => p.color};
+  }
+`
+
+export default SupportTimeline
@@ -15,19 +15,27 @@ import { useAppState, useConnectedAccount } from '@aragon/api-react'
 import LocalIdentityBadge from './LocalIdentityBadge/LocalIdentityBadge'
 import { format } from 'date-fns'
 import { VOTE_NAY, VOTE_YEA } from '../vote-types'
-import { round } from '../math-utils'
-import { pluralize } from '../utils'
-import { getQuorumProgress } from '../vote-utils'
+import { formatBnAmount, round } from '../math-utils'
+import { getQuorumProgress, getVoters, parseVoteMetadata } from '../vote-utils'
 import { useExtendedVoteData } from '../vote-hooks'
+import VoteProjection from './VoteProjection'
 import VoteSummary from './VoteSummary'
 import VoteStatus from './VoteStatus'
 import VoteSuccess from './VoteSuccess'
 import VoteText from './VoteText'
 import SummaryBar from './SummaryBar'
+import SupportTimeline from './SupportTimeline'
+import VoterList from './VoterList'
+import VotingPower from './VotingPower'
 
 const formatDate = date =>
   `${format(date, 'dd/MM/yy')} at ${format(date, 'HH:mm')} UTC`
 
+const formatTokens = (amount, decimals) => {
+  const formattedAmount = formatBnAmount(amount, decimals)
+  return `${formattedAmount} ${formattedAmount === '1' ? 'token' : 'tokens'}`
+}
+
 // styled-component `css` transform doesn’t play well with attached components.
 const Action = Info.Action
 
@@ -72,6 +80,7 @@ const VotePanelContent = React.memo(
     }
 
     const { creator, endDate, open, metadata, description } = vote.data
+    const { title, body, discussionUrl } = parseVoteMetadata(metadata)
     const { minAcceptQuorum } = vote.numData
     const quorumProgress = getQuorumProgress(vote)
 
@@ -126,16 +135,30 @@ const VotePanelContent = React.memo(
               <h2>
                 <Label>Question</Label>
               </h2>
-              <p
+              <div
                 css={`
                   max-width: 100%;
                   overflow: hidden;
-                  word-break: break-all;
+                  word-break: break-word;
                   hyphens: auto;
                 `}
               >
-                <VoteText text={metadata} />
-              </p>
+                {title && <Text.Block weight="bold">{title}</Text.Block>}
+                <VoteText text={body} markdown />
+                {discussionUrl && (
+                  <SafeLink
+                    href={discussionUrl}
+                    target="_blank"
+                    css={`
+                      display: inline-block;
+                      margin-top: 10px;
+                      color: ${theme.accent};
+                    `}
+                  >
+                    Join the discussion
+                  </SafeLink>
+                )}
+              </div>
             </React.Fragment>
           )}
         </Part>
@@ -162,6 +185,62 @@ const VotePanelContent = React.memo(
           ready={panelOpened}
         />
 
+        {open && (
+          <React.Fragment>
+            <SidePanelSeparator />
+            <Part>
+              <h2>
+                <Label>Projected outcome</Label>
+              </h2>
+              <VoteProjection vote={vote} />
+            </Part>
+          </React.Fragment>
+        )}
+        {vote.casts ? (
+          <React.Fragment>
+            {vote.casts.length > 0 && (
+              <React.Fragment>
+                <SidePanelSeparator />
+                <Part>
+                  <h2>
+                    <Label>Support over time</Label>
+                  </h2>
+                  <SupportTimeline vote={vote} show={panelOpened} />
+                </Part>
+              </React.Fragment>
+            )}
+            <SidePanelSeparator />
+            <Part>
+              <h2>
+                <Label>Voters</Label>
+              </h2>
+              <VoterList
+                voters={getVoters(vote.casts)}
+                tokenSymbol={tokenSymbol}
+              />
+            </Part>
+            <SidePanelSeparator />
+            <Part>
+              <h2>
+                <Label>Voting power</Label>
+              </h2>
+              <VotingPower key={vote.voteId} vote={vote} />
+            </Part>
+          </React.Fragment>
+        ) : (
+          <React.Fragment>
+            <SidePanelSeparator />
+            <Part>
+              <h2>
+                <Label>Voters</Label>
+              </h2>
+              <Text size="small" color={theme.textSecondary}>
+                The voters of this vote are not available yet.
+              </Text>
+            </Part>
+          </React.Fragment>
+        )}
+
         <VotePanelContentActions
           onExecute={handleExecute}
           onVoteNo={handleVoteNo}
@@ -176,6 +255,7 @@ const VotePanelContent = React.memo(
 const VotePanelContentActions = React.memo(
   ({ vote, onVoteYes, onVoteNo, onExecute }) => {
     const connectedAccount = useConnectedAccount()
+    const { numData } = useAppState()
     const { canUserVote, canExecute, userBalance } = useExtendedVoteData(vote)
     const [changeVote, setChangeVote] = useState(false)
 
@@ -210,9 +290,9 @@ const VotePanelContentActions = React.memo(
             <p>
               You voted {vote.connectedAccountVote === VOTE_YEA ? 'yes' : 'no'}{' '}
               with{' '}
-              {userBalance === -1
+              {userBalance === null
                 ? '…'
-                : pluralize(userBalance, '$ token', '$ tokens')}
+                : formatTokens(userBalance, numData.tokenDecimals)}
               , since it was your balance when the vote was created (
               {formatDate(vote.data.startDate)}
               ).
@@ -255,9 +335,9 @@ const VotePanelContentActions = React.memo(
               <div>
                 <p>
                   You will cast your vote with{' '}
-                  {userBalance === -1
+                  {userBalance === null
                     ? '… tokens'
-                    : pluralize(userBalance, '$ token', '$ tokens')}
+                    : formatTokens(userBalance, numData.tokenDecimals)}
                   , since it was your balance when the vote was created (
                   {formatDate(vote.data.startDate)}
                   ).
@@ -0,0 +1,85 @@
+import React from 'react'
+import { Text, theme } from '@aragon/ui'
+import { useAppState } from '@aragon/api-react'
+import { useSettings } from '../vote-settings-manager'
+import { formatNumber, safeDiv, toTokenUnits } from '../math-utils'
+import { getVoteProjection } from '../vote-utils'
+
+// Projected outcome of an open vote: the `compact` version fits in a card,
+// the full version details the remaining voting power.
+const VoteProjection = ({ vote, compact }) => {
+  const { pctBase } = useSettings()
+  const { numData, tokenSymbol } = useAppState()
+
+  if (!vote.data.open) {
+    return null
+  }
+
+  const {
+    decidedAccepted,
+    decidedRejected,
+    remaining,
+    yeaNeeded,
+    yeaNeededForQuorum,
+    yeaNeededForSupport,
+  } = getVoteProjection(vote, pctBase)
+  const formatAmount = amount =>
+    `${formatNumber(
+      toTokenUnits(amount, numData.tokenDecimals),
+      2
+    )} ${tokenSymbol || ''}`.trim()
+
+  let outcome
+  if (decidedAccepted) {
+    outcome = compact
+      ? 'Decided: will pass'
+      : 'This vote has enough support to pass, regardless of the remaining voters.'
+  } else if (decidedRejected) {
+    outcome = compact
+      ? 'Can’t pass anymore'
+      : 'This vote can’t pass anymore, even if all the remaining voting power votes yes.'
+  } else {
+    outcome = `${formatAmount(yeaNeeded)} more yes ${
+      compact ? 'needed' : 'votes needed to pass'
+    }`
+  }
+
+  if (compact) {
+    return (
+      <Text
+        size="xsmall"
+        color={decidedRejected ? theme.negative : theme.textSecondary}
+      >
+        {outcome}
+      </Text>
+    )
+  }
+
+  const remainingPct = safeDiv(
+    toTokenUnits(remaining, numData.tokenDecimals),
+    vote.numData.votingPower
+  )
+
+  return (
+    <div>
+      <Text.Block>{outcome}</Text.Block>
+      {!decidedAccepted && !decidedRejected && (
+        <Text.Block size="small" color={theme.textSecondary}>
+          {formatAmount(yeaNeededForSupport)} for support,{' '}
+          {formatAmount(yeaNeededForQuorum)} for minimum approval, assuming no
+          other no votes.
+        </Text.Block>
+      )}
+      <Text.Block
+        size="small"
+        color={theme.textSecondary}
+        css="margin-top: 10px"
+      >
+        {formatAmount(remaining)} ({formatNumber(remainingPct * 100, 2)}% of the
+        voting power) didn’t vote yet.
+      </Text.Block>
+    </div>
+  )
+}
+
+export default VoteProjection
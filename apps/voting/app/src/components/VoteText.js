@@ -1,43 +1,153 @@
 import React from 'react'
 import PropTypes from 'prop-types'
+import styled from 'styled-components'
+import { theme } from '@aragon/ui'
 import { transformAddresses } from '../web3-utils'
+import { parseMarkdown } from '../markdown-utils'
 import AutoLink from '../components/AutoLink'
 import LocalIdentityBadge from '../components/LocalIdentityBadge/LocalIdentityBadge'
 
 // Render a text associated to a vote.
 // Usually vote.data.metadata and vote.data.description.
+// Set `markdown` to render the text as Markdown (see markdown-utils).
 const VoteText = React.memo(
-  ({ text = '' }) => {
+  ({ text = '', markdown = false }) => {
     // If there is no text, the component doesn’t render anything.
     if (!text.trim()) {
       return null
     }
 
+    if (markdown) {
+      return (
+        <AutoLink>
+          <Markdown>{parseMarkdown(text).map(renderMarkdownBlock)}</Markdown>
+        </AutoLink>
+      )
+    }
+
     return (
       <AutoLink>
         {text.split('\n').map((line, i) => (
           <React.Fragment key={i}>
-            {transformAddresses(line, (part, isAddress, index) =>
-              isAddress ? (
-                <span title={part} key={index}>
-                  {' '}
-                  <LocalIdentityBadge entity={part} compact />{' '}
-                </span>
-              ) : (
-                <span key={index}>{part}</span>
-              )
-            )}
+            {renderAddresses(line)}
             <br />
           </React.Fragment>
         ))}
       </AutoLink>
     )
   },
-  (prevProps, nextProps) => prevProps.text === nextProps.text
+  (prevProps, nextProps) =>
+    prevProps.text === nextProps.text &&
+    prevProps.markdown === nextProps.markdown
 )
 
 VoteText.propTypes = {
   text: PropTypes.string,
+  markdown: PropTypes.bool,
+}
+
+// The text is rendered by functions rather than components, for AutoLink to
+// find the URLs in the children of the rendered elements.
+const renderAddresses = text =>
+  transformAddresses(text, (part, isAddress, index) =>
+    isAddress ? (
+      <span title={part} key={index}>
+        {' '}
+        <LocalIdentityBadge entity={part} compact />{' '}
+      </span>
+    ) : (
+      <span key={index}>{part}</span>
+    )
+  )
+
+const renderMarkdownBlock = (block, key) => {
+  if (block.type === 'heading') {
+    // Vote texts are already under a heading of the page
+    const Heading = `h${Math.min(block.level + 2, 6)}`
+    return <Heading key={key}>{renderMarkdownInline(block.children)}</Heading>
+  }
+  if (block.type === 'list') {
+    const List = block.ordered ? 'ol' : 'ul'
+    return (
+      <List key={key}>
+        {block.items.map((item, i) => (
+          <li key={i}>{renderMarkdownInline(item)}</li>
+        ))}
+      </List>
+    )
+  }
+  return (
+    <p key={key}>
+      {block.lines.map((line, i) => (
+        <React.Fragment key={i}>
+          {i > 0 && <br />}
+          {renderMarkdownInline(line)}
+        </React.Fragment>
+      ))}
+    </p>
+  )
 }
 
+const renderMarkdownInline = nodes =>
+  nodes.map((node, i) => {
+    if (node.type === 'text') {
+      return (
+        <React.Fragment key={i}>{renderAddresses(node.text)}</React.Fragment>
+      )
+    }
+    if (node.type === 'code') {
+      return <code key={i}>{node.text}</code>
+    }
+    if (node.type === 'link') {
+      // A plain anchor, as AutoLink doesn’t look for URLs inside of them
+      return (
+        <a key={i} href={node.href} target="_blank" rel="noopener noreferrer">
+          {renderMarkdownInline(node.children)}
+        </a>
+      )
+    }
+    const Element = node.type === 'strong' ? 'strong' : 'em'
+    return <Element key={i}>{renderMarkdownInline(node.children)}</Element>
+  })
+
+const Markdown = styled.div`
+  h3,
+  h4,
+  h5,
+  h6 {
+    margin: 15px 0 5px;
+    font-weight: 600;
+  }
+  h3 {
+    font-size: 18px;
+  }
+  h4 {
+    font-size: 16px;
+  }
+  p,
+  ul,
+  ol {
+    margin: 5px 0;
+  }
+  ul,
+  ol {
+    padding-left: 20px;
+  }
+  > :first-child {
+    margin-top: 0;
+  }
+  > :last-child {
+    margin-bottom: 0;
+  }
+  code {
+    padding: 0 3px;
+    font-family: monospace;
+    background: ${theme.mainBackground};
+    border-radius: 3px;
+  }
+  a {
+    color: ${theme.accent};
+  }
+`
+
 export default VoteText
@@ -0,0 +1,81 @@
+import React, { useState } from 'react'
+import styled from 'styled-components'
+import { Button, Text, theme } from '@aragon/ui'
+import { formatNumber } from '../math-utils'
+import LocalIdentityBadge from './LocalIdentityBadge/LocalIdentityBadge'
+
+// Number of voters displayed before expanding the list
+const VOTERS_COLLAPSED = 10
+
+// `voters` are the latest casts of each voter (see getVoters()).
+const VoterList = React.memo(({ voters, tokenSymbol }) => {
+  const [expanded, setExpanded] = useState(false)
+
+  if (voters.length === 0) {
+    return (
+      <Text size="small" color={theme.textSecondary}>
+        Nobody voted yet.
+      </Text>
+    )
+  }
+
+  const sortedVoters = [...voters].sort((voterA, voterB) =>
+    voterB.stake.cmp(voterA.stake)
+  )
+  const visibleVoters = expanded
+    ? sortedVoters
+    : sortedVoters.slice(0, VOTERS_COLLAPSED)
+
+  return (
+    <React.Fragment>
+      <ul>
+        {visibleVoters.map(({ voter, supports, numData }) => (
+          <Voter key={voter}>
+            <LocalIdentityBadge entity={voter} />
+            <VoterChoice>
+              <Choice supports={supports}>{supports ? 'Yes' : 'No'}</Choice>
+              <Text size="small" color={theme.textSecondary}>
+                {formatNumber(numData.stake, 2)} {tokenSymbol}
+              </Text>
+            </VoterChoice>
+          </Voter>
+        ))}
+      </ul>
+      {!expanded && sortedVoters.length > VOTERS_COLLAPSED && (
+        <Button
+          mode="text"
+          size="small"
+          onClick={() => setExpanded(true)}
+          css="margin-top: 10px"
+        >
+          Show all {sortedVoters.length} voters
+        </Button>
+      )}
+    </React.Fragment>
+  )
+})
+
+const Voter = styled.li`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  list-style: none;
+  & + & {
+    margin-top: 10px;
+  }
+`
+
+const VoterChoice = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: flex-end;
+  margin-left: 10px;
+  white-space: nowrap;
+`
+
+const Choice = styled.span`
+  font-weight: 600;
+  color: ${({ supports }) => (supports ? theme.positive : theme.negative)};
+`
+
+export default VoterList
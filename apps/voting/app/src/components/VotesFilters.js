@@ -0,0 +1,102 @@
+import React from 'react'
+import styled from 'styled-components'
+import {
+  Checkbox,
+  DropDown,
+  TextInput,
+  breakpoint,
+  theme,
+  unselectable,
+} from '@aragon/ui'
+
+const VotesFilters = ({
+  statuses,
+  statusFilter,
+  onStatusChange,
+  types,
+  typeFilter,
+  onTypeChange,
+  creators,
+  creatorFilter,
+  onCreatorChange,
+  notVotedFilter,
+  onNotVotedChange,
+  searchFilter,
+  onSearchChange,
+}) => (
+  <Filters>
+    <Filter>
+      <FilterLabel>Status</FilterLabel>
+      <DropDown
+        items={statuses}
+        active={statusFilter}
+        onChange={onStatusChange}
+      />
+    </Filter>
+    <Filter>
+      <FilterLabel>Type</FilterLabel>
+      <DropDown items={types} active={typeFilter} onChange={onTypeChange} />
+    </Filter>
+    <Filter>
+      <FilterLabel>Creator</FilterLabel>
+      <DropDown
+        items={creators}
+        active={creatorFilter}
+        onChange={onCreatorChange}
+      />
+    </Filter>
+    <Filter>
+      <FilterLabel>Search</FilterLabel>
+      <TextInput
+        value={searchFilter}
+        onChange={event => onSearchChange(event.target.value)}
+        placeholder="Question or description"
+      />
+    </Filter>
+    {onNotVotedChange && (
+      <Filter as="label">
+        <Checkbox checked={notVotedFilter} onChange={onNotVotedChange} />
+        <span css="margin-left: 8px">I haven’t voted yet</span>
+      </Filter>
+    )}
+  </Filters>
+)
+
+const Filters = styled.div`
+  display: flex;
+  flex-direction: column;
+  margin-bottom: 30px;
+
+  ${breakpoint(
+    'medium',
+    `
+      flex-direction: row;
+      flex-wrap: wrap;
+      align-items: center;
+    `
+  )};
+`
+
+const Filter = styled.div`
+  display: flex;
+  align-items: center;
+  margin: 0 0 10px 0;
+
+  ${breakpoint(
+    'medium',
+    `
+      margin: 0 20px 10px 0;
+    `
+  )};
+`
+
+const FilterLabel = styled.span`
+  margin-right: 8px;
+  font-variant: small-caps;
+  text-transform: lowercase;
+  color: ${theme.textSecondary};
+  font-weight: 600;
+  ${unselectable};
+`
+
+export default VotesFilters
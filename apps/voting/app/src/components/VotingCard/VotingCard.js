@@ -6,7 +6,8 @@ import { VOTE_YEA, VOTE_NAY } from '../../vote-types'
 import VotingOptions from './VotingOptions'
 import VoteText from '../VoteText'
 import VoteStatus from '../VoteStatus'
-import { isVoteAction } from '../../vote-utils'
+import VoteProjection from '../VoteProjection'
+import { getVoteTitle, isVoteAction } from '../../vote-utils'
 
 function getOptions(yea, nay, connectedAccountVote) {
   return [
@@ -76,10 +77,11 @@ const VotingCard = React.memo(
             <Label>
               <Text color={theme.textTertiary}>#{voteId} </Text>
               <span>
-                <VoteText text={description || metadata} />
+                <VoteText text={description || getVoteTitle(metadata)} />
               </span>
             </Label>
             <VotingOptions options={options} votingPower={votingPower} />
+            {open && <VoteProjection vote={vote} compact />}
           </Content>
           <div
             css={`
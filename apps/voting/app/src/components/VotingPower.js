@@ -0,0 +1,132 @@
+import React, { useState } from 'react'
+import styled from 'styled-components'
+import { Button, Text, theme } from '@aragon/ui'
+import { useAppState } from '@aragon/api-react'
+import { formatBnAmount, formatBnPct } from '../math-utils'
+import { useSnapshotBalances } from '../vote-hooks'
+import { getVoters } from '../vote-utils'
+import LocalIdentityBadge from './LocalIdentityBadge/LocalIdentityBadge'
+
+// Number of holders displayed before expanding the list
+const HOLDERS_COLLAPSED = 10
+
+// Voting power of every token holder at the snapshot block of a vote. The
+// token transfers can take a while to load, so they're only requested on
+// demand.
+const VotingPower = React.memo(({ vote }) => {
+  const { numData, tokenSymbol } = useAppState()
+  const [load, setLoad] = useState(false)
+  const [expanded, setExpanded] = useState(false)
+  const { balances, error } = useSnapshotBalances(vote, load)
+
+  if (!load) {
+    return (
+      <Button mode="secondary" size="small" onClick={() => setLoad(true)}>
+        Show the voting power of each holder
+      </Button>
+    )
+  }
+  if (error) {
+    return (
+      <Text size="small" color={theme.negative}>
+        The token holders couldn’t be loaded.
+      </Text>
+    )
+  }
+  if (!balances) {
+    return (
+      <Text size="small" color={theme.textSecondary}>
+        Loading the token holders at block {vote.data.snapshotBlock}…
+      </Text>
+    )
+  }
+
+  const { votingPower } = vote.data
+  const voters = getVoters(vote.casts).reduce((voters, voter) => {
+    voters[voter.voter.toLowerCase()] = voter
+    return voters
+  }, {})
+  const holders = Object.entries(balances)
+    .map(([address, balance]) => ({
+      address,
+      balance,
+      voter: voters[address] || null,
+    }))
+    .sort((holderA, holderB) => holderB.balance.cmp(holderA.balance))
+  const votedPower = holders
+    .filter(({ voter }) => voter)
+    .reduce((total, { balance }) => total.add(balance), votingPower.muln(0))
+  const visibleHolders = expanded
+    ? holders
+    : holders.slice(0, HOLDERS_COLLAPSED)
+
+  return (
+    <React.Fragment>
+      <Text.Block size="small" color={theme.textSecondary}>
+        {holders.length} holders at block {vote.data.snapshotBlock}, of which{' '}
+        {formatBnPct(votedPower, votingPower)}% of the voting power voted.
+      </Text.Block>
+      <ul css="margin-top: 10px">
+        {visibleHolders.map(({ address, balance, voter }) => (
+          <Holder key={address}>
+            <LocalIdentityBadge entity={address} />
+            <HolderPower>
+              <span>
+                {formatBnAmount(balance, numData.tokenDecimals)} {tokenSymbol}
+              </span>
+              <Text size="small" color={theme.textSecondary}>
+                {formatBnPct(balance, votingPower)}% ·{' '}
+                <VoteChoice voter={voter} />
+              </Text>
+            </HolderPower>
+          </Holder>
+        ))}
+      </ul>
+      {!expanded && holders.length > HOLDERS_COLLAPSED && (
+        <Button
+          mode="text"
+          size="small"
+          onClick={() => setExpanded(true)}
+          css="margin-top: 10px"
+        >
+          Show all {holders.length} holders
+        </Button>
+      )}
+    </React.Fragment>
+  )
+})
+
+const VoteChoice = ({ voter }) => {
+  if (!voter) {
+    return 'Didn’t vote'
+  }
+  return (
+    <span
+      css={`
+        color: ${voter.supports ? theme.positive : theme.negative};
+      `}
+    >
+      Voted {voter.supports ? 'yes' : 'no'}
+    </span>
+  )
+}
+
+const Holder = styled.li`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  list-style: none;
+  & + & {
+    margin-top: 10px;
+  }
+`
+
+const HolderPower = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: flex-end;
+  margin-left: 10px;
+  white-space: nowrap;
+`
+
+export default VotingPower
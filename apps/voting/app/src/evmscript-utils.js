@@ -1 +1,150 @@
+import abi from 'web3-eth-abi'
+
 export const EMPTY_CALLSCRIPT = '0x00000001'
+
+const ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/
+const BYTES_REGEX = /^0x([0-9a-fA-F]{2})*$/
+const INT_REGEX = /^-?\d+$/
+const UINT_REGEX = /^\d+$/
+
+const strip0x = hex => hex.replace(/^0x/, '')
+
+/**
+ * Encode a list of actions into an EVM call script (spec id 1). For each
+ * action, it concatenates the target's address (20 bytes), the calldata
+ * length (uint32, 4 bytes) and the calldata itself.
+ *
+ * @param {Array<Object>} actions Actions, as { to, calldata } objects
+ * @returns {string} EVM script, as a 0x prefixed hex string
+ */
+export function encodeCallScript(actions) {
+  return actions.reduce((script, { to, calldata }) => {
+    const data = strip0x(calldata)
+    const length = (data.length / 2).toString(16).padStart(8, '0')
+    return script + strip0x(to).toLowerCase() + length + data
+  }, EMPTY_CALLSCRIPT)
+}
+
+/**
+ * Get the functions that can be called in a transaction from a JSON ABI,
+ * either as an array of fragments or as a single function fragment.
+ *
+ * @param {string} abiJson JSON ABI
+ * @returns {Array<Object>} ABI fragments, with their signature
+ */
+export function getAbiFunctions(abiJson) {
+  let fragments
+  try {
+    fragments = JSON.parse(abiJson)
+  } catch (err) {
+    throw new Error('The ABI is not valid JSON')
+  }
+  if (!Array.isArray(fragments)) {
+    fragments = [fragments]
+  }
+  return fragments
+    .filter(
+      fragment =>
+        fragment &&
+        (fragment.type === 'function' || fragment.type === undefined) &&
+        typeof fragment.name === 'string' &&
+        !fragment.constant &&
+        fragment.stateMutability !== 'view' &&
+        fragment.stateMutability !== 'pure'
+    )
+    .map(fragment => {
+      const inputs = fragment.inputs || []
+      return {
+        ...fragment,
+        inputs,
+        signature: `${fragment.name}(${inputs
+          .map(({ type }) => type)
+          .join(',')})`,
+      }
+    })
+}
+
+/**
+ * Convert the value of an argument, as entered by a user, to the value
+ * expected by the ABI encoder. Arrays are entered as JSON arrays.
+ *
+ * @param {string} type Solidity type of the argument
+ * @param {string} value Value entered
+ * @returns {*} Value to encode
+ */
+export function parseArgument(type, value) {
+  const arrayMatch = type.match(/^(.*)\[(\d*)\]$/)
+  if (arrayMatch) {
+    const [, itemType, length] = arrayMatch
+    let items
+    try {
+      items = JSON.parse(value)
+    } catch (err) {
+      items = null
+    }
+    if (!Array.isArray(items)) {
+      throw new Error(`Expected a JSON array of ${itemType}`)
+    }
+    if (length && items.length !== parseInt(length, 10)) {
+      throw new Error(`Expected ${length} items`)
+    }
+    return items.map(item =>
+      parseArgument(
+        itemType,
+        typeof item === 'string' ? item : JSON.stringify(item)
+      )
+    )
+  }
+
+  const trimmed = value.trim()
+  if (type === 'address') {
+    if (!ADDRESS_REGEX.test(trimmed)) {
+      throw new Error('Expected an address')
+    }
+    return trimmed
+  }
+  if (type === 'bool') {
+    if (!['true', 'false'].includes(trimmed.toLowerCase())) {
+      throw new Error('Expected true or false')
+    }
+    return trimmed.toLowerCase() === 'true'
+  }
+  if (type === 'string') {
+    return value
+  }
+  if (/^uint\d*$/.test(type)) {
+    if (!UINT_REGEX.test(trimmed)) {
+      throw new Error('Expected a positive integer')
+    }
+    return trimmed
+  }
+  if (/^int\d*$/.test(type)) {
+    if (!INT_REGEX.test(trimmed)) {
+      throw new Error('Expected an integer')
+    }
+    return trimmed
+  }
+  const bytesMatch = type.match(/^bytes(\d*)$/)
+  if (bytesMatch) {
+    const size = bytesMatch[1] && parseInt(bytesMatch[1], 10)
+    if (!BYTES_REGEX.test(trimmed)) {
+      throw new Error('Expected 0x prefixed hex data')
+    }
+    if (size && strip0x(trimmed).length / 2 > size) {
+      throw new Error(`Expected at most ${size} bytes`)
+    }
+    return trimmed
+  }
+  throw new Error(`Unsupported type ${type}`)
+}
+
+/**
+ * Encode the calldata of a function call.
+ *
+ * @param {Object} fragment ABI fragment of the function
+ * @param {Array<*>} args Arguments, as returned by parseArgument()
+ * @returns {string} Calldata, as a 0x prefixed hex string
+ */
+export function encodeFunctionCall(fragment, args) {
+  return abi.encodeFunctionCall(fragment, args)
+}
@@ -0,0 +1,112 @@
+import {
+  EMPTY_CALLSCRIPT,
+  encodeCallScript,
+  encodeFunctionCall,
+  getAbiFunctions,
+  parseArgument,
+} from './evmscript-utils'
+
+const TRANSFER_ABI = {
+  constant: false,
+  inputs: [
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+  ],
+  name: 'transfer',
+  outputs: [{ name: '', type: 'bool' }],
+  type: 'function',
+}
+const BALANCE_OF_ABI = {
+  constant: true,
+  inputs: [{ name: 'owner', type: 'address' }],
+  name: 'balanceOf',
+  outputs: [{ name: '', type: 'uint256' }],
+  type: 'function',
+}
+const ADDRESS = '0x' + 'ab'.repeat(20)
+
+describe('encodeCallScript()', () => {
+  test('should return an empty script without actions', () => {
+    expect(encodeCallScript([])).toBe(EMPTY_CALLSCRIPT)
+  })
+
+  test('should concatenate the address, length and calldata of actions', () => {
+    const script = encodeCallScript([
+      { to: ADDRESS, calldata: '0x12345678' },
+      { to: '0x' + 'CD'.repeat(20), calldata: '0xaabb' },
+    ])
+    expect(script).toBe(
+      EMPTY_CALLSCRIPT +
+        'ab'.repeat(20) +
+        '00000004' +
+        '12345678' +
+        'cd'.repeat(20) +
+        '00000002' +
+        'aabb'
+    )
+  })
+})
+
+describe('getAbiFunctions()', () => {
+  test('should only keep the functions changing state', () => {
+    const functions = getAbiFunctions(
+      JSON.stringify([TRANSFER_ABI, BALANCE_OF_ABI, { type: 'event' }])
+    )
+    expect(functions.map(({ signature }) => signature)).toEqual([
+      'transfer(address,uint256)',
+    ])
+  })
+
+  test('should accept a single fragment', () => {
+    expect(getAbiFunctions(JSON.stringify(TRANSFER_ABI))).toHaveLength(1)
+  })
+
+  test('should throw on invalid JSON', () => {
+    expect(() => getAbiFunctions('[{')).toThrow('not valid JSON')
+  })
+})
+
+describe('parseArgument()', () => {
+  const sets = [
+    ['address', ADDRESS, ADDRESS],
+    ['bool', 'True', true],
+    ['uint256', ' 42 ', '42'],
+    ['int8', '-3', '-3'],
+    ['bytes4', '0x12345678', '0x12345678'],
+    ['string', ' keep spaces ', ' keep spaces '],
+    ['uint256[]', '[1, "2"]', ['1', '2']],
+    ['address[2]', `["${ADDRESS}", "${ADDRESS}"]`, [ADDRESS, ADDRESS]],
+  ]
+  sets.forEach(([type, value, expected]) => {
+    test(`should parse ${type}`, () => {
+      expect(parseArgument(type, value)).toEqual(expected)
+    })
+  })
+
+  const invalidSets = [
+    ['address', '0x1234'],
+    ['bool', 'yes'],
+    ['uint256', '-1'],
+    ['uint256', '1.5'],
+    ['bytes2', '0x123456'],
+    ['uint256[]', '1,2'],
+    ['address[2]', `["${ADDRESS}"]`],
+    ['tuple', '[]'],
+  ]
+  invalidSets.forEach(([type, value]) => {
+    test(`should reject ${value} as ${type}`, () => {
+      expect(() => parseArgument(type, value)).toThrow()
+    })
+  })
+})
+
+describe('encodeFunctionCall()', () => {
+  test('should encode the selector and arguments', () => {
+    expect(encodeFunctionCall(TRANSFER_ABI, [ADDRESS, '1'])).toBe(
+      '0xa9059cbb' +
+        '000000000000000000000000' +
+        'ab'.repeat(20) +
+        '1'.padStart(64, '0')
+    )
+  })
+})
@@ -0,0 +1,146 @@
+// A small subset of Markdown, enough for the votes metadata: headings, lists,
+// paragraphs, and inline bold, italic, code and links. The text is parsed
+// into plain objects rather than HTML, so it can be rendered safely.
+
+const HEADING_REGEX = /^(#{1,6})\s+(.*?)\s*#*\s*$/
+const UNORDERED_ITEM_REGEX = /^\s*[-*+]\s+(.*)$/
+const ORDERED_ITEM_REGEX = /^\s*\d+[.)]\s+(.*)$/
+const SAFE_URL_REGEX = /^(https?:\/\/|mailto:)/i
+
+// `code`, [text](url), **strong** and *em*, in order of precedence
+const INLINE_REGEX = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*/g
+
+/**
+ * Check that a URL can be linked to, e.g. to exclude javascript: URLs.
+ *
+ * @param {string} url URL
+ * @returns {boolean} true if the URL is safe
+ */
+export function isSafeUrl(url) {
+  return SAFE_URL_REGEX.test(url.trim())
+}
+
+/**
+ * Parse the inline elements of a line.
+ *
+ * @param {string} text Text of the line
+ * @returns {Array<Object>} Nodes, as { type, text } for text and code, { type,
+ *   href, children } for links, or { type, children } for strong and em
+ */
+export function parseInline(text) {
+  const nodes = []
+  const regex = new RegExp(INLINE_REGEX.source, 'g')
+  let lastIndex = 0
+  let match
+
+  const pushText = value => {
+    if (!value) {
+      return
+    }
+    const last = nodes[nodes.length - 1]
+    if (last && last.type === 'text') {
+      last.text += value
+    } else {
+      nodes.push({ type: 'text', text: value })
+    }
+  }
+
+  while ((match = regex.exec(text)) !== null) {
+    const [source, code, linkText, href, strong, em] = match
+    pushText(text.slice(lastIndex, match.index))
+    lastIndex = regex.lastIndex
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code })
+    } else if (linkText !== undefined) {
+      if (isSafeUrl(href)) {
+        nodes.push({ type: 'link', href, children: parseInline(linkText) })
+      } else {
+        // Keep unsafe links as they were written
+        pushText(source)
+      }
+    } else if (strong !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(strong) })
+    } else {
+      nodes.push({ type: 'em', children: parseInline(em) })
+    }
+  }
+  pushText(text.slice(lastIndex))
+
+  return nodes
+}
+
+/**
+ * Parse a Markdown text into blocks.
+ *
+ * @param {string} text Markdown text
+ * @returns {Array<Object>} Blocks, as { type: 'heading', level, children },
+ *   { type: 'list', ordered, items } or { type: 'paragraph', lines }
+ */
+export function parseMarkdown(text) {
+  const blocks = []
+  let current = null
+
+  text.split('\n').forEach(line => {
+    if (!line.trim()) {
+      current = null
+      return
+    }
+
+    const heading = line.match(HEADING_REGEX)
+    if (heading) {
+      blocks.push({
+        type: 'heading',
+        level: heading[1].length,
+        children: parseInline(heading[2]),
+      })
+      current = null
+      return
+    }
+
+    const unorderedItem = line.match(UNORDERED_ITEM_REGEX)
+    const orderedItem = !unorderedItem && line.match(ORDERED_ITEM_REGEX)
+    if (unorderedItem || orderedItem) {
+      const ordered = Boolean(orderedItem)
+      if (!current || current.type !== 'list' || current.ordered !== ordered) {
+        current = { type: 'list', ordered, items: [] }
+        blocks.push(current)
+      }
+      current.items.push(parseInline((unorderedItem || orderedItem)[1]))
+      return
+    }
+
+    if (!current || current.type !== 'paragraph') {
+      current = { type: 'paragraph', lines: [] }
+      blocks.push(current)
+    }
+    current.lines.push(parseInline(line))
+  })
+
+  return blocks
+}
+
+const inlineToPlainText = nodes =>
+  nodes
+    .map(node => (node.children ? inlineToPlainText(node.children) : node.text))
+    .join('')
+
+/**
+ * Get the text of a Markdown text without its formatting, e.g. to summarize it.
+ *
+ * @param {string} text Markdown text
+ * @returns {string} Plain text, one line per block, paragraph line or item
+ */
+export function markdownToPlainText(text) {
+  return parseMarkdown(text)
+    .map(block => {
+      if (block.type === 'heading') {
+        return inlineToPlainText(block.children)
+      }
+      if (block.type === 'list') {
+        return block.items.map(inlineToPlainText).join('\n')
+      }
+      return block.lines.map(inlineToPlainText).join('\n')
+    })
+    .join('\n')
+}
@@ -0,0 +1,137 @@
+import {
+  isSafeUrl,
+  markdownToPlainText,
+  parseInline,
+  parseMarkdown,
+} from './markdown-utils'
+
+describe('isSafeUrl()', () => {
+  test('should accept web and mail URLs', () => {
+    expect(isSafeUrl('https://forum.aragon.org/t/1')).toBe(true)
+    expect(isSafeUrl('HTTP://example.com')).toBe(true)
+    expect(isSafeUrl('mailto:dao@example.com')).toBe(true)
+  })
+
+  test('should reject other URLs', () => {
+    expect(isSafeUrl('javascript:alert(1)')).toBe(false)
+    expect(isSafeUrl('data:text/html,<script>')).toBe(false)
+    expect(isSafeUrl('/relative')).toBe(false)
+  })
+})
+
+describe('parseInline()', () => {
+  test('should parse text without formatting', () => {
+    expect(parseInline('Fund the grant')).toEqual([
+      { type: 'text', text: 'Fund the grant' },
+    ])
+  })
+
+  test('should parse code, strong and em', () => {
+    expect(parseInline('Set `pct` to **50% of *all* votes**')).toEqual([
+      { type: 'text', text: 'Set ' },
+      { type: 'code', text: 'pct' },
+      { type: 'text', text: ' to ' },
+      {
+        type: 'strong',
+        children: [
+          { type: 'text', text: '50% of ' },
+          { type: 'em', children: [{ type: 'text', text: 'all' }] },
+          { type: 'text', text: ' votes' },
+        ],
+      },
+    ])
+  })
+
+  test('should not format the content of code', () => {
+    expect(parseInline('`**a**`')).toEqual([{ type: 'code', text: '**a**' }])
+  })
+
+  test('should parse safe links', () => {
+    expect(parseInline('See [the **post**](https://forum.aragon.org)')).toEqual(
+      [
+        { type: 'text', text: 'See ' },
+        {
+          type: 'link',
+          href: 'https://forum.aragon.org',
+          children: [
+            { type: 'text', text: 'the ' },
+            { type: 'strong', children: [{ type: 'text', text: 'post' }] },
+          ],
+        },
+      ]
+    )
+  })
+
+  test('should keep unsafe links as text', () => {
+    expect(parseInline('[click](javascript:alert(1))')).toEqual([
+      { type: 'text', text: '[click](javascript:alert(1))' },
+    ])
+  })
+
+  test('should keep isolated asterisks', () => {
+    expect(parseInline('2 * 3 * 4')).toEqual([
+      { type: 'text', text: '2 * 3 * 4' },
+    ])
+  })
+})
+
+describe('parseMarkdown()', () => {
+  test('should parse headings, lists and paragraphs', () => {
+    const text = [
+      '# Proposal',
+      'First line',
+      'second line',
+      '',
+      '- one',
+      '* two',
+      '1. first',
+      '2) second',
+      'After',
+    ].join('\n')
+    expect(parseMarkdown(text)).toEqual([
+      {
+        type: 'heading',
+        level: 1,
+        children: [{ type: 'text', text: 'Proposal' }],
+      },
+      {
+        type: 'paragraph',
+        lines: [
+          [{ type: 'text', text: 'First line' }],
+          [{ type: 'text', text: 'second line' }],
+        ],
+      },
+      {
+        type: 'list',
+        ordered: false,
+        items: [
+          [{ type: 'text', text: 'one' }],
+          [{ type: 'text', text: 'two' }],
+        ],
+      },
+      {
+        type: 'list',
+        ordered: true,
+        items: [
+          [{ type: 'text', text: 'first' }],
+          [{ type: 'text', text: 'second' }],
+        ],
+      },
+      { type: 'paragraph', lines: [[{ type: 'text', text: 'After' }]] },
+    ])
+  })
+
+  test('should not parse a hash without a space as a heading', () => {
+    expect(parseMarkdown('#1 priority')[0].type).toBe('paragraph')
+  })
+})
+
+describe('markdownToPlainText()', () => {
+  test('should remove the formatting', () => {
+    expect(
+      markdownToPlainText(
+        '## Fund **the** grant\n\n- See [post](https://forum.aragon.org)'
+      )
+    ).toBe('Fund the grant\nSee post')
+  })
+})
@@ -38,6 +38,54 @@ export function formatNumber(num, decimals = 2, { truncate = true } = {}) {
     : formattedNumber
 }
 
+// Convert an amount of tokens (BN) to a number of units, for display purposes
+export function toTokenUnits(amount, decimals) {
+  return parseInt(amount.toString(), 10) / Math.pow(10, decimals)
+}
+
+/**
+ * Format an amount of tokens with BN math, truncating its decimals
+ *
+ * @param {BN} amount Amount, in the token's smallest unit
+ * @param {number} decimals Decimals of the token
+ * @param {number} [maxDecimals=2] Number of decimals to display
+ * @returns {String} Formatted amount
+ */
+export function formatBnAmount(amount, decimals, maxDecimals = 2) {
+  const base = new BN(10).pow(new BN(decimals))
+  const whole = amount.div(base).toString()
+  const fraction = amount
+    .mod(base)
+    .toString()
+    .padStart(decimals, '0')
+    .slice(0, maxDecimals)
+    .replace(/0+$/, '')
+  return fraction ? `${whole}.${fraction}` : whole
+}
+
+/**
+ * Format the percentage of a BN in another with BN math, truncating it
+ *
+ * @param {BN} value Value
+ * @param {BN} total Total (0 gives 0%)
+ * @param {number} [decimals=2] Number of decimals to display
+ * @returns {String} Formatted percentage, without the % sign
+ */
+export function formatBnPct(value, total, decimals = 2) {
+  if (total.isZero()) {
+    return '0'
+  }
+  // The percentage, as a number of tokens with `decimals` decimals
+  return formatBnAmount(
+    value
+      .mul(new BN(100))
+      .mul(new BN(10).pow(new BN(decimals)))
+      .div(total),
+    decimals,
+    decimals
+  )
+}
+
 export function percentageList(values, digits = 0) {
   return scaleBNValuesSet(values).map(value => value.toNumber())
 }
@@ -1,5 +1,5 @@
 import BN from 'bn.js'
-import { scaleBNValuesSet } from './math-utils'
+import { formatBnAmount, formatBnPct, scaleBNValuesSet } from './math-utils'
 
 const scaleResults = (values, total, precision) =>
   scaleBNValuesSet(values, new BN(total), precision).map(v => v.toString())
@@ -42,8 +42,8 @@ describe('scaleBNValuesSet()', () => {
     [
       'should work with values that errored and made us debug this',
       [[0.55, 0], '100'],
-      ['55', '0']
-    ]
+      ['55', '0'],
+    ],
   ]
 
   sets.forEach(([label, params, results]) => {
@@ -71,3 +71,32 @@ describe('scaleBNValuesSet()', () => {
     }).toThrow(Error)
   })
 })
+
+describe('formatBnAmount()', () => {
+  test('should truncate the decimals', () => {
+    expect(formatBnAmount(new BN('1234567890000000000000'), 18)).toBe('1234.56')
+    expect(formatBnAmount(new BN('1234567890000000000000'), 18, 4)).toBe(
+      '1234.5678'
+    )
+  })
+
+  test('should remove the trailing zeros', () => {
+    expect(formatBnAmount(new BN('1500000000000000000'), 18)).toBe('1.5')
+    expect(formatBnAmount(new BN('2000000000000000000'), 18)).toBe('2')
+    expect(formatBnAmount(new BN('42'), 0)).toBe('42')
+  })
+
+  test('should keep the precision of very big numbers', () => {
+    expect(
+      formatBnAmount(new BN('3298792983798273972398792837972310987189327'), 18)
+    ).toBe('3298792983798273972398792.83')
+  })
+})
+
+describe('formatBnPct()', () => {
+  test('should format a percentage', () => {
+    expect(formatBnPct(new BN(1), new BN(3))).toBe('33.33')
+    expect(formatBnPct(new BN(1), new BN(2))).toBe('50')
+    expect(formatBnPct(new BN(1), new BN(0))).toBe('0')
+  })
+})
@@ -0,0 +1,149 @@
+import BN from 'bn.js'
+import { VOTE_ABSENT } from './vote-types'
+import { getVoteSuccess, getVoteTitle } from './vote-utils'
+
+// Triggers, emitted to every instance of the app (see app.emitTrigger())
+export const NOTIFICATIONS_CHECK_TRIGGER = 'NOTIFICATIONS_CHECK_TRIGGER'
+export const NOTIFICATIONS_SETTINGS_TRIGGER = 'NOTIFICATIONS_SETTINGS_TRIGGER'
+export const NOTIFICATIONS_DISMISS_TRIGGER = 'NOTIFICATIONS_DISMISS_TRIGGER'
+
+// Interval between checks from the background script
+export const NOTIFICATIONS_CHECK_INTERVAL = 60 * 1000
+
+export const CLOSING_SOON_DURATIONS = [
+  ['1 hour', 60 * 60 * 1000],
+  ['6 hours', 6 * 60 * 60 * 1000],
+  ['1 day', 24 * 60 * 60 * 1000],
+  ['3 days', 3 * 24 * 60 * 60 * 1000],
+]
+export const DEFAULT_CLOSING_SOON_DURATION = CLOSING_SOON_DURATIONS[2][1]
+
+// Results of the votes created by the account are only notified for a while
+export const RESULTS_NOTIFICATION_DURATION = 7 * 24 * 60 * 60 * 1000
+
+// Because these are passed between the background script and the app, we don't use symbols
+export const NOTIFICATION_CLOSING_SOON = 'NOTIFICATION_CLOSING_SOON'
+export const NOTIFICATION_EXECUTABLE = 'NOTIFICATION_EXECUTABLE'
+export const NOTIFICATION_VOTE_PASSED = 'NOTIFICATION_VOTE_PASSED'
+export const NOTIFICATION_VOTE_FAILED = 'NOTIFICATION_VOTE_FAILED'
+
+const formatRemaining = duration => {
+  const hours = Math.floor(duration / (60 * 60 * 1000))
+  if (hours >= 24) {
+    return `${Math.floor(hours / 24)} day(s)`
+  }
+  return hours > 0 ? `${hours} hour(s)` : 'less than an hour'
+}
+
+const voteLabel = ({ voteId, data }) => {
+  const title = getVoteTitle(data.metadata).split('\n')[0]
+  return `Vote #${voteId}${title ? ` (“${title}”)` : ''}`
+}
+
+// The background script stores votes as strings: getVoteSuccess() needs BNs
+const toBNVote = ({ data, ...vote }) => ({
+  ...vote,
+  data: {
+    ...data,
+    minAcceptQuorum: new BN(data.minAcceptQuorum),
+    nay: new BN(data.nay),
+    supportRequired: new BN(data.supportRequired),
+    votingPower: new BN(data.votingPower),
+    yea: new BN(data.yea),
+  },
+})
+
+/**
+ * Get the notifications of the connected account, from the background
+ * script's state. Notification ids are stable, so that the dismissed ones
+ * don't come back on the next check.
+ *
+ * @param {Object} state Background script state
+ * @param {Object} options Options
+ * @param {string} options.account Connected account
+ * @param {number} options.now Current time
+ * @param {Array<string>} options.votableVoteIds Votes the account can vote on
+ * @param {Array<string>} options.executableVoteIds Votes that can be executed
+ * @returns {Array<Object>} Notifications, as { id, type, voteId, title, body, date }
+ */
+export function getNotifications(
+  {
+    connectedAccountVotes = {},
+    dismissedNotifications = [],
+    notificationsSettings = {},
+    pctBase,
+    voteTime,
+    votes = [],
+  },
+  { account, now, votableVoteIds, executableVoteIds }
+) {
+  const {
+    closingSoonDuration = DEFAULT_CLOSING_SOON_DURATION,
+  } = notificationsSettings
+
+  const notifications = votes.reduce((notifications, vote) => {
+    const { voteId, data } = vote
+    const endDate = data.startDate + voteTime
+    const open = !data.executed && now < endDate
+
+    if (
+      open &&
+      endDate - now <= closingSoonDuration &&
+      votableVoteIds.includes(voteId) &&
+      (connectedAccountVotes[voteId] || VOTE_ABSENT) === VOTE_ABSENT
+    ) {
+      notifications.push({
+        id: `${NOTIFICATION_CLOSING_SOON}:${voteId}:${account}`,
+        type: NOTIFICATION_CLOSING_SOON,
+        voteId,
+        title: 'A vote is closing soon',
+        body: `${voteLabel(vote)} closes in ${formatRemaining(
+          endDate - now
+        )} and you haven’t voted yet.`,
+        date: endDate - closingSoonDuration,
+      })
+    }
+
+    if (executableVoteIds.includes(voteId)) {
+      notifications.push({
+        id: `${NOTIFICATION_EXECUTABLE}:${voteId}`,
+        type: NOTIFICATION_EXECUTABLE,
+        voteId,
+        title: 'A vote can be executed',
+        body: `${voteLabel(vote)} passed, but still needs to be executed.`,
+        // Votes can be executed before their end if they are already decided
+        date: now < endDate ? data.startDate : endDate,
+      })
+    }
+
+    if (
+      !open &&
+      now - endDate <= RESULTS_NOTIFICATION_DURATION &&
+      account &&
+      data.creator &&
+      data.creator.toLowerCase() === account.toLowerCase()
+    ) {
+      const passed =
+        data.executed || getVoteSuccess(toBNVote(vote), new BN(pctBase))
+      const type = passed ? NOTIFICATION_VOTE_PASSED : NOTIFICATION_VOTE_FAILED
+      notifications.push({
+        id: `${type}:${voteId}`,
+        type,
+        voteId,
+        title: passed ? 'Your vote passed' : 'Your vote didn’t pass',
+        body: `${voteLabel(vote)}, that you created, ${
+          passed ? 'passed' : 'was rejected'
+        }.`,
+        date: endDate,
+      })
+    }
+
+    return notifications
+  }, [])
+
+  return notifications
+    .filter(({ id }) => !dismissedNotifications.includes(id))
+    .sort(
+      (notificationA, notificationB) => notificationB.date - notificationA.date
+    )
+}
@@ -0,0 +1,134 @@
+import { VOTE_ABSENT, VOTE_YEA } from './vote-types'
+import {
+  NOTIFICATION_CLOSING_SOON,
+  NOTIFICATION_EXECUTABLE,
+  NOTIFICATION_VOTE_FAILED,
+  NOTIFICATION_VOTE_PASSED,
+  getNotifications,
+} from './notifications'
+
+const HOUR = 60 * 60 * 1000
+const ACCOUNT = '0x' + 'ab'.repeat(20)
+const OTHER_ACCOUNT = '0x' + 'cd'.repeat(20)
+const NOW = 100 * HOUR
+const VOTE_TIME = 48 * HOUR
+
+const createVote = (voteId, data) => ({
+  voteId,
+  data: {
+    creator: OTHER_ACCOUNT,
+    executed: false,
+    metadata: '',
+    minAcceptQuorum: '20',
+    nay: '0',
+    startDate: NOW - HOUR,
+    supportRequired: '50',
+    votingPower: '100',
+    yea: '0',
+    ...data,
+  },
+})
+
+const createState = (votes, state) => ({
+  pctBase: '100',
+  voteTime: VOTE_TIME,
+  votes,
+  ...state,
+})
+
+const notificationTypes = notifications =>
+  notifications.map(({ type, voteId }) => [type, voteId])
+
+describe('getNotifications()', () => {
+  const options = {
+    account: ACCOUNT,
+    now: NOW,
+    votableVoteIds: [],
+    executableVoteIds: [],
+  }
+
+  test('should remind of votes closing soon that the account can vote on', () => {
+    const state = createState(
+      [
+        // Closes in 10 hours
+        createVote('0', { startDate: NOW - VOTE_TIME + 10 * HOUR }),
+        // Closes in 47 hours
+        createVote('1'),
+        // Closes in 10 hours, already voted
+        createVote('2', { startDate: NOW - VOTE_TIME + 10 * HOUR }),
+        // Closes in 10 hours, can't vote
+        createVote('3', { startDate: NOW - VOTE_TIME + 10 * HOUR }),
+      ],
+      { connectedAccountVotes: { '0': VOTE_ABSENT, '2': VOTE_YEA } }
+    )
+    const notifications = getNotifications(state, {
+      ...options,
+      votableVoteIds: ['0', '1', '2'],
+    })
+    expect(notificationTypes(notifications)).toEqual([
+      [NOTIFICATION_CLOSING_SOON, '0'],
+    ])
+    expect(notifications[0].body).toContain('closes in 10 hour(s)')
+  })
+
+  test('should use the configured reminder duration', () => {
+    const state = createState([createVote('0')], {
+      notificationsSettings: { closingSoonDuration: VOTE_TIME },
+    })
+    expect(
+      notificationTypes(
+        getNotifications(state, { ...options, votableVoteIds: ['0'] })
+      )
+    ).toEqual([[NOTIFICATION_CLOSING_SOON, '0']])
+  })
+
+  test('should notify executable votes', () => {
+    const state = createState([createVote('0'), createVote('1')])
+    expect(
+      notificationTypes(
+        getNotifications(state, { ...options, executableVoteIds: ['1'] })
+      )
+    ).toEqual([[NOTIFICATION_EXECUTABLE, '1']])
+  })
+
+  test('should notify the results of the votes created by the account', () => {
+    const closedStartDate = NOW - VOTE_TIME - HOUR
+    const state = createState([
+      createVote('0', {
+        creator: ACCOUNT,
+        startDate: closedStartDate,
+        yea: '60',
+      }),
+      createVote('1', {
+        creator: ACCOUNT,
+        startDate: closedStartDate,
+        yea: '10',
+        nay: '30',
+      }),
+      // Still open
+      createVote('2', { creator: ACCOUNT }),
+      // Created by someone else
+      createVote('3', { startDate: closedStartDate, yea: '60' }),
+      // Closed for too long
+      createVote('4', {
+        creator: ACCOUNT,
+        startDate: closedStartDate - 30 * 24 * HOUR,
+      }),
+    ])
+    expect(notificationTypes(getNotifications(state, options))).toEqual([
+      [NOTIFICATION_VOTE_PASSED, '0'],
+      [NOTIFICATION_VOTE_FAILED, '1'],
+    ])
+  })
+
+  test('should not return dismissed notifications', () => {
+    const state = createState([createVote('0'), createVote('1')], {
+      dismissedNotifications: [`${NOTIFICATION_EXECUTABLE}:0`],
+    })
+    expect(
+      notificationTypes(
+        getNotifications(state, { ...options, executableVoteIds: ['0', '1'] })
+      )
+    ).toEqual([[NOTIFICATION_EXECUTABLE, '1']])
+  })
+})
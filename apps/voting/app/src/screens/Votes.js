@@ -1,32 +1,143 @@
-import React from 'react'
+import React, { useState } from 'react'
+import { Button, Text, theme } from '@aragon/ui'
+import { useConnectedAccount } from '@aragon/api-react'
+import { useSettings } from '../vote-settings-manager'
+import {
+  VOTE_STATUS_ONGOING,
+  VOTE_STATUS_ACCEPTED,
+  VOTE_STATUS_REJECTED,
+  VOTE_STATUS_EXECUTED,
+} from '../vote-types'
+import { filterVotes } from '../vote-utils'
+import { shortenAddress } from '../web3-utils'
 import VotingCard from '../components/VotingCard/VotingCard'
 import VotingCardGroup from '../components/VotingCard/VotingCardGroup'
+import VotesFilters from '../components/VotesFilters'
+
+const STATUS_FILTERS = [
+  ['All', null],
+  ['Ongoing', VOTE_STATUS_ONGOING],
+  ['Accepted', VOTE_STATUS_ACCEPTED],
+  ['Rejected', VOTE_STATUS_REJECTED],
+  ['Executed', VOTE_STATUS_EXECUTED],
+]
+const TYPE_FILTERS = [
+  ['All', null],
+  ['Informative', false],
+  ['Binding', true],
+]
+
+// Number of votes displayed, then added each time more votes are requested
+const VOTES_PAGE_SIZE = 12
 
 const Votes = React.memo(({ votes, onSelectVote }) => {
+  const { pctBase } = useSettings()
+  const connectedAccount = useConnectedAccount()
+  const [statusFilter, setStatusFilter] = useState(0)
+  const [typeFilter, setTypeFilter] = useState(0)
+  const [creatorFilter, setCreatorFilter] = useState(0)
+  const [notVotedFilter, setNotVotedFilter] = useState(false)
+  const [searchFilter, setSearchFilter] = useState('')
+  const [visibleCount, setVisibleCount] = useState(VOTES_PAGE_SIZE)
+
+  // Changing a filter brings the pagination back to the first page
+  const updateFilter = setFilter => value => {
+    setFilter(value)
+    setVisibleCount(VOTES_PAGE_SIZE)
+  }
+  const clearFilters = () => {
+    setStatusFilter(0)
+    setTypeFilter(0)
+    setCreatorFilter(0)
+    setNotVotedFilter(false)
+    setSearchFilter('')
+    setVisibleCount(VOTES_PAGE_SIZE)
+  }
+
+  const creators = [
+    ...new Set(
+      votes.map(({ data }) => data.creator).filter(creator => creator)
+    ),
+  ]
+
   const sortedVotes = votes.sort((a, b) => {
     const dateDiff = b.data.endDate - a.data.endDate
     // Order by descending voteId if there's no end date difference
     return dateDiff !== 0 ? dateDiff : b.voteId - a.voteId
   })
 
-  const openVotes = sortedVotes.filter(vote => vote.data.open)
-  const closedVotes = sortedVotes.filter(vote => !openVotes.includes(vote))
-  const votingGroups = [['Open votes', openVotes], ['Past votes', closedVotes]]
+  const filteredVotes = filterVotes(
+    sortedVotes,
+    {
+      status: STATUS_FILTERS[statusFilter][1],
+      action: TYPE_FILTERS[typeFilter][1],
+      creator: creatorFilter > 0 ? creators[creatorFilter - 1] || null : null,
+      notVoted: Boolean(connectedAccount) && notVotedFilter,
+      search: searchFilter,
+    },
+    pctBase
+  )
+  const visibleVotes = new Set(filteredVotes.slice(0, visibleCount))
+
+  const openVotes = filteredVotes.filter(vote => vote.data.open)
+  const closedVotes = filteredVotes.filter(vote => !openVotes.includes(vote))
+  const votingGroups = [
+    ['Open votes', openVotes],
+    ['Past votes', closedVotes],
+  ]
 
   return (
     <React.Fragment>
-      {votingGroups.map(([groupName, votes]) =>
-        votes.length ? (
+      <VotesFilters
+        statuses={STATUS_FILTERS.map(([label]) => label)}
+        statusFilter={statusFilter}
+        onStatusChange={updateFilter(setStatusFilter)}
+        types={TYPE_FILTERS.map(([label]) => label)}
+        typeFilter={typeFilter}
+        onTypeChange={updateFilter(setTypeFilter)}
+        creators={['All', ...creators.map(creator => shortenAddress(creator))]}
+        creatorFilter={creatorFilter}
+        onCreatorChange={updateFilter(setCreatorFilter)}
+        notVotedFilter={notVotedFilter}
+        onNotVotedChange={
+          connectedAccount ? updateFilter(setNotVotedFilter) : null
+        }
+        searchFilter={searchFilter}
+        onSearchChange={updateFilter(setSearchFilter)}
+      />
+      {filteredVotes.length === 0 && (
+        <div css="text-align: center">
+          <Text.Paragraph color={theme.textSecondary}>
+            No votes match the filters.
+          </Text.Paragraph>
+          <Button mode="text" onClick={clearFilters}>
+            Clear filters
+          </Button>
+        </div>
+      )}
+      {votingGroups.map(([groupName, votes]) => {
+        const groupVisibleVotes = votes.filter(vote => visibleVotes.has(vote))
+        return groupVisibleVotes.length ? (
           <VotingCardGroup
             title={groupName}
             count={votes.length}
             key={groupName}
           >
-            {votes.map(vote => (
+            {groupVisibleVotes.map(vote => (
               <VotingCard key={vote.voteId} vote={vote} onOpen={onSelectVote} />
             ))}
           </VotingCardGroup>
         ) : null
+      })}
+      {filteredVotes.length > visibleCount && (
+        <div css="margin-top: 30px; text-align: center">
+          <Button
+            mode="secondary"
+            onClick={() => setVisibleCount(visibleCount + VOTES_PAGE_SIZE)}
+          >
+            Show more votes
+          </Button>
+        </div>
       )}
     </React.Fragment>
   )
@@ -1,13 +1,28 @@
 import Aragon, { events } from '@aragon/api'
+import BN from 'bn.js'
 import { addressesEqual } from './web3-utils'
 import voteSettings from './vote-settings'
-import { voteTypeFromContractEnum } from './vote-utils'
+import { getVoteSuccess, voteTypeFromContractEnum } from './vote-utils'
 import { EMPTY_CALLSCRIPT } from './evmscript-utils'
+import {
+  DEFAULT_CLOSING_SOON_DURATION,
+  NOTIFICATIONS_CHECK_INTERVAL,
+  NOTIFICATIONS_CHECK_TRIGGER,
+  NOTIFICATIONS_DISMISS_TRIGGER,
+  NOTIFICATIONS_SETTINGS_TRIGGER,
+  getNotifications,
+} from './notifications'
 import tokenDecimalsAbi from './abi/token-decimals.json'
 import tokenSymbolAbi from './abi/token-symbol.json'
 
 const tokenAbi = [].concat(tokenDecimalsAbi, tokenSymbolAbi)
 
+// Events changing the vote settings, with the setting they change
+const SETTINGS_EVENTS = {
+  ChangeSupportRequired: 'supportRequiredPct',
+  ChangeMinQuorum: 'minAcceptQuorumPct',
+}
+
 const app = new Aragon()
 
 let connectedAccount
@@ -56,23 +71,65 @@ retryEvery(retry => {
 })
 
 async function initialize(tokenAddr) {
+  // Closing votes depend on the time passing, not only on events
+  setInterval(() => {
+    app.emitTrigger(NOTIFICATIONS_CHECK_TRIGGER)
+  }, NOTIFICATIONS_CHECK_INTERVAL)
+
   return app.store(
-    (state, { event, returnValues }) => {
+    (state, { blockNumber, event, returnValues, transactionHash }) => {
       const nextState = {
         ...state,
       }
 
       switch (event) {
         case events.ACCOUNTS_TRIGGER:
-          return updateConnectedAccount(nextState, returnValues)
+          return updateConnectedAccount(nextState, returnValues).then(
+            updateNotifications
+          )
         case events.SYNC_STATUS_SYNCING:
           return { ...nextState, isSyncing: true }
         case events.SYNC_STATUS_SYNCED:
-          return { ...nextState, isSyncing: false }
+          return updateNotifications({ ...nextState, isSyncing: false })
+        case NOTIFICATIONS_CHECK_TRIGGER:
+          return updateNotifications(nextState)
+        case NOTIFICATIONS_SETTINGS_TRIGGER:
+          return updateNotifications({
+            ...nextState,
+            notificationsSettings: {
+              ...nextState.notificationsSettings,
+              ...returnValues,
+            },
+          })
+        case NOTIFICATIONS_DISMISS_TRIGGER:
+          return updateNotifications({
+            ...nextState,
+            dismissedNotifications: [
+              ...(nextState.dismissedNotifications || []),
+              ...returnValues.ids,
+            ],
+          })
         case 'CastVote':
-          return castVote(nextState, returnValues)
+          return castVote(nextState, returnValues, {
+            blockNumber,
+            transactionHash,
+          })
         case 'ExecuteVote':
-          return executeVote(nextState, returnValues)
+          return executeVote(nextState, returnValues, { transactionHash })
+        case 'ChangeSupportRequired':
+          return changeSetting(
+            nextState,
+            'supportRequiredPct',
+            returnValues.supportRequiredPct,
+            { blockNumber, transactionHash }
+          )
+        case 'ChangeMinQuorum':
+          return changeSetting(
+            nextState,
+            'minAcceptQuorumPct',
+            returnValues.minAcceptQuorumPct,
+            { blockNumber, transactionHash }
+          )
         case 'StartVote':
           return startVote(nextState, returnValues)
         default:
@@ -86,16 +143,12 @@ async function initialize(tokenAddr) {
 const initState = tokenAddr => async cachedState => {
   const token = app.external(tokenAddr, tokenAbi)
 
+  const voteSettings = await loadVoteSettings()
+
   let tokenSymbol
   try {
     tokenSymbol = await token.symbol().toPromise()
-    const pctBase = parseInt(await app.call('PCT_BASE').toPromise(), 10)
-    const supportRequiredPct = parseInt(
-      await app.call('supportRequiredPct').toPromise(),
-      10
-    )
-    const supportRequired = Math.round((supportRequiredPct / pctBase) * 100)
-    app.identify(`${tokenSymbol} (${supportRequired}%)`)
+    identify(tokenSymbol, voteSettings)
   } catch (err) {
     console.error(
       `Failed to load information to identify voting app due to:`,
@@ -115,10 +168,10 @@ const initState = tokenAddr => async cachedState => {
     tokenDecimals = '0'
   }
 
-  const voteSettings = await loadVoteSettings()
-
   return {
-    ...cachedState,
+    ...(cachedState
+      ? await loadPastHistory(cachedState)
+      : { settingsHistory: [] }),
     isSyncing: true,
     tokenDecimals,
     tokenSymbol,
@@ -146,7 +199,11 @@ async function updateConnectedAccount(state, { account }) {
   }
 }
 
-async function castVote(state, { voteId, voter }) {
+async function castVote(
+  state,
+  { voteId, voter, supports, stake },
+  { blockNumber, transactionHash }
+) {
   const { connectedAccountVotes } = state
   // If the connected account was the one who made the vote, update their voter status
   if (addressesEqual(connectedAccount, voter)) {
@@ -158,8 +215,21 @@ async function castVote(state, { voteId, voter }) {
     connectedAccountVotes[voteId] = voteType
   }
 
-  const transform = async vote => ({
+  const cast = await marshallCast(
+    { voter, supports, stake },
+    { blockNumber, transactionHash }
+  )
+
+  const transform = async ({ casts = [], ...vote }) => ({
     ...vote,
+    // Keep every cast, as recasts are needed to rebuild the vote's history
+    casts: casts.some(
+      existing =>
+        existing.transactionHash === transactionHash &&
+        addressesEqual(existing.voter, voter)
+    )
+      ? casts
+      : casts.concat(cast),
     data: {
       ...vote.data,
       ...(await loadVoteData(voteId)),
@@ -169,17 +239,120 @@ async function castVote(state, { voteId, voter }) {
   return updateState({ ...state, connectedAccountVotes }, voteId, transform)
 }
 
-async function executeVote(state, { voteId }) {
+async function executeVote(state, { voteId }, { transactionHash }) {
   const transform = ({ data, ...vote }) => ({
     ...vote,
     data: { ...data, executed: true },
   })
-  return updateState(state, voteId, transform)
+  const { settingsHistory = [] } = state
+  return updateState(
+    {
+      ...state,
+      // Settings changed by the vote's script are emitted before ExecuteVote,
+      // in the same transaction
+      settingsHistory: settingsHistory.map(change =>
+        change.transactionHash === transactionHash
+          ? { ...change, voteId }
+          : change
+      ),
+    },
+    voteId,
+    transform
+  )
+}
+
+async function changeSetting(
+  state,
+  setting,
+  value,
+  { blockNumber, transactionHash }
+) {
+  const { settingsHistory = [] } = state
+  const nextState = {
+    ...state,
+    [setting]: value,
+    settingsHistory: settingsHistory.some(
+      change =>
+        change.transactionHash === transactionHash && change.setting === setting
+    )
+      ? settingsHistory
+      : settingsHistory.concat(
+          await marshallSettingChange(setting, value, {
+            blockNumber,
+            transactionHash,
+          })
+        ),
+  }
+  if (
+    setting === 'supportRequiredPct' &&
+    nextState.tokenSymbol &&
+    nextState.pctBase
+  ) {
+    identify(nextState.tokenSymbol, nextState)
+  }
+  return nextState
+}
+
+// Notifications are only computed once synced, as they would otherwise be
+// emitted for the past state of the votes
+async function updateNotifications(state) {
+  const {
+    isSyncing,
+    notificationsSettings = {},
+    pctBase,
+    voteTime,
+    votes = [],
+  } = state
+  if (isSyncing || !voteTime || !pctBase) {
+    return state
+  }
+
+  const now = Date.now()
+  const {
+    closingSoonDuration = DEFAULT_CLOSING_SOON_DURATION,
+  } = notificationsSettings
+
+  const [votableVoteIds, executableVoteIds] = await Promise.all([
+    filterVoteIds(
+      votes.filter(({ data }) => {
+        const endDate = data.startDate + voteTime
+        return (
+          connectedAccount &&
+          !data.executed &&
+          now < endDate &&
+          endDate - now <= closingSoonDuration
+        )
+      }),
+      voteId => app.call('canVote', voteId, connectedAccount)
+    ),
+    // Only the open votes and the accepted closed votes can be executable,
+    // so the contract doesn't get checked for every past vote
+    filterVoteIds(
+      votes.filter(
+        vote =>
+          !vote.data.executed &&
+          (now < vote.data.startDate + voteTime ||
+            isVoteAccepted(vote, pctBase))
+      ),
+      voteId => app.call('canExecute', voteId)
+    ),
+  ])
+
+  return {
+    ...state,
+    notifications: getNotifications(state, {
+      account: connectedAccount,
+      now,
+      votableVoteIds,
+      executableVoteIds,
+    }),
+  }
 }
 
 async function startVote(state, { creator, metadata, voteId }) {
   return updateState(state, voteId, vote => ({
     ...vote,
+    casts: vote.casts || [],
     data: {
       ...vote.data,
       creator,
@@ -193,6 +366,88 @@ async function startVote(state, { creator, metadata, voteId }) {
  *       Helpers       *
  *                     *
  ***********************/
+
+// Caches from before the casts and the settings history were tracked miss the
+// events before the cached block, so these are rebuilt from the past events
+async function loadPastHistory(cachedState) {
+  const { settingsHistory, votes = [] } = cachedState
+  if (settingsHistory && votes.every(({ casts }) => casts)) {
+    return cachedState
+  }
+
+  let pastEvents
+  try {
+    pastEvents = await app.pastEvents().toPromise()
+  } catch (err) {
+    console.error('Failed to load the past events of the votes', err)
+    return cachedState
+  }
+
+  return {
+    ...cachedState,
+    settingsHistory:
+      settingsHistory || (await loadPastSettingsHistory(pastEvents)),
+    votes: await Promise.all(
+      votes.map(async vote =>
+        vote.casts
+          ? vote
+          : { ...vote, casts: await loadPastCasts(pastEvents, vote.voteId) }
+      )
+    ),
+  }
+}
+
+function loadPastCasts(pastEvents, voteId) {
+  return Promise.all(
+    pastEvents
+      .filter(
+        ({ event, returnValues }) =>
+          event === 'CastVote' && returnValues.voteId === voteId
+      )
+      .map(({ blockNumber, returnValues, transactionHash }) =>
+        marshallCast(returnValues, { blockNumber, transactionHash })
+      )
+  )
+}
+
+function loadPastSettingsHistory(pastEvents) {
+  // Settings changed by a vote's script are emitted in the same transaction
+  // as its ExecuteVote
+  const executedVotes = new Map(
+    pastEvents
+      .filter(({ event }) => event === 'ExecuteVote')
+      .map(({ returnValues, transactionHash }) => [
+        transactionHash,
+        returnValues.voteId,
+      ])
+  )
+  return Promise.all(
+    pastEvents
+      .filter(({ event }) => SETTINGS_EVENTS[event])
+      .map(async ({ blockNumber, event, returnValues, transactionHash }) => {
+        const setting = SETTINGS_EVENTS[event]
+        return {
+          ...(await marshallSettingChange(setting, returnValues[setting], {
+            blockNumber,
+            transactionHash,
+          })),
+          voteId: executedVotes.get(transactionHash) || null,
+        }
+      })
+  )
+}
+
+// Identify the app by its token and support, e.g. "ANT (50%)"
+function identify(tokenSymbol, { pctBase, supportRequiredPct }) {
+  if (!pctBase || !supportRequiredPct) {
+    throw new Error('The vote settings are not loaded')
+  }
+  const supportRequired = Math.round(
+    (parseInt(supportRequiredPct, 10) / parseInt(pctBase, 10)) * 100
+  )
+  app.identify(`${tokenSymbol} (${supportRequired}%)`)
+}
+
 // Default votes to an empty array to prevent errors on initial load
 async function getAccountVotes({ connectedAccount, votes = [] }) {
   const connectedAccountVotes = await Promise.all(
@@ -209,6 +464,40 @@ async function getAccountVotes({ connectedAccount, votes = [] }) {
   return connectedAccountVotes
 }
 
+// Check the outcome of a closed vote locally, with the amounts of the state
+function isVoteAccepted({ data }, pctBase) {
+  const { minAcceptQuorum, nay, supportRequired, votingPower, yea } = data
+  return getVoteSuccess(
+    {
+      data: {
+        minAcceptQuorum: new BN(minAcceptQuorum),
+        nay: new BN(nay),
+        supportRequired: new BN(supportRequired),
+        votingPower: new BN(votingPower),
+        yea: new BN(yea),
+      },
+    },
+    new BN(pctBase)
+  )
+}
+
+// Get the ids of the votes passing a contract check, e.g. canExecute()
+async function filterVoteIds(votes, check) {
+  const results = await Promise.all(
+    votes.map(({ voteId }) =>
+      check(voteId)
+        .toPromise()
+        .catch(err => {
+          console.error(`Failed to check vote ${voteId}`, err)
+          return false
+        })
+    )
+  )
+  return votes
+    .filter((vote, index) => results[index])
+    .map(({ voteId }) => voteId)
+}
+
 async function getVoterState({ connectedAccount, voteId }) {
   return app
     .call('getVoterState', voteId, connectedAccount)
@@ -244,6 +533,53 @@ async function loadVoteDescription(vote) {
   return vote
 }
 
+const blockDates = new Map()
+function loadBlockDate(blockNumber) {
+  if (!blockDates.has(blockNumber)) {
+    blockDates.set(
+      blockNumber,
+      app
+        .web3Eth('getBlock', blockNumber)
+        .toPromise()
+        .then(({ timestamp }) => marshallDate(timestamp))
+        .catch(err => {
+          console.error(`Failed to load the date of block ${blockNumber}`, err)
+          blockDates.delete(blockNumber)
+          return null
+        })
+    )
+  }
+  return blockDates.get(blockNumber)
+}
+
+async function marshallCast(
+  { voter, supports, stake },
+  { blockNumber, transactionHash }
+) {
+  return {
+    voter,
+    supports,
+    stake,
+    date: await loadBlockDate(blockNumber),
+    transactionHash,
+  }
+}
+
+async function marshallSettingChange(
+  setting,
+  value,
+  { blockNumber, transactionHash }
+) {
+  return {
+    setting,
+    value,
+    date: await loadBlockDate(blockNumber),
+    transactionHash,
+    // Set by executeVote(), if the change was enacted by a vote
+    voteId: null,
+  }
+}
+
 function loadVoteData(voteId) {
   return app
     .call('getVote', voteId)
@@ -8,3 +8,22 @@ export function pluralize(count, singular, plural, re = PLURALIZE_RE) {
 }
 
 export function noop() {}
+
+const DURATION_UNITS = [
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000],
+]
+
+// Format a duration (in ms), e.g. "2 days 3 hours"
+export function formatDuration(duration) {
+  let remaining = duration
+  const parts = DURATION_UNITS.reduce((parts, [unit, unitDuration]) => {
+    const count = Math.floor(remaining / unitDuration)
+    remaining -= count * unitDuration
+    return count > 0
+      ? parts.concat(pluralize(count, `$ ${unit}`, `$ ${unit}s`))
+      : parts
+  }, [])
+  return parts.length > 0 ? parts.join(' ') : 'Less than a minute'
+}
@@ -1,6 +1,7 @@
 import { useEffect, useMemo, useState } from 'react'
 import { useAragonApi, useAppState } from '@aragon/api-react'
 import {
+  getBalancesFromTransfers,
   getCanExecute,
   getCanVote,
   getUserBalance,
@@ -9,6 +10,7 @@ import {
 import { useNow, usePromise } from './utils-hooks'
 import { VOTE_ABSENT } from './vote-types'
 import TOKEN_ABI from './abi/token-balanceOfAt.json'
+import TOKEN_TRANSFER_ABI from './abi/token-transfer.json'
 
 // Get the votes array ready to be used in the app.
 export function useVotes() {
@@ -54,11 +56,7 @@ export function useTokenContract() {
 
 // Get the extended data related to a vote
 export function useExtendedVoteData(vote) {
-  const {
-    api,
-    connectedAccount,
-    appState: { tokenDecimals },
-  } = useAragonApi()
+  const { api, connectedAccount } = useAragonApi()
 
   const tokenContract = useTokenContract()
 
@@ -75,10 +73,38 @@ export function useExtendedVoteData(vote) {
   )
 
   const userBalance = usePromise(
-    () => getUserBalance(vote, connectedAccount, tokenContract, tokenDecimals),
-    [vote && vote.voteId, connectedAccount, tokenContract, tokenDecimals],
-    -1
+    () => getUserBalance(vote, connectedAccount, tokenContract),
+    [vote && vote.voteId, connectedAccount, tokenContract],
+    null
   )
 
   return { canExecute, canUserVote, userBalance }
 }
+
+// Get the balances of the token holders at the snapshot block of a vote,
+// rebuilt from the token's transfers. Nothing is loaded until `load` is set.
+export function useSnapshotBalances(vote, load) {
+  const { api, appState } = useAragonApi()
+  const { tokenAddress } = appState
+  const snapshotBlock = vote ? vote.data.snapshotBlock : -1
+
+  return usePromise(
+    async () => {
+      if (!load || !api || !tokenAddress || snapshotBlock === -1) {
+        return { balances: null, error: false }
+      }
+      try {
+        const transfers = await api
+          .external(tokenAddress, TOKEN_TRANSFER_ABI)
+          .pastEvents({ fromBlock: 0, toBlock: snapshotBlock })
+          .toPromise()
+        return { balances: getBalancesFromTransfers(transfers), error: false }
+      } catch (err) {
+        console.error('Failed to load the token transfers', err)
+        return { balances: null, error: true }
+      }
+    },
+    [load, api, tokenAddress, snapshotBlock],
+    { balances: null, error: false }
+  )
+}
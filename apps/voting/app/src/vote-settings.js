@@ -2,6 +2,8 @@ const voteSettings = [
   ['token', 'tokenAddress'],
   ['voteTime', 'voteTime', 'time'],
   ['PCT_BASE', 'pctBase', 'bignumber'],
+  ['supportRequiredPct', 'supportRequiredPct', 'bignumber'],
+  ['minAcceptQuorumPct', 'minAcceptQuorumPct', 'bignumber'],
 ]
 
 export function hasLoadedVoteSettings(state) {
@@ -1,3 +1,4 @@
+import BN from 'bn.js'
 import { isBefore } from 'date-fns'
 import {
   VOTE_ABSENT,
@@ -8,6 +9,7 @@ import {
   VOTE_STATUS_ACCEPTED,
   VOTE_STATUS_EXECUTED,
 } from './vote-types'
+import { isSafeUrl, markdownToPlainText } from './markdown-utils'
 
 const EMPTY_SCRIPT = '0x00000001'
 
@@ -60,6 +62,59 @@ export function getVoteSuccess(vote, pctBase) {
   )
 }
 
+// Divide two BNs, rounding up
+const divCeil = (num, denom) =>
+  num
+    .add(denom)
+    .subn(1)
+    .div(denom)
+
+// Project the outcome of an open vote. The amounts of yea needed assume that
+// nobody else votes no, and mirror the on-chain checks (see getVoteSuccess()).
+export function getVoteProjection(vote, pctBase) {
+  const { yea, minAcceptQuorum, nay, supportRequired, votingPower } = vote.data
+  const zero = new BN(0)
+  const remaining = BN.max(votingPower.sub(yea).sub(nay), zero)
+
+  // yea / (yea + nay) > supportRequired, with at least one yea
+  const supportDivisor = pctBase.sub(supportRequired).subn(1)
+  let supportTarget
+  if (supportDivisor.isZero()) {
+    // With supportRequired = pctBase - 1, any nay prevents the support from
+    // being reached: the target is then beyond the whole voting power
+    supportTarget = nay.isZero() ? new BN(1) : votingPower.addn(1)
+  } else {
+    supportTarget = BN.max(
+      divCeil(supportRequired.addn(1).mul(nay), supportDivisor),
+      new BN(1)
+    )
+  }
+  // yea / votingPower > minAcceptQuorum
+  const quorumTarget = divCeil(
+    minAcceptQuorum.addn(1).mul(votingPower),
+    pctBase
+  )
+  // yea / votingPower > supportRequired decides the vote before its end
+  const decisionTarget = divCeil(
+    supportRequired.addn(1).mul(votingPower),
+    pctBase
+  )
+
+  const neededFor = target => BN.max(target.sub(yea), zero)
+  const yeaNeeded = neededFor(BN.max(supportTarget, quorumTarget))
+
+  return {
+    remaining,
+    yeaNeeded,
+    yeaNeededForQuorum: neededFor(quorumTarget),
+    yeaNeededForSupport: neededFor(supportTarget),
+    // The vote passes regardless of the remaining voters, and can be executed
+    decidedAccepted: yea.gte(decisionTarget),
+    // The vote can't pass, even if all the remaining voting power votes yes
+    decidedRejected: yeaNeeded.gt(remaining),
+  }
+}
+
 // Enums are not supported by the ABI yet:
 // https://solidity.readthedocs.io/en/latest/frequently-asked-questions.html#if-i-return-an-enum-i-only-get-integer-values-in-web3-js-how-to-get-the-named-values
 export function voteTypeFromContractEnum(value) {
@@ -72,22 +127,45 @@ export function voteTypeFromContractEnum(value) {
   return VOTE_ABSENT
 }
 
-// Get the user balance that can be used on a given vote.
-export async function getUserBalance(
-  vote,
-  connectedAccount,
-  tokenContract,
-  tokenDecimals
-) {
+// Get the user balance (BN) that can be used on a given vote, or null if
+// it can't be known yet.
+export async function getUserBalance(vote, connectedAccount, tokenContract) {
   if (!vote || !tokenContract || !connectedAccount) {
-    return -1
+    return null
   }
 
   const balance = await tokenContract
     .balanceOfAt(connectedAccount, vote.data.snapshotBlock)
     .toPromise()
 
-  return Math.floor(parseInt(balance, 10) / Math.pow(10, tokenDecimals))
+  return new BN(balance)
+}
+
+// Get the balances resulting from a list of MiniMe `Transfer` events (mints
+// being transfers from the zero address), as { [lowercase address]: BN }.
+export function getBalancesFromTransfers(transfers) {
+  const balances = new Map()
+  const update = (address, change) => {
+    const key = address.toLowerCase()
+    balances.set(key, (balances.get(key) || new BN(0)).add(change))
+  }
+  transfers.forEach(({ returnValues: { _from, _to, _amount } }) => {
+    const amount = new BN(_amount)
+    if (new BN(_from.slice(2), 16).isZero()) {
+      update(_to, amount)
+      return
+    }
+    update(_from, amount.neg())
+    update(_to, amount)
+  })
+  // Burns are transfers to the zero address
+  balances.delete('0x0000000000000000000000000000000000000000')
+  return [...balances.entries()].reduce((result, [address, balance]) => {
+    if (!balance.isZero()) {
+      result[address] = balance
+    }
+    return result
+  }, {})
 }
 
 export async function getCanVote(vote, connectedAccount, api) {
@@ -109,3 +187,101 @@ export async function getCanExecute(vote, api) {
   }
   return api.call('canExecute', vote.voteId).toPromise()
 }
+
+// Get the latest cast of each voter, as later casts override earlier ones
+export function getVoters(casts = []) {
+  const voters = new Map()
+  casts.forEach(cast => {
+    voters.set(cast.voter.toLowerCase(), cast)
+  })
+  return [...voters.values()]
+}
+
+// Get the yea and nay stakes of a vote at regular intervals between two
+// dates. Casts without a known date are only counted on the last step.
+export function getSupportTimeline(casts = [], startDate, endDate, steps) {
+  const interval = steps > 1 ? (endDate - startDate) / (steps - 1) : 0
+  return [...Array(steps)].map((_, index) => {
+    const isLast = index === steps - 1
+    const date = isLast ? endDate : startDate + interval * index
+    const voters = getVoters(
+      casts.filter(cast => (cast.date === null ? isLast : cast.date <= date))
+    )
+    return voters.reduce(
+      (step, { supports, numData }) => ({
+        ...step,
+        yea: step.yea + (supports ? numData.stake : 0),
+        nay: step.nay + (supports ? 0 : numData.stake),
+      }),
+      { date, yea: 0, nay: 0 }
+    )
+  })
+}
+
+// Filter votes on their status, type, creator and content. Unset filters
+// (null or empty) are ignored.
+export function filterVotes(
+  votes,
+  {
+    status = null,
+    action = null,
+    creator = null,
+    notVoted = false,
+    search = '',
+  },
+  pctBase
+) {
+  const searchQuery = search.trim().toLowerCase()
+  const matchesSearch = ({ data: { description, metadata } }) => {
+    const { title, body } = parseVoteMetadata(metadata || '')
+    return [title, body, description].some(text =>
+      (text || '').toLowerCase().includes(searchQuery)
+    )
+  }
+  return votes.filter(
+    vote =>
+      (status === null || getVoteStatus(vote, pctBase) === status) &&
+      (action === null || Boolean(isVoteAction(vote)) === action) &&
+      (creator === null ||
+        (vote.data.creator || '').toLowerCase() === creator.toLowerCase()) &&
+      (!notVoted || vote.connectedAccountVote === VOTE_ABSENT) &&
+      (!searchQuery || matchesSearch(vote))
+  )
+}
+
+// Parse the metadata of a vote. Structured metadata is a JSON object with a
+// title, a Markdown body and a discussion URL, any of them being optional.
+// Other metadata, like the one of legacy votes, is used as the body.
+export function parseVoteMetadata(metadata = '') {
+  const legacyMetadata = { title: '', body: metadata, discussionUrl: null }
+  if (!metadata.trim().startsWith('{')) {
+    return legacyMetadata
+  }
+
+  let fields
+  try {
+    fields = JSON.parse(metadata)
+  } catch (err) {
+    return legacyMetadata
+  }
+
+  const { title, body, discussionUrl } = fields || {}
+  const isString = value => typeof value === 'string'
+  if (!isString(title) && !isString(body)) {
+    return legacyMetadata
+  }
+  return {
+    title: isString(title) ? title.trim() : '',
+    body: isString(body) ? body : '',
+    discussionUrl:
+      isString(discussionUrl) && isSafeUrl(discussionUrl)
+        ? discussionUrl.trim()
+        : null,
+  }
+}
+
+// Get a plain text title for a vote, from its metadata
+export function getVoteTitle(metadata = '') {
+  const { title, body } = parseVoteMetadata(metadata)
+  return title || markdownToPlainText(body)
+}
@@ -0,0 +1,237 @@
+import { VOTE_ABSENT, VOTE_YEA } from './vote-types'
+import BN from 'bn.js'
+import {
+  filterVotes,
+  getBalancesFromTransfers,
+  getSupportTimeline,
+  getVoteProjection,
+  getVoteTitle,
+  getVoters,
+  parseVoteMetadata,
+} from './vote-utils'
+
+const cast = (voter, supports, stake, date) => ({
+  voter,
+  supports,
+  date,
+  numData: { stake },
+})
+
+describe('getVoters()', () => {
+  test('should keep the latest cast of each voter', () => {
+    const casts = [
+      cast('0xA', true, 10, 1),
+      cast('0xB', false, 5, 2),
+      cast('0xa', false, 10, 3),
+    ]
+    expect(getVoters(casts)).toEqual([casts[2], casts[1]])
+  })
+})
+
+describe('getSupportTimeline()', () => {
+  test('should accumulate the stakes over time', () => {
+    const casts = [
+      cast('0xA', true, 10, 10),
+      cast('0xB', false, 5, 60),
+      cast('0xA', false, 10, 90),
+    ]
+    expect(getSupportTimeline(casts, 0, 100, 3)).toEqual([
+      { date: 0, yea: 0, nay: 0 },
+      { date: 50, yea: 10, nay: 0 },
+      { date: 100, yea: 0, nay: 15 },
+    ])
+  })
+
+  test('should only count casts without a date on the last step', () => {
+    const casts = [cast('0xA', true, 10, null)]
+    expect(getSupportTimeline(casts, 0, 100, 2)).toEqual([
+      { date: 0, yea: 0, nay: 0 },
+      { date: 100, yea: 10, nay: 0 },
+    ])
+  })
+})
+
+describe('filterVotes()', () => {
+  const vote = (voteId, creator, metadata, script, connectedAccountVote) => ({
+    voteId,
+    connectedAccountVote,
+    data: { creator, metadata, description: '', script },
+  })
+  const votes = [
+    vote('0', '0xA', 'Fund the grant', '0x00000001', VOTE_YEA),
+    vote('1', '0xB', '', '0x00000001abcd', VOTE_ABSENT),
+    vote('2', '0xa', 'Should we FUND it?', '0x00000001', VOTE_ABSENT),
+  ]
+  const ids = filters => filterVotes(votes, filters).map(({ voteId }) => voteId)
+
+  test('should ignore unset filters', () => {
+    expect(ids({})).toEqual(['0', '1', '2'])
+  })
+
+  test('should filter on the type, creator and connected account vote', () => {
+    expect(ids({ action: true })).toEqual(['1'])
+    expect(ids({ action: false })).toEqual(['0', '2'])
+    expect(ids({ creator: '0xA' })).toEqual(['0', '2'])
+    expect(ids({ notVoted: true })).toEqual(['1', '2'])
+  })
+
+  test('should search the question, case insensitively', () => {
+    expect(ids({ search: ' fund ' })).toEqual(['0', '2'])
+  })
+
+  test('should search the title and body of structured metadata', () => {
+    const structuredVotes = [
+      vote('0', '0xA', JSON.stringify({ title: 'Grant', body: 'For **DAO**' })),
+    ]
+    const search = search =>
+      filterVotes(structuredVotes, { search }).map(({ voteId }) => voteId)
+    expect(search('grant')).toEqual(['0'])
+    expect(search('dao')).toEqual(['0'])
+    expect(search('title')).toEqual([])
+  })
+})
+
+describe('parseVoteMetadata()', () => {
+  test('should parse structured metadata', () => {
+    expect(
+      parseVoteMetadata(
+        JSON.stringify({
+          title: ' Fund the grant ',
+          body: '## Details',
+          discussionUrl: 'https://forum.aragon.org/t/1',
+        })
+      )
+    ).toEqual({
+      title: 'Fund the grant',
+      body: '## Details',
+      discussionUrl: 'https://forum.aragon.org/t/1',
+    })
+  })
+
+  test('should ignore unsafe discussion URLs', () => {
+    expect(
+      parseVoteMetadata(
+        JSON.stringify({ title: 'Grant', discussionUrl: 'javascript:alert(1)' })
+      )
+    ).toEqual({ title: 'Grant', body: '', discussionUrl: null })
+  })
+
+  test('should use other metadata as the body', () => {
+    const legacy = body => ({ title: '', body, discussionUrl: null })
+    expect(parseVoteMetadata('Should we fund it?')).toEqual(
+      legacy('Should we fund it?')
+    )
+    expect(parseVoteMetadata('{ not json')).toEqual(legacy('{ not json'))
+    expect(parseVoteMetadata('{"name":"x"}')).toEqual(legacy('{"name":"x"}'))
+    expect(parseVoteMetadata()).toEqual(legacy(''))
+  })
+})
+
+describe('getVoteTitle()', () => {
+  test('should prefer the title of structured metadata', () => {
+    expect(getVoteTitle(JSON.stringify({ title: 'Grant', body: 'Body' }))).toBe(
+      'Grant'
+    )
+  })
+
+  test('should use the plain text of other metadata', () => {
+    expect(getVoteTitle('Fund the **grant**')).toBe('Fund the grant')
+  })
+})
+
+describe('getVoteProjection()', () => {
+  const PCT_BASE = new BN(100)
+  // 50% support, 20% quorum, 100 tokens
+  const projection = (yea, nay) =>
+    getVoteProjection(
+      {
+        data: {
+          yea: new BN(yea),
+          nay: new BN(nay),
+          minAcceptQuorum: new BN(20),
+          supportRequired: new BN(50),
+          votingPower: new BN(100),
+        },
+      },
+      PCT_BASE
+    )
+  const toNumbers = result =>
+    Object.entries(result).reduce(
+      (numbers, [key, value]) => ({
+        ...numbers,
+        [key]: BN.isBN(value) ? value.toNumber() : value,
+      }),
+      {}
+    )
+
+  test('should need the quorum on an empty vote', () => {
+    expect(toNumbers(projection(0, 0))).toEqual({
+      remaining: 100,
+      yeaNeeded: 21,
+      yeaNeededForQuorum: 21,
+      yeaNeededForSupport: 1,
+      decidedAccepted: false,
+      decidedRejected: false,
+    })
+  })
+
+  // 32 yea are needed against 30 nay, as 31 / 61 rounds down to 50%
+  test('should need more yea than nay to reach support', () => {
+    const { yeaNeeded, yeaNeededForSupport } = projection(25, 30)
+    expect(yeaNeededForSupport.toNumber()).toBe(7)
+    expect(yeaNeeded.toNumber()).toBe(7)
+  })
+
+  test('should detect decided votes', () => {
+    expect(projection(51, 0).decidedAccepted).toBe(true)
+    expect(projection(50, 0).decidedAccepted).toBe(false)
+    expect(projection(0, 50).decidedRejected).toBe(true)
+    expect(projection(0, 49).decidedRejected).toBe(false)
+  })
+
+  // The contract accepts any supportRequired lower than pctBase
+  test('should handle the highest support required', () => {
+    const projection = (yea, nay) =>
+      getVoteProjection(
+        {
+          data: {
+            yea: new BN(yea),
+            nay: new BN(nay),
+            minAcceptQuorum: new BN(0),
+            supportRequired: new BN(99),
+            votingPower: new BN(100),
+          },
+        },
+        PCT_BASE
+      )
+    expect(projection(0, 0).yeaNeededForSupport.toNumber()).toBe(1)
+    expect(projection(10, 0).yeaNeededForSupport.toNumber()).toBe(0)
+    expect(projection(0, 0).decidedRejected).toBe(false)
+    expect(projection(10, 1).decidedRejected).toBe(true)
+  })
+})
+
+describe('getBalancesFromTransfers()', () => {
+  const ZERO = '0x0000000000000000000000000000000000000000'
+  const transfer = (_from, _to, _amount) => ({
+    returnValues: { _from, _to, _amount },
+  })
+
+  test('should rebuild the balances from mints, transfers and burns', () => {
+    const balances = getBalancesFromTransfers([
+      transfer(ZERO, '0xA', '100'),
+      transfer(ZERO, '0xB', '50'),
+      transfer('0xa', '0xC', '30'),
+      transfer('0xB', ZERO, '50'),
+    ])
+    expect(
+      Object.entries(balances).map(([address, balance]) => [
+        address,
+        balance.toString(),
+      ])
+    ).toEqual([
+      ['0xa', '70'],
+      ['0xc', '30'],
+    ])
+  })
+})
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/*
+Usage:
+$ node scripts/generate-proposals.js [proposals file] [options]
+
+Generates the calldata to create many votes at once, from a YAML or JSON file:
+
+  proposals:
+    - question: Should we fund the grants program?
+      castVote: true          # optional, default: false
+      executesIfDecided: true # optional, default: false
+      actions:                # optional, executed if the vote passes
+        - to: '0x…'
+          signature: transfer(address,uint256)
+          args: ['0x…', '1000000000000000000']
+        - to: '0x…'
+          calldata: '0x…'
+
+Options:
+  --output [type]        calldata: the newVote() calldata of each proposal
+                         (default)
+                         script: an EVM script creating every proposal
+  --voting [address]     Address of the Voting app (required for --output
+                         script)
+  --forwarder [address]  With --output script, also output the transaction
+                         forwarding the script (e.g. through a Token Manager)
+
+Note that when a forwarder submits the script, the votes are created by the
+forwarder, and `castVote` is ignored by Voting (the forwarder can't vote).
+*/
+
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+const {
+  encodeForward,
+  encodeNewVote,
+  encodeProposalsScript,
+  validateProposals,
+} = require('./lib/proposals')
+
+const OUTPUTS = ['calldata', 'script']
+
+const parseArgs = argv => {
+  const [file, ...options] = argv
+  if (!file || file.startsWith('--')) {
+    throw new Error('Usage: generate-proposals.js [proposals file] [options]')
+  }
+  const args = { file, output: 'calldata' }
+  for (let i = 0; i < options.length; i += 2) {
+    const name = options[i].replace(/^--/, '')
+    const value = options[i + 1]
+    if (!['output', 'voting', 'forwarder'].includes(name)) {
+      throw new Error(`Unknown option --${name}`)
+    }
+    if (value === undefined) {
+      throw new Error(`Missing value for --${name}`)
+    }
+    args[name] = value
+  }
+  if (!OUTPUTS.includes(args.output)) {
+    throw new Error(`--output must be one of ${OUTPUTS.join(', ')}`)
+  }
+  if (args.output === 'script' && !args.voting) {
+    throw new Error('--voting is required to generate a script')
+  }
+  return args
+}
+
+const readProposals = file => {
+  const content = fs.readFileSync(file, 'utf8')
+  const data = ['.yml', '.yaml'].includes(path.extname(file).toLowerCase())
+    ? yaml.safeLoad(content)
+    : JSON.parse(content)
+  // Accept a plain list of proposals too
+  return Array.isArray(data) ? data : data && data.proposals
+}
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2))
+  const proposals = validateProposals(readProposals(args.file))
+
+  if (args.output === 'calldata') {
+    console.log(JSON.stringify(proposals.map(encodeNewVote), null, 2))
+    return
+  }
+
+  const script = encodeProposalsScript(args.voting, proposals)
+  console.log(
+    JSON.stringify(
+      args.forwarder
+        ? {
+            script,
+            transaction: { to: args.forwarder, data: encodeForward(script) },
+          }
+        : { script },
+      null,
+      2
+    )
+  )
+}
+
+try {
+  main()
+} catch (err) {
+  console.error(err.message)
+  process.exit(1)
+}
@@ -0,0 +1,172 @@
+// Validation and encoding of the proposals of generate-proposals.js
+
+const Web3 = require('web3')
+
+const web3 = new Web3()
+const { abi } = web3.eth
+const { utils } = web3
+
+const EMPTY_SCRIPT = '0x00000001'
+const NEW_VOTE_SIGNATURE = 'newVote(bytes,string,bool,bool)'
+const FORWARD_SIGNATURE = 'forward(bytes)'
+
+const HEX_REGEX = /^0x([0-9a-fA-F]{2})*$/
+const SIGNATURE_REGEX = /^([a-zA-Z_$][a-zA-Z0-9_$]*)\(([^()]*)\)$/
+
+// Encodes an array of actions ({ to: address, calldata: bytes }) into the EVM
+// call script format (spec id 1), like encodeCallScript() of the test helpers.
+const encodeCallScript = actions =>
+  actions.reduce((script, { to, calldata }) => {
+    const length = ((calldata.length - 2) / 2).toString(16).padStart(8, '0')
+    return script + to.slice(2).toLowerCase() + length + calldata.slice(2)
+  }, EMPTY_SCRIPT)
+
+const encodeCall = (signature, types, args) =>
+  abi.encodeFunctionSignature(signature) +
+  abi.encodeParameters(types, args).slice(2)
+
+const parseSignature = signature => {
+  const match = (signature || '').replace(/\s/g, '').match(SIGNATURE_REGEX)
+  if (!match) {
+    throw new Error(`invalid signature "${signature}"`)
+  }
+  return {
+    signature: `${match[1]}(${match[2]})`,
+    types: match[2] ? match[2].split(',') : [],
+  }
+}
+
+// Get the calldata of an action, either given as is or as a signature and
+// its arguments
+const getActionCalldata = action => {
+  if (action.calldata !== undefined) {
+    if (action.signature !== undefined || action.args !== undefined) {
+      throw new Error('use either calldata or signature and args, not both')
+    }
+    if (!HEX_REGEX.test(action.calldata)) {
+      throw new Error('calldata must be 0x prefixed hex data')
+    }
+    return action.calldata
+  }
+  const { signature, types } = parseSignature(action.signature)
+  const args = action.args || []
+  if (!Array.isArray(args) || args.length !== types.length) {
+    throw new Error(
+      `${signature} expects ${types.length} arguments, got ${
+        Array.isArray(args) ? args.length : 'no list'
+      }`
+    )
+  }
+  try {
+    // Numbers are passed as strings to keep their precision
+    return encodeCall(
+      signature,
+      types,
+      args.map(arg => (typeof arg === 'number' ? String(arg) : arg))
+    )
+  } catch (err) {
+    throw new Error(`${signature}: ${err.message}`)
+  }
+}
+
+const validateBoolean = (value, name) => {
+  if (value !== undefined && typeof value !== 'boolean') {
+    throw new Error(`${name} must be true or false`)
+  }
+}
+
+/**
+ * Validate and normalize proposals, as read from the proposals file.
+ *
+ * @param {Array<Object>} proposals Proposals
+ * @return {Array<Object>} Proposals, as
+ *   { question, script, castVote, executesIfDecided }
+ * @throws {Error} Listing every invalid proposal
+ */
+const validateProposals = proposals => {
+  if (!Array.isArray(proposals) || proposals.length === 0) {
+    throw new Error('The file must contain a non-empty list of proposals')
+  }
+
+  const errors = []
+  const validated = proposals.map((proposal, index) => {
+    const name = `Proposal #${index + 1}`
+    try {
+      if (!proposal || typeof proposal !== 'object') {
+        throw new Error('must be an object')
+      }
+      const {
+        question = '',
+        actions = [],
+        castVote,
+        executesIfDecided,
+      } = proposal
+      if (typeof question !== 'string') {
+        throw new Error('question must be a string')
+      }
+      if (!Array.isArray(actions)) {
+        throw new Error('actions must be a list')
+      }
+      if (!question.trim() && actions.length === 0) {
+        throw new Error('needs a question, actions, or both')
+      }
+      validateBoolean(castVote, 'castVote')
+      validateBoolean(executesIfDecided, 'executesIfDecided')
+
+      const encodedActions = actions.map((action, actionIndex) => {
+        try {
+          if (!utils.isAddress(action.to)) {
+            throw new Error('to must be an address')
+          }
+          return { to: action.to, calldata: getActionCalldata(action) }
+        } catch (err) {
+          throw new Error(`action #${actionIndex + 1}: ${err.message}`)
+        }
+      })
+
+      return {
+        question: question.trim(),
+        script: encodeCallScript(encodedActions),
+        castVote: Boolean(castVote),
+        executesIfDecided: Boolean(executesIfDecided),
+      }
+    } catch (err) {
+      errors.push(`${name}: ${err.message}`)
+      return null
+    }
+  })
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'))
+  }
+  return validated
+}
+
+// Calldata of Voting's newVote() for a proposal
+const encodeNewVote = ({ question, script, castVote, executesIfDecided }) =>
+  encodeCall(
+    NEW_VOTE_SIGNATURE,
+    ['bytes', 'string', 'bool', 'bool'],
+    [script, question, castVote, executesIfDecided]
+  )
+
+// EVM script creating every proposal on a Voting app, to be forwarded
+const encodeProposalsScript = (votingAddress, proposals) =>
+  encodeCallScript(
+    proposals.map(proposal => ({
+      to: votingAddress,
+      calldata: encodeNewVote(proposal),
+    }))
+  )
+
+// Calldata of a forwarder's forward() for a script
+const encodeForward = script =>
+  encodeCall(FORWARD_SIGNATURE, ['bytes'], [script])
+
+module.exports = {
+  encodeCallScript,
+  encodeForward,
+  encodeNewVote,
+  encodeProposalsScript,
+  validateProposals,
+}
@@ -0,0 +1,228 @@
+// Helpers of the vote-stats CLI, independent from any web3 connection.
+// Amounts are BN instances (web3.utils.BN).
+
+const BN = require('bn.js')
+
+const STATUS_OPEN = 'open'
+const STATUS_EXECUTED = 'executed'
+const STATUS_ACCEPTED = 'accepted'
+const STATUS_REJECTED = 'rejected'
+
+const tenPow = x => new BN(10).pow(new BN(x))
+
+// Format an amount of tokens in units, e.g. 1500000000000000000 => '1.5'
+const formatUnits = (amount, decimals) => {
+  const base = tenPow(decimals)
+  const whole = amount.div(base).toString()
+  const fraction = amount
+    .mod(base)
+    .toString()
+    .padStart(decimals, '0')
+    .replace(/0+$/, '')
+  return fraction ? `${whole}.${fraction}` : whole
+}
+
+// Percentage of `value` in `total`, with two decimals
+const pct = (value, total) =>
+  total.isZero()
+    ? 0
+    : value
+        .mul(new BN(10000))
+        .div(total)
+        .toNumber() / 100
+
+// Mirror the on-chain checks of Voting (see getVoteSuccess() in the app)
+const getVoteStatus = (vote, pctBase) => {
+  if (vote.executed) {
+    return STATUS_EXECUTED
+  }
+  if (vote.open) {
+    return STATUS_OPEN
+  }
+  const { minAcceptQuorum, nay, supportRequired, votingPower, yea } = vote
+  const totalVotes = yea.add(nay)
+  if (totalVotes.isZero()) {
+    return STATUS_REJECTED
+  }
+  const yeaPct = yea.mul(pctBase).div(totalVotes)
+  const yeaOfTotalPowerPct = yea.mul(pctBase).div(votingPower)
+  return yeaOfTotalPowerPct.gt(supportRequired) ||
+    (yeaPct.gt(supportRequired) && yeaOfTotalPowerPct.gt(minAcceptQuorum))
+    ? STATUS_ACCEPTED
+    : STATUS_REJECTED
+}
+
+// Latest cast of each voter (later casts override earlier ones)
+const getVoters = casts => {
+  const voters = new Map()
+  casts.forEach(cast => voters.set(cast.voter.toLowerCase(), cast))
+  return [...voters.values()]
+}
+
+// One row per vote
+const getVotesReport = (votes, { decimals, pctBase }) =>
+  votes.map(vote => {
+    const voters = getVoters(vote.casts)
+    return {
+      voteId: vote.voteId,
+      creator: vote.creator,
+      metadata: vote.metadata,
+      startDate: new Date(vote.startDate * 1000).toJSON(),
+      snapshotBlock: vote.snapshotBlock,
+      status: getVoteStatus(vote, pctBase),
+      supportRequiredPct: pct(vote.supportRequired, pctBase),
+      minAcceptQuorumPct: pct(vote.minAcceptQuorum, pctBase),
+      yea: formatUnits(vote.yea, decimals),
+      nay: formatUnits(vote.nay, decimals),
+      votingPower: formatUnits(vote.votingPower, decimals),
+      turnoutPct: pct(vote.yea.add(vote.nay), vote.votingPower),
+      voters: voters.length,
+    }
+  })
+
+// One row per cast, recasts included
+const getVotersReport = (votes, { decimals }) =>
+  votes.reduce(
+    (rows, vote) =>
+      rows.concat(
+        vote.casts.map(cast => ({
+          voteId: vote.voteId,
+          voter: cast.voter,
+          supports: cast.supports,
+          stake: formatUnits(cast.stake, decimals),
+          blockNumber: cast.blockNumber,
+          transactionHash: cast.transactionHash,
+          timestamp: new Date(cast.timestamp * 1000).toJSON(),
+          recast: vote.casts
+            .slice(0, vote.casts.indexOf(cast))
+            .some(({ voter }) => voter.toLowerCase() === cast.voter.toLowerCase()),
+        }))
+      ),
+    []
+  )
+
+// Turnout of each vote after each cast
+const getTimelineReport = votes =>
+  votes.reduce((rows, vote) => {
+    const casts = []
+    return rows.concat(
+      vote.casts.map(cast => {
+        casts.push(cast)
+        const voters = getVoters(casts)
+        const yea = voters
+          .filter(({ supports }) => supports)
+          .reduce((total, { stake }) => total.add(stake), new BN(0))
+        const nay = voters
+          .filter(({ supports }) => !supports)
+          .reduce((total, { stake }) => total.add(stake), new BN(0))
+        return {
+          voteId: vote.voteId,
+          timestamp: new Date(cast.timestamp * 1000).toJSON(),
+          voters: voters.length,
+          yeaPct: pct(yea, vote.votingPower),
+          nayPct: pct(nay, vote.votingPower),
+          turnoutPct: pct(yea.add(nay), vote.votingPower),
+        }
+      })
+    )
+  }, [])
+
+const median = values => {
+  if (values.length === 0) {
+    return 0
+  }
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+const average = values =>
+  values.length === 0
+    ? 0
+    : values.reduce((total, value) => total + value, 0) / values.length
+
+const round = value => Math.round(value * 100) / 100
+
+// Aggregate statistics over a set of votes
+const getStats = (votes, { decimals, pctBase, top = 10 }) => {
+  const votesReport = getVotesReport(votes, { decimals, pctBase })
+  const turnouts = votesReport.map(({ turnoutPct }) => turnoutPct)
+
+  const voters = new Map()
+  votes.forEach(vote => {
+    getVoters(vote.casts).forEach(({ voter, supports, stake }) => {
+      const key = voter.toLowerCase()
+      const stats = voters.get(key) || {
+        voter,
+        votes: 0,
+        yea: 0,
+        nay: 0,
+        totalStake: new BN(0),
+      }
+      voters.set(key, {
+        ...stats,
+        votes: stats.votes + 1,
+        yea: stats.yea + (supports ? 1 : 0),
+        nay: stats.nay + (supports ? 0 : 1),
+        totalStake: stats.totalStake.add(stake),
+      })
+    })
+  })
+
+  const countStatus = status =>
+    votesReport.filter(vote => vote.status === status).length
+
+  return {
+    votes: votes.length,
+    open: countStatus(STATUS_OPEN),
+    accepted: countStatus(STATUS_ACCEPTED),
+    rejected: countStatus(STATUS_REJECTED),
+    executed: countStatus(STATUS_EXECUTED),
+    averageTurnoutPct: round(average(turnouts)),
+    medianTurnoutPct: round(median(turnouts)),
+    averageVoters: round(average(votesReport.map(vote => vote.voters))),
+    uniqueVoters: voters.size,
+    // Ranked by number of votes participated in, then by total stake
+    topVoters: [...voters.values()]
+      .sort(
+        (a, b) => b.votes - a.votes || b.totalStake.cmp(a.totalStake)
+      )
+      .slice(0, top)
+      .map(stats => ({
+        ...stats,
+        totalStake: formatUnits(stats.totalStake, decimals),
+      })),
+  }
+}
+
+const escapeCsvField = value => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Format rows (objects sharing the same keys) as CSV, with a header
+const toCsv = rows => {
+  if (rows.length === 0) {
+    return ''
+  }
+  const keys = Object.keys(rows[0])
+  return [keys, ...rows.map(row => keys.map(key => row[key]))]
+    .map(fields => fields.map(escapeCsvField).join(','))
+    .join('\n')
+}
+
+module.exports = {
+  STATUS_ACCEPTED,
+  STATUS_EXECUTED,
+  STATUS_OPEN,
+  STATUS_REJECTED,
+  formatUnits,
+  getStats,
+  getTimelineReport,
+  getVoteStatus,
+  getVotersReport,
+  getVotesReport,
+  toCsv,
+}
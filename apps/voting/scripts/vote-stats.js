@@ -1,111 +1,300 @@
+#!/usr/bin/env node
+
 /*
 Usage:
-$ APP_ADDRESS=[voting app addr] VOTE_ID=[vote id for analysis] npx truffle exec --network mainnet scripts/vote-stats.js
+$ node scripts/vote-stats.js --app [voting app addr] [options]
 
-Will save a file name `vote-[id].csv` the current directory.
+Options:
+  --rpc [url]         RPC endpoint (default: http://localhost:8545, e.g. a local ganache)
+  --app [address]     Address of the Voting app (required)
+  --vote [ids]        Vote ids to analyze, comma separated (default: every vote)
+  --report [name]     votes, voters, timeline or stats (default: votes)
+                        votes:    one row per vote, with its result and turnout
+                        voters:   one row per cast, with the voter's stake and choice
+                        timeline: turnout of each vote after each cast
+                        stats:    aggregate statistics, e.g. average turnout and top voters
+  --format [format]   csv or json (default: csv, or a summary for the stats report)
+  --output [file]     File to write to (default: stdout)
+  --from-block [n]    Block to look for events from (default: 0)
+  --top [n]           Number of top voters in the stats report (default: 10)
 
 Notes:
 
-If nothing appears to happen, you may want to supply a different truffle configuration or network,
-as the default connection to mainnet uses an unauthenticated Infura endpoint (that gets throttled).
+Public RPC endpoints (e.g. Infura) may refuse to return the events of the whole
+chain: use --from-block with the block the Voting app was deployed at.
 */
 
 const fs = require('fs')
+const Web3 = require('web3')
+const {
+  getStats,
+  getTimelineReport,
+  getVotersReport,
+  getVotesReport,
+  toCsv,
+} = require('./lib/vote-analytics')
 
-const Voting = artifacts.require('Voting')
-const MiniMeToken = artifacts.require('MiniMeToken')
+const REPORTS = ['votes', 'voters', 'timeline', 'stats']
+const FORMATS = ['csv', 'json']
 
-const appAddress = process.env.APP_ADDRESS || '0xcfee4d3078f74197ce77120dbfe6d35f443cab1c'
-const voteId = process.env.VOTE_ID || '0'
+const VOTING_ABI = [
+  {
+    name: 'PCT_BASE',
+    type: 'function',
+    constant: true,
+    inputs: [],
+    outputs: [{ name: '', type: 'uint64' }],
+  },
+  {
+    name: 'token',
+    type: 'function',
+    constant: true,
+    inputs: [],
+    outputs: [{ name: '', type: 'address' }],
+  },
+  {
+    name: 'votesLength',
+    type: 'function',
+    constant: true,
+    inputs: [],
+    outputs: [{ name: '', type: 'uint256' }],
+  },
+  {
+    name: 'getVote',
+    type: 'function',
+    constant: true,
+    inputs: [{ name: '_voteId', type: 'uint256' }],
+    outputs: [
+      { name: 'open', type: 'bool' },
+      { name: 'executed', type: 'bool' },
+      { name: 'startDate', type: 'uint64' },
+      { name: 'snapshotBlock', type: 'uint64' },
+      { name: 'supportRequired', type: 'uint64' },
+      { name: 'minAcceptQuorum', type: 'uint64' },
+      { name: 'yea', type: 'uint256' },
+      { name: 'nay', type: 'uint256' },
+      { name: 'votingPower', type: 'uint256' },
+      { name: 'script', type: 'bytes' },
+    ],
+  },
+  {
+    name: 'StartVote',
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: 'voteId', type: 'uint256' },
+      { indexed: true, name: 'creator', type: 'address' },
+      { indexed: false, name: 'metadata', type: 'string' },
+    ],
+  },
+  {
+    name: 'CastVote',
+    type: 'event',
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: 'voteId', type: 'uint256' },
+      { indexed: true, name: 'voter', type: 'address' },
+      { indexed: false, name: 'supports', type: 'bool' },
+      { indexed: false, name: 'stake', type: 'uint256' },
+    ],
+  },
+]
 
-const tenPow = x => web3.toBigNumber(10).pow(x)
-const formatNumber = (number, decimals) => number.div(tenPow(decimals)).toString()
+const TOKEN_ABI = [
+  {
+    name: 'decimals',
+    type: 'function',
+    constant: true,
+    inputs: [],
+    outputs: [{ name: '', type: 'uint8' }],
+  },
+  {
+    name: 'symbol',
+    type: 'function',
+    constant: true,
+    inputs: [],
+    outputs: [{ name: '', type: 'string' }],
+  },
+]
 
-const getTransaction = hash => (
-  new Promise((resolve, reject) => {
-    web3.eth.getTransaction(hash, (err, tx) => {
-      if (err) {
-        return reject(err)
-      }
+const parseArgs = argv => {
+  const args = {
+    rpc: 'http://localhost:8545',
+    report: 'votes',
+    fromBlock: 0,
+    top: 10,
+  }
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '')
+    const value = argv[i + 1]
+    if (value === undefined) {
+      throw new Error(`Missing value for --${name}`)
+    }
+    switch (name) {
+      case 'rpc':
+      case 'app':
+      case 'report':
+      case 'format':
+      case 'output':
+        args[name] = value
+        break
+      case 'vote':
+        args.voteIds = value.split(',').map(id => id.trim())
+        break
+      case 'from-block':
+        args.fromBlock = parseInt(value, 10)
+        break
+      case 'top':
+        args.top = parseInt(value, 10)
+        break
+      default:
+        throw new Error(`Unknown option --${name}`)
+    }
+  }
 
-      resolve(tx)
-    })
-  })
-)
-const getBlock = block => (
-  new Promise((resolve, reject) => {
-    web3.eth.getBlock(block, (err, tx) => {
-      if (err) {
-        return reject(err)
-      }
+  if (!args.app || !Web3.utils.isAddress(args.app)) {
+    throw new Error('--app must be the address of a Voting app')
+  }
+  if (!REPORTS.includes(args.report)) {
+    throw new Error(`--report must be one of ${REPORTS.join(', ')}`)
+  }
+  if (args.format && !FORMATS.includes(args.format)) {
+    throw new Error(`--format must be one of ${FORMATS.join(', ')}`)
+  }
+  return args
+}
 
-      resolve(tx)
-    })
-  })
-)
-
-module.exports = async (cb) => {
-  const voting = Voting.at(appAddress)
-
-  const [
-    isOpen,
-    isExecuted,
-    startDate,
-    snapshotBlock,
-    supportRequired,
-    minQuorum,
-    y,
-    n,
-    votingPower,
-    execScript
-  ] = await voting.getVote(voteId)
-
-  const token = MiniMeToken.at(await voting.token())
-  const decimals = await token.decimals()
-
-  const fromBlock = snapshotBlock.toString()
-
-  voting.CastVote({ voteId }, { fromBlock }).get(async (err, votes) => {
-    if (err) {
-      throw err
+const loadVotes = async (web3, voting, { voteIds, fromBlock }) => {
+  const votesLength = parseInt(await voting.methods.votesLength().call(), 10)
+  const ids = voteIds || [...Array(votesLength).keys()].map(String)
+  ids.forEach(id => {
+    if (!(parseInt(id, 10) < votesLength)) {
+      throw new Error(`Vote ${id} doesn't exist (${votesLength} votes)`)
     }
+  })
+
+  // Load the events of every vote at once, rather than once per vote
+  const [startEvents, castEvents] = await Promise.all([
+    voting.getPastEvents('StartVote', { fromBlock }),
+    voting.getPastEvents('CastVote', { fromBlock }),
+  ])
 
-    const headerKeys = [
-      'Voter address',
-      'Supports',
-      'Stake',
-      'Block number',
-      'Transaction hash',
-      'Timestamp',
-      'Used Aragon client'
-    ]
-
-    const proccessedVotes = await Promise.all(votes.map(async ({ transactionHash, args }) => {
-      const { voter, supports, stake } = args
-      const { blockNumber, input } = await getTransaction(transactionHash)
-      const { timestamp } = await getBlock(blockNumber)
-      return [
-        voter,
-        supports,
-        formatNumber(stake, decimals),
+  const timestamps = new Map()
+  const getTimestamp = blockNumber => {
+    if (!timestamps.has(blockNumber)) {
+      timestamps.set(
         blockNumber,
-        transactionHash,
-        new Date(timestamp * 1000).toJSON(), // Solidity time is in seconds
-        input.endsWith('1') // Did they use the client to vote?
-      ]
-    }))
-
-    const csvData = [headerKeys, ...proccessedVotes]
-    const csvText = csvData.map(data => data.join(',')).join('\n')
-
-    const filename = `vote-${voteId}.csv`
-    fs.appendFile(filename, csvText, function (err) {
-      if (err) {
-        throw err
-      }
+        web3.eth.getBlock(blockNumber).then(({ timestamp }) => timestamp)
+      )
+    }
+    return timestamps.get(blockNumber)
+  }
 
-      console.log('Saved', filename)
-      cb()
+  const BN = web3.utils.BN
+  return Promise.all(
+    ids.map(async voteId => {
+      const vote = await voting.methods.getVote(voteId).call()
+      const startEvent = startEvents.find(
+        ({ returnValues }) => returnValues.voteId === voteId
+      )
+      const casts = await Promise.all(
+        castEvents
+          .filter(({ returnValues }) => returnValues.voteId === voteId)
+          .map(async ({ blockNumber, transactionHash, returnValues }) => ({
+            voter: returnValues.voter,
+            supports: returnValues.supports,
+            stake: new BN(returnValues.stake),
+            blockNumber,
+            transactionHash,
+            timestamp: await getTimestamp(blockNumber),
+          }))
+      )
+      return {
+        voteId,
+        creator: startEvent ? startEvent.returnValues.creator : '',
+        metadata: startEvent ? startEvent.returnValues.metadata : '',
+        open: vote.open,
+        executed: vote.executed,
+        startDate: parseInt(vote.startDate, 10),
+        snapshotBlock: parseInt(vote.snapshotBlock, 10),
+        supportRequired: new BN(vote.supportRequired),
+        minAcceptQuorum: new BN(vote.minAcceptQuorum),
+        yea: new BN(vote.yea),
+        nay: new BN(vote.nay),
+        votingPower: new BN(vote.votingPower),
+        casts,
+      }
     })
-  })
+  )
+}
+
+const formatStatsSummary = (stats, symbol) =>
+  [
+    `Votes: ${stats.votes} (${stats.open} open, ${stats.accepted} accepted, ${
+      stats.rejected
+    } rejected, ${stats.executed} executed)`,
+    `Average turnout: ${stats.averageTurnoutPct}%`,
+    `Median turnout: ${stats.medianTurnoutPct}%`,
+    `Average voters per vote: ${stats.averageVoters}`,
+    `Unique voters: ${stats.uniqueVoters}`,
+    '',
+    'Top voters:',
+    ...stats.topVoters.map(
+      ({ voter, votes, yea, nay, totalStake }, index) =>
+        `${index + 1}. ${voter}: ${votes} votes (${yea} yes, ${nay} no), ${totalStake} ${symbol} in total`
+    ),
+  ].join('\n')
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2))
+  const web3 = new Web3(args.rpc)
+  const voting = new web3.eth.Contract(VOTING_ABI, args.app)
+
+  const token = new web3.eth.Contract(
+    TOKEN_ABI,
+    await voting.methods.token().call()
+  )
+  const [pctBase, decimals, symbol] = await Promise.all([
+    voting.methods.PCT_BASE().call(),
+    token.methods.decimals().call(),
+    token.methods
+      .symbol()
+      .call()
+      .catch(() => ''),
+  ])
+  const options = {
+    decimals: parseInt(decimals, 10),
+    pctBase: new web3.utils.BN(pctBase),
+    top: args.top,
+  }
+
+  const votes = await loadVotes(web3, voting, args)
+
+  let output
+  if (args.report === 'stats') {
+    const stats = getStats(votes, options)
+    output =
+      args.format === 'json'
+        ? JSON.stringify(stats, null, 2)
+        : formatStatsSummary(stats, symbol)
+  } else {
+    const rows = {
+      votes: getVotesReport,
+      voters: getVotersReport,
+      timeline: getTimelineReport,
+    }[args.report](votes, options)
+    output = args.format === 'json' ? JSON.stringify(rows, null, 2) : toCsv(rows)
+  }
+
+  if (args.output) {
+    fs.writeFileSync(args.output, `${output}\n`)
+    console.log('Saved', args.output)
+  } else {
+    console.log(output)
+  }
 }
+
+main().catch(err => {
+  console.error(err.message)
+  process.exit(1)
+})
@@ -0,0 +1,83 @@
+const assert = require('assert')
+const Web3 = require('web3')
+const { encodeNewVote, validateProposals } = require('../scripts/lib/proposals')
+
+const { abi } = new Web3().eth
+
+const TOKEN_ADDR = '0x5A98FcBEA516Cf06857215779Fd812CA3beF1B32'
+const RECIPIENT_ADDR = '0x8401Eb5ff34cc943f096A32EF3d5113FEbE8D4Eb'
+
+const NEW_VOTE_SELECTOR = '0xf4b00513'
+const TRANSFER_SELECTOR = '0xa9059cbb'
+
+const pad = hex => hex.replace(/^0x/, '').toLowerCase().padStart(64, '0')
+
+describe('Proposals', () => {
+    describe('validateProposals', () => {
+        it('encodes the actions of a proposal into a call script', () => {
+            const [proposal] = validateProposals([{
+                question: '  Transfer 1000 tokens?  ',
+                castVote: true,
+                actions: [{ to: TOKEN_ADDR, signature: 'transfer(address, uint256)', args: [RECIPIENT_ADDR, 1000] }],
+            }])
+
+            const calldata = TRANSFER_SELECTOR + pad(RECIPIENT_ADDR) + pad('3e8')
+            assert.deepStrictEqual(proposal, {
+                question: 'Transfer 1000 tokens?',
+                script: '0x00000001' + TOKEN_ADDR.slice(2).toLowerCase() + '00000044' + calldata.slice(2),
+                castVote: true,
+                executesIfDecided: false,
+            })
+        })
+
+        it('keeps the calldata of an action as is', () => {
+            const [proposal] = validateProposals([{ actions: [{ to: TOKEN_ADDR, calldata: '0xabcdef' }] }])
+
+            assert.strictEqual(proposal.question, '')
+            assert.strictEqual(proposal.script, '0x00000001' + TOKEN_ADDR.slice(2).toLowerCase() + '00000003abcdef')
+        })
+
+        it('rejects an empty list of proposals', () => {
+            assert.throws(() => validateProposals([]), /non-empty list of proposals/)
+            assert.throws(() => validateProposals({ question: 'Not a list' }), /non-empty list of proposals/)
+        })
+
+        it('lists every invalid proposal', () => {
+            const proposals = [
+                { question: 'Valid', actions: [] },
+                {},
+                { question: 'Bad address', actions: [{ to: '0x1234', calldata: '0x' }] },
+                { question: 'Missing argument', actions: [{ to: TOKEN_ADDR, signature: 'transfer(address,uint256)', args: [RECIPIENT_ADDR] }] },
+                { question: 'Bad flag', castVote: 'yes' },
+            ]
+
+            assert.throws(() => validateProposals(proposals), err => {
+                assert.strictEqual(err.message, [
+                    'Proposal #2: needs a question, actions, or both',
+                    'Proposal #3: action #1: to must be an address',
+                    'Proposal #4: action #1: transfer(address,uint256) expects 2 arguments, got 1',
+                    'Proposal #5: castVote must be true or false',
+                ].join('\n'))
+                return true
+            })
+        })
+    })
+
+    describe('encodeNewVote', () => {
+        it('encodes a call to newVote(bytes,string,bool,bool)', () => {
+            const calldata = encodeNewVote({
+                question: 'Transfer 1000 tokens?',
+                script: '0x00000001',
+                castVote: true,
+                executesIfDecided: false,
+            })
+
+            assert.strictEqual(calldata.slice(0, 10), NEW_VOTE_SELECTOR)
+            const params = abi.decodeParameters(['bytes', 'string', 'bool', 'bool'], '0x' + calldata.slice(10))
+            assert.strictEqual(params[0], '0x00000001')
+            assert.strictEqual(params[1], 'Transfer 1000 tokens?')
+            assert.strictEqual(params[2], true)
+            assert.strictEqual(params[3], false)
+        })
+    })
+})